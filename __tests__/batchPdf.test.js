@@ -0,0 +1,150 @@
+// __tests__/batchPdf.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const puppeteer = require('puppeteer');
+const { generateResume } = require('../lib/index');
+const { generateBatchPDF } = require('../lib/pdf/batchGenerator');
+const { getPdfOptions, getContentSize } = require('../lib/pdf/pageSetup');
+
+jest.mock('puppeteer', () => ({
+  launch: jest.fn()
+}));
+
+describe('Batch PDF Navigation', () => {
+  let workDir;
+  let page;
+  let loadedHtml;
+  let tocLinks;
+  let heights;
+
+  // Stand-in for the rendered document: the cover page and two resumes of known heights
+  const fakeDocument = () => {
+    const element = (height, id) => ({ id, getBoundingClientRect: () => ({ height }) });
+    return {
+      querySelector: selector => {
+        if (selector === '.toc') {
+          return element(heights.toc);
+        }
+        const target = selector.match(/data-target="(.+)"/)[1];
+        tocLinks[target] = tocLinks[target] || { textContent: '' };
+        return tocLinks[target];
+      },
+      querySelectorAll: () => heights.resumes.map((height, i) => element(height, `resume-${i + 1}`))
+    };
+  };
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'faux-cv-batch-'));
+    fs.writeFileSync(path.join(workDir, 'a.md'), '# Jane Doe\n\n## Summary\nFirst');
+    fs.writeFileSync(path.join(workDir, 'b.md'), '# John <Smith>\n\n## Summary\nSecond');
+    tocLinks = {};
+    heights = { toc: 400, resumes: [1500, 900] };
+    
+    page = {
+      goto: jest.fn(async url => {
+        loadedHtml = fs.readFileSync(url.replace('file://', ''), 'utf8');
+      }),
+      setViewport: jest.fn().mockResolvedValue(),
+      emulateMediaType: jest.fn().mockResolvedValue(),
+      evaluate: jest.fn(async (fn, arg) => {
+        global.document = fakeDocument();
+        try {
+          return fn(arg);
+        } finally {
+          delete global.document;
+        }
+      }),
+      pdf: jest.fn().mockResolvedValue()
+    };
+    puppeteer.launch.mockResolvedValue({
+      newPage: jest.fn().mockResolvedValue(page),
+      close: jest.fn().mockResolvedValue()
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  const generate = (options) => generateBatchPDF(
+    [path.join(workDir, 'a.md'), path.join(workDir, 'b.md')],
+    path.join(workDir, 'batch.pdf'),
+    { names: ['Jane Doe', 'John <Smith>'], ...options }
+  );
+
+  test('should add a cover page with a clickable table of contents', async () => {
+    await generate({ tableOfContents: true, industries: ['tech', 'finance'], experienceYears: [5, 12] });
+    
+    expect(loadedHtml.indexOf('<div class="toc">')).toBeLessThan(loadedHtml.indexOf('<div class="resume"'));
+    expect(loadedHtml).toContain('<td><a href="#resume-1">Jane Doe</a></td><td>tech</td><td>5 years</td>');
+    expect(loadedHtml).toContain('<td><a href="#resume-2">John &lt;Smith&gt;</a></td><td>finance</td><td>12 years</td>');
+    expect(loadedHtml).toContain('<div class="resume" id="resume-2" data-name="John &lt;Smith&gt;">');
+    
+    // Page numbers come from measuring each section at the printed content size
+    const { width, height } = getContentSize(getPdfOptions());
+    expect(page.setViewport).toHaveBeenCalledWith({ width: Math.floor(width), height: Math.floor(height) });
+    expect(page.emulateMediaType).toHaveBeenCalledWith('print');
+    expect(tocLinks['resume-1'].textContent).toBe(2);
+    expect(tocLinks['resume-2'].textContent).toBe(4);
+    
+    expect(page.pdf).toHaveBeenCalledWith(expect.not.objectContaining({ outline: true }));
+  });
+
+  test('should count a section that exactly fills its pages without an extra page', async () => {
+    const { height } = getContentSize(getPdfOptions());
+    heights = { toc: 2 * height, resumes: [height, height + 1] };
+    
+    await generate({ tableOfContents: true });
+    
+    expect(tocLinks['resume-1'].textContent).toBe(3);
+    expect(tocLinks['resume-2'].textContent).toBe(4);
+  });
+
+  test('should leave out unknown industries and experience', async () => {
+    await generate({ tableOfContents: true });
+    
+    expect(loadedHtml).toContain('<td><a href="#resume-1">Jane Doe</a></td><td></td><td></td>');
+  });
+
+  test('should add bookmarks through the PDF outline', async () => {
+    await generate({ bookmarks: true, paperSize: 'Letter' });
+    
+    expect(loadedHtml).not.toContain('<div class="toc">');
+    expect(page.evaluate).not.toHaveBeenCalled();
+    expect(page.pdf).toHaveBeenCalledWith(expect.objectContaining({
+      format: 'Letter',
+      outline: true,
+      path: path.join(workDir, 'batch.pdf')
+    }));
+  });
+
+  test('should report errors through the logger and rethrow them', async () => {
+    const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+    const logger = { info: jest.fn(), debug: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    page.pdf.mockRejectedValue(new Error('Printing failed'));
+    const browser = await puppeteer.launch();
+    
+    await expect(generate({ logger })).rejects.toThrow('Printing failed');
+    expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('Error generating batch PDF: Printing failed'));
+    
+    await expect(generate({ logLevel: 'silent' })).rejects.toThrow('Printing failed');
+    expect(consoleErrorSpy).not.toHaveBeenCalled();
+    
+    // The browser and the temporary HTML are cleaned up after each failure
+    expect(browser.close).toHaveBeenCalledTimes(2);
+    expect(fs.readdirSync(workDir)).not.toContain('.temp-batch-resumes.html');
+    consoleErrorSpy.mockRestore();
+  });
+
+  test('should render each resume from its data with a data-driven layout', async () => {
+    const resumes = [1, 2].map(seed => generateResume({ seed, format: 'json' }).json);
+    await generate({ layout: 'sidebar', resumes, names: resumes.map(resume => resume.name) });
+    
+    expect(loadedHtml.match(/<div class="layout layout-sidebar">/g)).toHaveLength(2);
+    expect(loadedHtml).toContain('grid-template-columns: 32% 1fr');
+    expect(loadedHtml).not.toContain('First');
+    expect(loadedHtml).toContain(`<div class="resume" id="resume-2" data-name="${resumes[1].name}"><div class="layout layout-sidebar">`);
+  });
+});
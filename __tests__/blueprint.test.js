@@ -0,0 +1,136 @@
+// __tests__/blueprint.test.js
+
+const mockFs = require('mock-fs');
+const { validateBlueprint, loadBlueprintFile, mergeEntries } = require('../lib/blueprint');
+const { generateResume } = require('../lib/index');
+const generators = require('../lib/generators');
+const registry = require('../lib/data/registry');
+const { seedRandom } = require('../lib/utils');
+
+const blueprint = {
+  name: 'Ada Lovelace',
+  contactInfo: { email: 'ada@example.com' },
+  experience: [{ company: 'Initech', position: 'Senior Software Engineer' }],
+  skills: ['Kubernetes', 'Rust'],
+  jobCount: 3
+};
+
+describe('Resume Blueprints', () => {
+  afterEach(() => {
+    mockFs.restore();
+    seedRandom();
+  });
+
+  test('should accept a valid blueprint', () => {
+    expect(validateBlueprint(blueprint)).toBe(blueprint);
+    expect(validateBlueprint({})).toEqual({});
+  });
+
+  test('should list every problem in an invalid blueprint', () => {
+    expect(() => validateBlueprint(null)).toThrow('Invalid blueprint: expected an object');
+
+    const invalid = () => validateBlueprint({
+      name: '',
+      contactInfo: 'ada@example.com',
+      experience: [{}, 'Initech'],
+      skills: ['Kubernetes', 3],
+      jobCount: 0,
+      education: []
+    });
+    expect(invalid).toThrow('unknown field "education"');
+    expect(invalid).toThrow('"name" must be a non-empty string');
+    expect(invalid).toThrow('"contactInfo" must be an object');
+    expect(invalid).toThrow('"experience" must be an array of partial jobs');
+    expect(invalid).toThrow('"skills" must be an array of non-empty strings');
+    expect(invalid).toThrow('"jobCount" must be a whole number of at least 1');
+
+    expect(() => validateBlueprint({ experience: [{}, {}], jobCount: 1 }))
+      .toThrow('"experience" has 2 entries but "jobCount" is 1');
+    expect(() => validateBlueprint({ jobCount: 4 }, { experienceYears: 2 }))
+      .toThrow('4 jobs do not fit into 2 years of experience');
+    expect(validateBlueprint({ jobCount: 1 }, { experienceYears: 0 })).toBeDefined();
+  });
+
+  test('should load a JSON blueprint file', () => {
+    mockFs({
+      'fixtures/senior.json': JSON.stringify(blueprint),
+      'fixtures/invalid.json': '{ "jobCount": "three" }'
+    });
+
+    expect(loadBlueprintFile('fixtures/senior.json')).toEqual(blueprint);
+    expect(() => loadBlueprintFile('fixtures/missing.json')).toThrow('Could not read blueprint file fixtures/missing.json');
+    expect(() => loadBlueprintFile('fixtures/invalid.json')).toThrow('"jobCount" must be a whole number');
+  });
+
+  test('should merge partial jobs into generated jobs in order', () => {
+    const jobs = [{ company: 'A', position: 'Lead' }, { company: 'B', position: 'Engineer' }];
+
+    expect(mergeEntries(jobs, [{ company: 'Initech' }])).toEqual([
+      { company: 'Initech', position: 'Lead' },
+      { company: 'B', position: 'Engineer' }
+    ]);
+    expect(mergeEntries(jobs)).toEqual(jobs);
+  });
+
+  test('should generate the requested number of jobs and mention required skills', () => {
+    const tech = registry.getIndustry('tech');
+
+    [1, 4, 6].forEach(jobCount => {
+      const experience = generators.generateExperience(tech, 8, { jobCount, referenceDate: new Date('2024-01-01') });
+      expect(experience).toHaveLength(jobCount);
+      expect(experience.reduce((total, job) => total + job.durationMonths, 0)).toBe(96);
+      experience.forEach(job => expect(job.durationMonths).toBeGreaterThanOrEqual(12));
+    });
+
+    expect(generators.generateExperience(tech, 1, { minJobCount: 2 })).toHaveLength(2);
+
+    const requiredSkills = ['Kubernetes', 'Rust', 'Terraform', 'Go', 'Elixir', 'Zig'];
+    const [current] = generators.generateExperience(tech, 5, { requiredSkills });
+    expect(current.bulletPoints.length).toBeGreaterThanOrEqual(requiredSkills.length);
+    requiredSkills.forEach(skill => expect(current.bulletPoints.join(' ')).toContain(skill));
+
+    expect(generators.generateSkills(tech, { requiredSkills: ['Kubernetes'] })[0].skills).toMatch(/^Kubernetes, /);
+    expect(generators.generateSummary(tech, 5, { requiredSkills: ['Kubernetes'] })).toContain('expertise in Kubernetes');
+  });
+
+  test('should keep blueprint fields and generate the rest around them', () => {
+    const resume = generateResume({ format: 'json', seed: 3, experienceYears: 9, blueprint }).json;
+
+    expect(resume.name).toBe('Ada Lovelace');
+    expect(resume.contactInfo.email).toBe('ada@example.com');
+    expect(resume.contactInfo.linkedin).toMatch(/^linkedin\.com\/in\/ada-lovelace-\d{6}$/);
+    expect(resume.experience).toHaveLength(3);
+    expect(resume.experience[0]).toMatchObject({ company: 'Initech', position: 'Senior Software Engineer', isCurrent: true });
+    // Earlier jobs climb the fixed position's own ladder
+    resume.experience.slice(1).forEach(job => {
+      expect(['Junior Software Engineer', 'Software Engineer', 'Senior Software Engineer']).toContain(job.position);
+    });
+    expect(resume.summary).toMatch(/^Seasoned Senior Software Engineer .* Kubernetes, Rust/);
+    expect(resume.skillCategories[0].skills).toMatch(/^Kubernetes, Rust, /);
+
+    const fixed = generateResume({
+      format: 'json',
+      seed: 3,
+      locale: 'ja',
+      blueprint: { name: '山田 太郎', summary: 'Fixed summary.', certifications: ['CKA'] }
+    }).json;
+    expect(fixed.name).toBe('山田 太郎');
+    expect(fixed.summary).toBe('Fixed summary.');
+    expect(fixed.certifications).toEqual(['CKA']);
+
+    // A fixed location drops the generated structured address
+    const located = generateResume({ format: 'json', seed: 3, blueprint: { contactInfo: { location: 'Paris, France' } } }).json;
+    expect(located.contactInfo.location).toBe('Paris, France');
+    expect(located.contactInfo.address).toBeUndefined();
+
+    // Without a blueprint the output is unchanged
+    expect(generateResume({ format: 'json', seed: 3, referenceDate: '2024-01-01', blueprint: {} }).json)
+      .toEqual(generateResume({ format: 'json', seed: 3, referenceDate: '2024-01-01' }).json);
+  });
+
+  test('should reject an invalid blueprint before generating', () => {
+    expect(() => generateResume({ format: 'json', blueprint: { jobs: 3 } })).toThrow('Invalid blueprint: unknown field "jobs"');
+    expect(() => generateResume({ format: 'json', experienceYears: 2, blueprint: { jobCount: 5 } }))
+      .toThrow('5 jobs do not fit into 2 years of experience');
+  });
+});
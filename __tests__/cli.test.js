@@ -2,6 +2,7 @@
 
 const { exec } = require('child_process');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const mockFs = require('mock-fs');
 
@@ -49,6 +50,13 @@ describe('CLI Command Tests', () => {
     expect(stdout).toContain('--format');
   });
   
+  test('should display help for the serve command', async () => {
+    const { stdout } = await runCommand('serve --help');
+    
+    expect(stdout).toContain('Start an HTTP API server');
+    expect(stdout).toContain('--port');
+  });
+  
   test('should generate a resume with default options', async () => {
     const { stdout } = await runCommand('');
     
@@ -80,6 +88,124 @@ describe('CLI Command Tests', () => {
     }
   });
   
+  test('should accept industries from an --industry-file', async () => {
+    const industryFile = path.join(os.tmpdir(), `faux-cv-industries-${process.pid}.json`);
+    mockFs.bypass(() => fs.writeFileSync(industryFile, JSON.stringify({
+      legal: {
+        jobTitles: ['Paralegal', 'Associate Attorney'],
+        companies: ['Lex Advisory'],
+        skills: ['Contract Law', 'Litigation', 'Legal Research'],
+        degrees: ['Law'],
+        certifications: ['Bar Admission']
+      }
+    })));
+    
+    try {
+      const { stdout } = await runCommand(`--industry-file ${industryFile} --industry legal --format json`);
+      expect(stdout).toContain('Resume generated successfully');
+    } finally {
+      mockFs.bypass(() => fs.unlinkSync(industryFile));
+    }
+  });
+
+  test('should draw a batch from a --profile and summarize it', async () => {
+    const profileFile = path.join(os.tmpdir(), `faux-cv-profile-${process.pid}.json`);
+    mockFs.bypass(() => fs.writeFileSync(profileFile, JSON.stringify({
+      industries: { tech: 40, finance: 60 },
+      experience: { mean: 6, stddev: 2 },
+      noCertifications: 0.1
+    })));
+
+    try {
+      // Certifications are summarized whatever the output format
+      const { stdout } = await runCommand(`-c 4 --seed 2 --format markdown --profile ${profileFile}`);
+      expect(stdout).toContain('Population of 4 resume(s):');
+      expect(stdout).toContain('(target 60.0%)');
+      expect(stdout).toContain('Without certifications:');
+      expect(stdout).toContain('Resume generated successfully');
+    } finally {
+      mockFs.bypass(() => fs.unlinkSync(profileFile));
+    }
+
+    await expect(runCommand('--profile missing-profile.yaml')).rejects.toThrow('Could not read profile file missing-profile.yaml');
+  });
+
+  test('should generate resumes around a --blueprint', async () => {
+    const blueprintFile = path.join(os.tmpdir(), `faux-cv-blueprint-${process.pid}.json`);
+    mockFs.bypass(() => fs.writeFileSync(blueprintFile, JSON.stringify({
+      experience: [{ company: 'Initech', position: 'Senior Software Engineer' }],
+      skills: ['Kubernetes'],
+      jobCount: 2
+    })));
+
+    try {
+      const { stdout } = await runCommand(`-c 2 --experience 6 --format json --blueprint ${blueprintFile}`);
+      expect(stdout).toContain('Resume generated successfully');
+    } finally {
+      mockFs.bypass(() => fs.unlinkSync(blueprintFile));
+    }
+
+    await expect(runCommand('--blueprint missing-blueprint.json')).rejects.toThrow('Could not read blueprint file missing-blueprint.json');
+  });
+
+  test('should generate candidates for a --job-description', async () => {
+    const jobFile = path.join(os.tmpdir(), `faux-cv-job-${process.pid}.json`);
+    mockFs.bypass(() => fs.writeFileSync(jobFile, JSON.stringify({
+      title: 'Senior Software Engineer',
+      requiredSkills: ['Kubernetes', 'Go'],
+      minYears: 5
+    })));
+
+    try {
+      const { stdout } = await runCommand(`-c 2 --format json --job-description ${jobFile} --match partial`);
+      expect(stdout).toContain('Resume generated successfully');
+      await expect(runCommand(`--job-description ${jobFile} --match perfect`)).rejects.toThrow('Invalid match quality: perfect');
+    } finally {
+      mockFs.bypass(() => fs.unlinkSync(jobFile));
+    }
+  });
+
+  test('should accept a theme from a --css file', async () => {
+    const cssFile = path.join(os.tmpdir(), `faux-cv-theme-${process.pid}.css`);
+    mockFs.bypass(() => fs.writeFileSync(cssFile, 'h1 { color: var(--primary-color); }'));
+
+    try {
+      const { stdout } = await runCommand(`--css ${cssFile} --format html`);
+      expect(stdout).toContain('Resume generated successfully');
+    } finally {
+      mockFs.bypass(() => fs.unlinkSync(cssFile));
+    }
+  });
+
+  test('should reject a missing --css file', async () => {
+    await expect(runCommand('--css missing-theme.css')).rejects.toThrow('Could not read theme file missing-theme.css');
+  });
+
+  test('should accept a reference date with --as-of', async () => {
+    const { stdout } = await runCommand('--as-of 2020-01-31 --seed 3');
+    expect(stdout).toContain('Resume generated successfully');
+    
+    // An invalid date is reported once, before any resume is generated
+    const error = await runCommand('--as-of 2020-13-01 -c 3').catch(failure => failure);
+    expect(error.message).toContain('Invalid date: 2020-13-01');
+    expect(error.message).not.toContain('Resume 1 of 3');
+  });
+
+  test('should honor --quiet', async () => {
+    const quiet = await runCommand('--quiet');
+    expect(quiet.stdout).toBe('');
+  });
+
+  test('should honor --verbose', async () => {
+    const verbose = await runCommand('--verbose');
+    expect(verbose.stdout).toContain('Generated resume data');
+    expect(verbose.stdout).toContain('Resume generated successfully');
+  });
+
+  test('should reject --verbose together with --quiet', async () => {
+    await expect(runCommand('--verbose --quiet')).rejects.toBeDefined();
+  });
+
   test('should handle batch generation with --count option', async () => {
     // Use the -c flag which is more explicit
     const { stdout } = await runCommand('-c 3');
@@ -96,4 +222,144 @@ describe('CLI Command Tests', () => {
     expect(stdout).toContain('Generating');
     expect(stdout).toContain('Resume generated successfully');
   });
-});
\ No newline at end of file
+  
+  test('should handle html format', async () => {
+    const { stdout } = await runCommand('--format html --pdf-style minimal');
+    
+    expect(stdout).toContain('Resume generated successfully');
+  });
+  
+  test('should handle layouts', async () => {
+    const { stdout } = await runCommand('--format pdf --layout sidebar -c 2 --batch-pdf');
+    
+    expect(stdout).toContain('Resume generated successfully');
+    await expect(runCommand('--layout grid')).rejects.toThrow('Invalid layout: grid');
+  });
+  
+  test('should handle locales', async () => {
+    const { stdout } = await runCommand('--locale ja --format txt');
+    
+    expect(stdout).toContain('Resume generated successfully');
+    await expect(runCommand('--locale xx')).rejects.toThrow('Invalid locale: xx');
+  });
+  
+  test('should handle profile photos', async () => {
+    const { stdout } = await runCommand('--format html --layout timeline --photo identicon');
+    
+    expect(stdout).toContain('Resume generated successfully');
+    await expect(runCommand('--photo selfie')).rejects.toThrow('Invalid photo style: selfie');
+  });
+  
+  test('should stream a dataset with the dataset command', async () => {
+    const out = path.join(os.tmpdir(), `faux-cv-dataset-${process.pid}.ndjson`);
+
+    try {
+      const { stdout } = await runCommand(`dataset --count 3 --seed 5 --industry healthcare --out ${out}`);
+      expect(stdout).toContain('Dataset of 3 resume(s) generated successfully');
+
+      const lines = mockFs.bypass(() => fs.readFileSync(out, 'utf8')).trim().split('\n');
+      expect(lines.map(line => JSON.parse(line).id)).toEqual([1, 2, 3]);
+    } finally {
+      mockFs.bypass(() => fs.rmSync(out, { force: true }));
+    }
+
+    await expect(runCommand('dataset --out resumes.xlsx')).rejects.toThrow('Unsupported dataset file: resumes.xlsx');
+  });
+
+  test('should handle docx format', async () => {
+    const { stdout } = await runCommand('--format docx --pdf-style professional');
+    
+    expect(stdout).toContain('Resume generated successfully');
+  });
+  
+  test('should handle ats format with a keyword report', async () => {
+    const { stdout } = await runCommand('--format ats --keyword-report');
+    
+    expect(stdout).toContain('Resume generated successfully');
+  });
+  
+  test('should accept PDF page setup options', async () => {
+    const { stdout } = await runCommand('--format pdf --paper-size letter --orientation landscape --margin "0.5in 1in" --page-numbers --header "{{name}}"');
+    
+    expect(stdout).toContain('Resume generated successfully');
+  });
+  
+  test('should accept batch PDF navigation options', async () => {
+    const { stdout } = await runCommand('--format pdf -c 2 --batch-pdf --toc --bookmarks');
+    
+    expect(stdout).toContain('Resume generated successfully');
+  });
+  
+  test('should reject invalid PDF page setup options', async () => {
+    await expect(runCommand('--format pdf --paper-size A3')).rejects.toThrow('Invalid paper size: A3');
+    await expect(runCommand('--format pdf --margin wide')).rejects.toThrow('Invalid margin: wide');
+  });
+  
+  test('should reject an invalid --pdf-concurrency', async () => {
+    await expect(runCommand('--format pdf --pdf-concurrency 0')).rejects.toThrow('Invalid PDF concurrency: 0');
+  });
+  
+  describe('Failure reporting', () => {
+    let workDir;
+    
+    // Run outside test mode so files and PDFs are really produced; the browser path is
+    // pointed at a missing executable so every PDF fails
+    const runInWorkDir = (args) => new Promise(resolve => {
+      exec(`node ${path.resolve('./bin/cli.js')} ${args}`, {
+        cwd: workDir,
+        env: { ...process.env, NODE_ENV: 'production', PUPPETEER_EXECUTABLE_PATH: path.join(workDir, 'missing-chrome') }
+      }, (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr }));
+    });
+    
+    beforeEach(() => {
+      workDir = mockFs.bypass(() => fs.mkdtempSync(path.join(os.tmpdir(), 'faux-cv-cli-')));
+    });
+    
+    afterEach(() => {
+      mockFs.bypass(() => fs.rmSync(workDir, { recursive: true, force: true }));
+    });
+    
+    test('should report failed PDFs and stop after the first failure', async () => {
+      const { code, stdout, stderr } = await runInWorkDir('-f pdf -c 3 --pdf-concurrency 1 --seed 1');
+      
+      expect(code).toBe(1);
+      expect(stdout).not.toContain('generated successfully');
+      expect(stderr).toContain('✗ Resume 1 of 3 failed');
+      expect(stderr).not.toContain('Resume 2 of 3');
+      expect(stderr).toContain('1 of 1 resume(s) failed; 0 generated');
+      expect(stderr).toContain('skipping 2 resume(s). Use --continue-on-error');
+    });
+    
+    test('should keep going with --continue-on-error', async () => {
+      const { code, stderr } = await runInWorkDir('-f pdf -c 3 --pdf-concurrency 1 --seed 1 --continue-on-error');
+      
+      expect(code).toBe(1);
+      expect(stderr).toContain('✗ Resume 3 of 3 failed');
+      expect(stderr).toContain('3 of 3 resume(s) failed; 0 generated');
+      expect(stderr).not.toContain('--continue-on-error');
+    });
+    
+    test('should report resumes that cannot be generated and honor --continue-on-error', async () => {
+      mockFs.bypass(() => fs.writeFileSync(path.join(workDir, 'broken.mustache'), '{{#open}}'));
+      
+      const stopped = await runInWorkDir('-f markdown -c 3 --seed 1 --template broken.mustache');
+      expect(stopped.code).toBe(1);
+      expect(stopped.stderr).toContain('✗ Resume 1 of 3 failed: Unclosed section "open"');
+      expect(stopped.stderr).toContain('skipping 2 resume(s). Use --continue-on-error');
+      
+      const continued = await runInWorkDir('-f markdown -c 3 --seed 1 --template broken.mustache --continue-on-error');
+      expect(continued.code).toBe(1);
+      expect(continued.stderr).toContain('✗ Resume 3 of 3 failed');
+      expect(continued.stderr).toContain('3 of 3 resume(s) failed; 0 generated');
+    });
+    
+    test('should exit cleanly when every resume succeeds', async () => {
+      const { code, stdout, stderr } = await runInWorkDir('-f json -c 2 --seed 1');
+      
+      expect(code).toBe(0);
+      expect(stderr).toBe('');
+      expect(stdout).toContain('2 resumes generated');
+      expect(mockFs.bypass(() => fs.readdirSync(path.join(workDir, 'output')))).toHaveLength(2);
+    });
+  });
+});
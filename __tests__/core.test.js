@@ -92,6 +92,16 @@ describe('Resume Generation Core', () => {
     const markdownResult = generateResume({ format: 'markdown' });
     expect(markdownResult).not.toHaveProperty('json');
     expect(markdownResult).toHaveProperty('markdown');
+    
+    // JSON Resume only
+    const jsonResumeResult = generateResume({ format: 'jsonresume' });
+    expect(jsonResumeResult).not.toHaveProperty('json');
+    expect(jsonResumeResult).not.toHaveProperty('markdown');
+    expect(jsonResumeResult.jsonresume.basics).toHaveProperty('name', 'John Doe');
+  });
+
+  test('should always include the candidate name', () => {
+    expect(generateResume({ format: 'markdown' })).toHaveProperty('name', 'John Doe');
   });
 
   test('should throw error for invalid industry', () => {
@@ -127,6 +137,59 @@ describe('Resume Generation Core', () => {
     );
   });
 
+  test('should regenerate resumes that fail validation', () => {
+    const generators = require('../lib/generators');
+    generators.generateExperience.mockReturnValueOnce([]);
+    
+    const result = generateResume({ format: 'json' });
+    
+    expect(generators.generateExperience).toHaveBeenCalledTimes(2);
+    expect(result.json.experience).toHaveLength(1);
+  });
+
+  test('should throw error when no consistent resume can be generated', () => {
+    const generators = require('../lib/generators');
+    generators.generateSummary.mockReturnValue('');
+    
+    try {
+      expect(() => generateResume({ format: 'json' }))
+        .toThrow('Could not generate a consistent resume after 10 attempts: Section "summary" is empty');
+      expect(generators.generateSummary).toHaveBeenCalledTimes(10);
+      
+      // Opting out of validation returns the resume as generated
+      expect(generateResume({ format: 'json', validate: false }).json.summary).toBe('');
+    } finally {
+      generators.generateSummary.mockReturnValue('Professional summary text');
+    }
+  });
+
+  test('should not write to the console by default', () => {
+    const logSpy = jest.spyOn(console, 'log').mockImplementation();
+    const infoSpy = jest.spyOn(console, 'info').mockImplementation();
+    
+    generateResume();
+    
+    expect(logSpy).not.toHaveBeenCalled();
+    expect(infoSpy).not.toHaveBeenCalled();
+    logSpy.mockRestore();
+    infoSpy.mockRestore();
+  });
+
+  test('should send progress and debug output to the supplied logger', () => {
+    const logger = { info: jest.fn(), debug: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    
+    generateResume({ logger, logLevel: 'debug', industry: 'finance' });
+    
+    expect(logger.debug).toHaveBeenCalledWith('Processing resume with options:', expect.objectContaining({ industry: 'finance' }));
+    expect(logger.debug).toHaveBeenCalledWith('Generated resume data:', expect.objectContaining({ name: 'John Doe' }));
+    
+    // Per-resume details stay out of info output
+    const infoLogger = { info: jest.fn(), debug: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    generateResume({ logger: infoLogger, industry: 'finance' });
+    expect(infoLogger.info).not.toHaveBeenCalled();
+    expect(infoLogger.debug).not.toHaveBeenCalled();
+  });
+
   test('should use custom template if provided', () => {
     const customTemplate = '# Custom {{name}} Template';
     generateResume({ template: customTemplate });
@@ -0,0 +1,160 @@
+// __tests__/dataset.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { writeDataset, flattenResume, CSV_TABLES } = require('../lib/dataset');
+const { seedRandom } = require('../lib/utils');
+
+// Parse RFC 4180 CSV into rows of fields, honoring quoted commas, quotes and line breaks
+const parseCsv = text => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\r' && text[i + 1] === '\n') {
+      rows.push([...row, field]);
+      row = [];
+      field = '';
+      i++;
+    } else {
+      field += char;
+    }
+  }
+  return rows;
+};
+
+describe('Dataset Export', () => {
+  let workDir;
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'faux-cv-dataset-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+    seedRandom();
+  });
+
+  const readFile = name => fs.readFileSync(path.join(workDir, name), 'utf8');
+
+  test('should write one resume per NDJSON line with stable IDs', async () => {
+    const out = path.join(workDir, 'resumes.ndjson');
+    const result = await writeDataset({ count: 3, out, seed: 7, industry: 'finance', experienceYears: 8 });
+
+    expect(result).toMatchObject({ count: 3, files: [out] });
+    expect(result.summary.count).toBe(3);
+    expect(result.summary.industries).toEqual({ finance: 3 });
+    const lines = readFile('resumes.ndjson').trim().split('\n').map(line => JSON.parse(line));
+    expect(lines.map(line => line.id)).toEqual([1, 2, 3]);
+    lines.forEach(line => {
+      expect(line.industry).toBe('finance');
+      expect(line.experienceYears).toBe(8);
+      expect(line.name).toBeTruthy();
+      expect(Array.isArray(line.experience)).toBe(true);
+    });
+
+    // The same seed produces the same dataset
+    await writeDataset({ count: 3, out: path.join(workDir, 'again.ndjson'), seed: 7, industry: 'finance', experienceYears: 8 });
+    expect(readFile('again.ndjson')).toBe(readFile('resumes.ndjson'));
+  });
+
+  test('should write linked CSV tables next to a .csv path', async () => {
+    const result = await writeDataset({ count: 4, out: path.join(workDir, 'pool.csv'), seed: 3 });
+
+    expect(result.files.map(file => path.basename(file))).toEqual([
+      'pool.candidates.csv', 'pool.jobs.csv', 'pool.education.csv', 'pool.skills.csv'
+    ]);
+
+    const tables = {};
+    Object.keys(CSV_TABLES).forEach(table => {
+      const [header, ...rows] = parseCsv(readFile(`pool.${table}.csv`));
+      expect(header).toEqual(CSV_TABLES[table]);
+      rows.forEach(row => expect(row).toHaveLength(header.length));
+      tables[table] = rows;
+    });
+
+    expect(tables.candidates.map(row => row[0])).toEqual(['1', '2', '3', '4']);
+    expect(tables.candidates[0][7]).toBe('tech');
+
+    // Every job, degree and skill belongs to a candidate, and job IDs are unique
+    ['jobs', 'education'].forEach(table => {
+      tables[table].forEach(row => {
+        expect(['1', '2', '3', '4']).toContain(row[1]);
+        expect(row[0].startsWith(`${row[1]}-`)).toBe(true);
+      });
+    });
+    expect(new Set(tables.jobs.map(row => row[0])).size).toBe(tables.jobs.length);
+    tables.skills.forEach(row => expect(['1', '2', '3', '4']).toContain(row[0]));
+
+    // Multi-line bullet points survive quoting
+    expect(tables.jobs[0][8].split('\n').length).toBeGreaterThan(1);
+  });
+
+  test('should carry the ground-truth match of each resume against a target job', async () => {
+    const targetJob = { title: 'Data Engineer', requiredSkills: ['Python', 'SQL'], minYears: 4 };
+    await writeDataset({ count: 3, out: path.join(workDir, 'matches.ndjson'), seed: 2, targetJob, matchQuality: 'strong' });
+    await writeDataset({ count: 3, out: path.join(workDir, 'matches.csv'), seed: 2, targetJob, matchQuality: 'strong' });
+
+    const lines = readFile('matches.ndjson').trim().split('\n').map(line => JSON.parse(line));
+    const [header, ...rows] = parseCsv(readFile('matches.candidates.csv'));
+    lines.forEach((line, index) => {
+      expect(line.match.quality).toBe('strong');
+      expect(line.experienceYears).toBeGreaterThanOrEqual(4);
+      expect(rows[index].slice(header.indexOf('match_quality'))).toEqual(['strong', String(line.match.score)]);
+    });
+  });
+
+  test('should flatten a resume into table rows', () => {
+    const resumeData = {
+      name: 'Jane "JJ" Doe',
+      contactInfo: { email: 'jane@example.com', phone: '555-0100', location: 'Austin, TX', linkedin: null, website: null },
+      summary: 'Summary',
+      experience: [{
+        position: 'Engineer', company: 'Acme', startDateISO: '2020-01-01', endDateISO: null,
+        isCurrent: true, durationMonths: 24, bulletPoints: ['Built things', 'Shipped things']
+      }],
+      education: [],
+      skillCategories: [{ category: 'Technical Skills', skills: 'JavaScript, Node.js' }],
+      certifications: ['AWS', 'CKA']
+    };
+
+    const rows = flattenResume(resumeData, { id: 9, industry: 'tech', experienceYears: 2 });
+
+    expect(rows.candidates).toEqual([[9, 'Jane "JJ" Doe', 'jane@example.com', '555-0100', 'Austin, TX', null, null,
+      'tech', 2, 'Summary', 'AWS; CKA', null, null]]);
+    expect(rows.jobs).toEqual([['9-1', 9, 'Engineer', 'Acme', '2020-01-01', null, true, 24, 'Built things\nShipped things']]);
+    expect(rows.education).toEqual([]);
+    expect(rows.skills).toEqual([[9, 'Technical Skills', 'JavaScript'], [9, 'Technical Skills', 'Node.js']]);
+  });
+
+  test('should reject invalid options before writing any file', async () => {
+    const out = path.join(workDir, 'resumes.ndjson');
+
+    await expect(writeDataset({ count: 0, out })).rejects.toThrow('Invalid count: 0');
+    await expect(writeDataset({ count: 2, out: path.join(workDir, 'resumes.xlsx') }))
+      .rejects.toThrow('Unsupported dataset file');
+    await expect(writeDataset({ count: 2, out, industry: 'not-real' })).rejects.toThrow('Invalid industry: not-real');
+    await expect(writeDataset({ count: 2, out, locale: 'xx' })).rejects.toThrow('Invalid locale: xx');
+    expect(fs.readdirSync(workDir)).toEqual([]);
+
+    await expect(writeDataset({ count: 2, out: path.join(workDir, 'missing', 'resumes.ndjson') }))
+      .rejects.toThrow('ENOENT');
+  });
+});
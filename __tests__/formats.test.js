@@ -0,0 +1,506 @@
+// __tests__/formats.test.js
+
+const { validate } = require('@jsonresume/schema');
+const { generateResume } = require('../lib/index');
+const { toJsonResume } = require('../lib/formats/jsonResume');
+const zlib = require('zlib');
+const { escapeHtml, markdownToHtml, renderHtmlDocument, toHtml } = require('../lib/formats/html');
+const { LAYOUTS, isDataLayout, getLayoutStyle, renderLayout, toLayoutHtml } = require('../lib/formats/layouts');
+const { crc32, createZip } = require('../lib/formats/zip');
+const { DOCX_STYLES, toDocx } = require('../lib/formats/docx');
+const { ATS_HEADINGS, toText, toAtsText, createKeywordReport } = require('../lib/formats/text');
+
+const sampleResume = {
+  name: 'John Doe',
+  contactInfo: {
+    email: 'john.doe@example.com',
+    phone: '555-123-4567',
+    location: 'New York, NY',
+    linkedin: 'linkedin.com/in/john-doe-123456',
+    website: 'johndoe.com'
+  },
+  summary: 'Professional summary text',
+  experience: [
+    {
+      position: 'Senior Software Engineer',
+      company: 'TechCorp',
+      startDate: 'January 2020',
+      endDate: 'Present',
+      startDateISO: '2020-01-01',
+      endDateISO: null,
+      isCurrent: true,
+      durationMonths: 45,
+      bulletPoints: ['Achievement 1', 'Achievement 2']
+    },
+    {
+      position: 'Software Engineer',
+      company: 'ByteSystems',
+      startDate: 'March 2017',
+      endDate: 'December 2019',
+      startDateISO: '2017-03-01',
+      endDateISO: '2019-12-01',
+      isCurrent: false,
+      durationMonths: 33,
+      bulletPoints: ['Achievement 3']
+    }
+  ],
+  education: [
+    {
+      degree: 'Bachelor\'s',
+      field: 'Computer Science',
+      institution: 'State University',
+      graduationYear: 2016,
+      startDateISO: '2012-09-01',
+      endDateISO: '2016-05-01',
+      isCurrent: false,
+      durationMonths: 44,
+      details: ['GPA: 3.8', 'Relevant coursework: Python, Git']
+    }
+  ],
+  skillCategories: [
+    { category: 'Technical Skills', skills: 'JavaScript, React, Node.js' },
+    { category: 'Soft Skills', skills: 'Communication, Leadership' }
+  ],
+  certifications: ['AWS Certified Solutions Architect']
+};
+
+const samplePhoto = {
+  style: 'initials',
+  initials: 'JD',
+  mimeType: 'image/svg+xml',
+  dataUri: 'data:image/svg+xml;base64,PHN2Zz48L3N2Zz4='
+};
+
+// Validate a document against the official JSON Resume schema
+const validateJsonResume = (document) => validate(document, (errors, valid) => ({ errors, valid }));
+
+// Read the entries of a ZIP archive through its central directory, checking each CRC
+const readZip = (buffer) => {
+  const entries = {};
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  let offset = buffer.readUInt32LE(end + 16);
+  
+  for (let i = 0; i < buffer.readUInt16LE(end + 10); i++) {
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const local = buffer.readUInt32LE(offset + 42);
+    const dataStart = local + 30 + buffer.readUInt16LE(local + 26);
+    const data = zlib.inflateRawSync(buffer.subarray(dataStart, dataStart + buffer.readUInt32LE(offset + 20)));
+    
+    expect(crc32(data)).toBe(buffer.readUInt32LE(offset + 16));
+    entries[name] = data.toString('utf8');
+    offset += 46 + nameLength;
+  }
+  
+  return entries;
+};
+
+describe('Output Formats', () => {
+  describe('JSON Resume', () => {
+    test('should map resume data onto the JSON Resume sections', () => {
+      const document = toJsonResume(sampleResume);
+      
+      expect(document.basics).toEqual({
+        name: 'John Doe',
+        label: 'Senior Software Engineer',
+        email: 'john.doe@example.com',
+        phone: '555-123-4567',
+        url: 'https://johndoe.com',
+        summary: 'Professional summary text',
+        location: { city: 'New York', region: 'NY' },
+        profiles: [{
+          network: 'LinkedIn',
+          username: 'john-doe-123456',
+          url: 'https://linkedin.com/in/john-doe-123456'
+        }]
+      });
+      
+      expect(document.work[0]).toEqual({
+        name: 'TechCorp',
+        position: 'Senior Software Engineer',
+        startDate: '2020-01-01',
+        highlights: ['Achievement 1', 'Achievement 2']
+      });
+      expect(document.work[1].endDate).toBe('2019-12-01');
+      
+      expect(document.education[0]).toEqual({
+        institution: 'State University',
+        area: 'Computer Science',
+        studyType: 'Bachelor\'s',
+        startDate: '2012-09-01',
+        endDate: '2016-05-01',
+        score: '3.8',
+        courses: ['Python', 'Git']
+      });
+      
+      expect(document.skills[0]).toEqual({ name: 'Technical Skills', keywords: ['JavaScript', 'React', 'Node.js'] });
+      expect(document.certificates).toEqual([{ name: 'AWS Certified Solutions Architect' }]);
+    });
+
+    test('should produce documents valid against the JSON Resume schema', () => {
+      expect(validateJsonResume(toJsonResume(sampleResume))).toEqual({ errors: null, valid: true });
+      expect(validateJsonResume(toJsonResume({ ...sampleResume, photo: samplePhoto }))).toEqual({ errors: null, valid: true });
+      
+      const minimal = toJsonResume({ ...sampleResume, contactInfo: { email: 'a@b.co', location: 'Springfield' } });
+      expect(minimal.basics.profiles).toEqual([]);
+      expect(validateJsonResume(minimal)).toEqual({ errors: null, valid: true });
+      
+      [1, 2, 3].forEach(seed => {
+        const resume = generateResume({ seed, experienceYears: 10, format: 'jsonresume' });
+        expect(validateJsonResume(resume.jsonresume)).toEqual({ errors: null, valid: true });
+      });
+    });
+
+    test('should map structured addresses of every locale to the location', () => {
+      const address = { city: 'Berlin', postalCode: '10115', countryCode: 'DE' };
+      expect(toJsonResume({ ...sampleResume, contactInfo: { ...sampleResume.contactInfo, location: '10115 Berlin', address } }).basics.location)
+        .toEqual(address);
+
+      const locations = {};
+      ['en_GB', 'de', 'fr', 'pt_BR'].forEach(locale => {
+        const resume = generateResume({ seed: 4, locale, format: 'jsonresume' });
+        expect(validateJsonResume(resume.jsonresume)).toEqual({ errors: null, valid: true });
+        locations[locale] = resume.jsonresume.basics.location;
+      });
+
+      expect(locations.en_GB).toEqual({ city: expect.not.stringMatching(/\d/), postalCode: expect.stringMatching(/^[A-Z0-9]+ [A-Z0-9]+$/), countryCode: 'GB' });
+      expect(locations.de).toEqual({ city: expect.not.stringMatching(/\d/), postalCode: expect.stringMatching(/^\d{5}$/), countryCode: 'DE' });
+      expect(locations.fr).toEqual({ city: expect.not.stringMatching(/\d/), postalCode: expect.stringMatching(/^\d{5}$/), countryCode: 'FR' });
+      expect(locations.pt_BR).toEqual({ city: expect.not.stringMatching(/ - /), region: expect.stringMatching(/^[A-Z]{2}$/), countryCode: 'BR' });
+    });
+  });
+
+  describe('HTML', () => {
+    test('should escape HTML special characters', () => {
+      expect(escapeHtml(`<a href="x">Tom & Jerry's</a>`))
+        .toBe('&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;');
+    });
+
+    test('should convert markdown to an HTML fragment', () => {
+      const html = markdownToHtml('# John Doe\n\n- **Skill**');
+      
+      expect(html).toContain('<h1 id="johndoe">John Doe</h1>');
+      expect(html).toContain('<li><strong>Skill</strong></li>');
+    });
+
+    test('should wrap a fragment in a standalone document', () => {
+      const html = renderHtmlDocument({ title: 'A <b> title', css: 'h1 { color: red; }', body: '<p>Body</p>' });
+      
+      expect(html).toMatch(/^<!DOCTYPE html>/);
+      expect(html).toContain('<title>A &lt;b&gt; title</title>');
+      expect(html).toContain('<style>h1 { color: red; }</style>');
+      expect(html).toContain('<p>Body</p>');
+    });
+
+    test('should style the document with the requested style and color', () => {
+      const html = toHtml('# John Doe', { style: 'modern', color: '#ff0000', name: 'John Doe' });
+      
+      expect(html).toContain('<title>John Doe - Resume</title>');
+      expect(html).toContain('font-family: \'Segoe UI\'');
+      expect(html).toContain('color: #ff0000');
+      
+      const defaults = toHtml('# John Doe');
+      expect(defaults).toContain('<title>Resume - Resume</title>');
+      expect(defaults).toContain('color: #0066cc');
+    });
+
+    test('should throw error when showdown is not installed', () => {
+      jest.isolateModules(() => {
+        jest.doMock('showdown', () => {
+          throw new Error('Cannot find module \'showdown\'');
+        });
+        const html = require('../lib/formats/html');
+        
+        expect(() => html.markdownToHtml('# John Doe')).toThrow('HTML output requires the optional "showdown" package');
+      });
+      jest.dontMock('showdown');
+    });
+
+    test('should be available as a generateResume format', () => {
+      const resume = generateResume({ seed: 7, format: 'html', pdfStyle: 'professional', pdfColor: '#336699' });
+      
+      expect(resume).not.toHaveProperty('markdown');
+      expect(resume).not.toHaveProperty('json');
+      expect(resume.html).toContain(`<title>${escapeHtml(resume.name)} - Resume</title>`);
+      expect(resume.html).toContain('font-family: \'Garamond\'');
+      expect(resume.html).toContain('color: #336699');
+      expect(resume.html).toContain('<h2 id="summary">Summary</h2>');
+    });
+  });
+
+  describe('Layouts', () => {
+    test('should list the classic layout and the data-driven layouts', () => {
+      expect(LAYOUTS).toEqual(['classic', 'sidebar', 'timeline']);
+      expect(isDataLayout('sidebar')).toBe(true);
+      expect(isDataLayout('classic')).toBe(false);
+      expect(getLayoutStyle('classic')).toBe('');
+      expect(() => renderLayout(sampleResume, 'classic')).toThrow('Invalid layout: classic');
+    });
+
+    test('should put contact details, skills and certifications in the sidebar', () => {
+      const html = renderLayout(sampleResume, 'sidebar');
+      const [sidebar, main] = html.split('<main class="main">');
+      
+      expect(sidebar).toContain('<li>john.doe@example.com</li>');
+      expect(sidebar).toContain('<a href="linkedin.com/in/john-doe-123456">LinkedIn</a>');
+      expect(sidebar).toContain('<h3>Technical Skills</h3><ul><li>JavaScript</li><li>React</li><li>Node.js</li></ul>');
+      expect(sidebar).toContain('<li>AWS Certified Solutions Architect</li>');
+      expect(main).toContain('<h1>John Doe</h1>');
+      expect(main).toContain('<h3>Senior Software Engineer</h3>');
+      expect(main).toContain('TechCorp | January 2020 - Present');
+      expect(main).toContain('<h3>Bachelor&#39;s in Computer Science</h3>');
+    });
+
+    test('should lay out experience and education along a timeline', () => {
+      const html = renderLayout({
+        ...sampleResume,
+        contactInfo: { email: 'a@b.co', phone: '555', location: 'Springfield' },
+        certifications: []
+      }, 'timeline');
+      
+      expect(html.match(/<li class="timeline-entry">/g)).toHaveLength(3);
+      expect(html).toContain('<div class="timeline-date">March 2017 - December 2019</div>');
+      expect(html).toContain('<div class="timeline-date">2016</div>');
+      expect(html).toContain('JavaScript · React · Node.js');
+      expect(html).not.toContain('LinkedIn');
+      expect(html).not.toContain('Certifications');
+    });
+
+    test('should show the profile photo in both layouts', () => {
+      const image = `<img class="photo" src="${samplePhoto.dataUri}" alt="Photo of John Doe">`;
+      
+      expect(renderLayout({ ...sampleResume, photo: samplePhoto }, 'sidebar')).toContain(`<aside class="sidebar">\n${image}`);
+      expect(renderLayout({ ...sampleResume, photo: samplePhoto }, 'timeline')).toContain(image);
+      expect(renderLayout(sampleResume, 'timeline')).not.toContain('<img');
+    });
+
+    test('should escape resume data', () => {
+      const html = renderLayout({ ...sampleResume, name: '<script>alert(1)</script>' }, 'timeline');
+      
+      expect(html).toContain('&lt;script&gt;');
+      expect(html).not.toContain('<script>');
+    });
+
+    test('should combine the style, its color and the layout rules in a document', () => {
+      const html = toLayoutHtml(sampleResume, { layout: 'sidebar', style: 'modern', color: '#336699' });
+      
+      expect(html).toContain('<title>John Doe - Resume</title>');
+      expect(html).toContain('font-family: \'Segoe UI\'');
+      expect(html).toContain('--primary-color: #336699;');
+      expect(html).toContain('grid-template-columns: 32% 1fr');
+      expect(toLayoutHtml(sampleResume, { layout: 'timeline' })).toContain('--primary-color: #0066cc;');
+    });
+
+    test('should be available through the generateResume layout option', () => {
+      const html = generateResume({ seed: 7, format: 'html', layout: 'sidebar' });
+      expect(html.html).toContain('<div class="layout layout-sidebar">');
+      expect(html).not.toHaveProperty('json');
+      
+      const pdf = generateResume({ seed: 7, format: 'pdf', layout: 'timeline' });
+      expect(pdf.html).toContain('<div class="layout layout-timeline">');
+      expect(pdf.json.name).toBe(pdf.name);
+      expect(pdf.markdown).toContain(`# ${pdf.name}`);
+      
+      expect(generateResume({ seed: 7, format: 'pdf' })).not.toHaveProperty('html');
+      expect(() => generateResume({ layout: 'grid' })).toThrow('Invalid layout: grid. Available layouts: classic, sidebar, timeline');
+    });
+  });
+
+  describe('ZIP', () => {
+    test('should calculate standard CRC-32 checksums', () => {
+      expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+      expect(crc32(Buffer.alloc(0))).toBe(0);
+    });
+
+    test('should create archives that round-trip their entries', () => {
+      const zip = createZip([
+        { name: 'a.txt', data: 'Hello' },
+        { name: 'dir/b.bin', data: Buffer.from([1, 2, 3]) }
+      ]);
+      
+      expect(zip.subarray(0, 4)).toEqual(Buffer.from('PK\x03\x04', 'latin1'));
+      expect(readZip(zip)).toEqual({ 'a.txt': 'Hello', 'dir/b.bin': '\x01\x02\x03' });
+      
+      // Fixed timestamps keep archives reproducible
+      expect(createZip([{ name: 'a.txt', data: 'Hello' }])).toEqual(createZip([{ name: 'a.txt', data: 'Hello' }]));
+    });
+  });
+
+  describe('DOCX', () => {
+    test('should package a Word document with styles, numbering and relationships', () => {
+      const parts = readZip(toDocx(sampleResume));
+      
+      expect(Object.keys(parts)).toEqual([
+        '[Content_Types].xml',
+        '_rels/.rels',
+        'docProps/core.xml',
+        'word/document.xml',
+        'word/styles.xml',
+        'word/numbering.xml',
+        'word/_rels/document.xml.rels'
+      ]);
+      expect(parts['_rels/.rels']).toContain('Target="word/document.xml"');
+      expect(parts['docProps/core.xml']).toContain('<dc:title>John Doe - Resume</dc:title>');
+      expect(parts['word/numbering.xml']).toContain('<w:numFmt w:val="bullet"/>');
+    });
+
+    test('should lay out the resume like the default markdown template', () => {
+      const parts = readZip(toDocx(sampleResume));
+      const document = parts['word/document.xml'];
+      const text = [...document.matchAll(/<w:t xml:space="preserve">([^<]*)<\/w:t>/g)].map(match => match[1]);
+      
+      expect(text.slice(0, 10)).toEqual([
+        'John Doe',
+        'john.doe@example.com', ' | ', '555-123-4567', ' | ', 'New York, NY', ' | ', 'LinkedIn', ' | ', 'Website'
+      ]);
+      expect(text).toEqual(expect.arrayContaining([
+        'Summary', 'Experience', 'Education', 'Skills', 'Certifications',
+        'Senior Software Engineer | TechCorp | January 2020 - Present',
+        'Bachelor&apos;s in Computer Science | State University | 2016',
+        'Technical Skills', 'JavaScript, React, Node.js'
+      ]));
+      expect(document).toContain('<w:pStyle w:val="Heading1"/></w:pPr><w:r><w:t xml:space="preserve">Experience');
+      expect(document.match(/<w:numId w:val="1"\/>/g)).toHaveLength(6);
+      
+      // Hyperlinks resolve to external relationships
+      const relationships = parts['word/_rels/document.xml.rels'];
+      expect(document).toContain('<w:hyperlink r:id="rId3">');
+      expect(relationships).toContain('Id="rId3" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink" Target="https://linkedin.com/in/john-doe-123456" TargetMode="External"');
+      expect(relationships).toContain('Target="https://johndoe.com"');
+    });
+
+    test('should omit optional links and empty certifications', () => {
+      const parts = readZip(toDocx({
+        ...sampleResume,
+        contactInfo: { email: 'a@b.co', phone: '555', location: 'Springfield' },
+        certifications: []
+      }));
+      
+      expect(parts['word/document.xml']).not.toContain('<w:hyperlink');
+      expect(parts['word/document.xml']).not.toContain('Certifications');
+      expect(parts['word/_rels/document.xml.rels']).not.toContain('hyperlink');
+    });
+
+    test('should translate the section headings for a locale', () => {
+      const document = readZip(toDocx(sampleResume, { locale: 'de' }))['word/document.xml'];
+      
+      expect(document).toContain('<w:t xml:space="preserve">Berufserfahrung</w:t>');
+      expect(document).not.toContain('>Experience<');
+    });
+
+    test('should apply the requested style and color', () => {
+      const styles = (options) => readZip(toDocx(sampleResume, options))['word/styles.xml'];
+      
+      const professional = styles({ style: 'professional', color: '#336699' });
+      expect(professional).toContain('w:ascii="Garamond"');
+      expect(professional).toContain('<w:color w:val="336699"/>');
+      expect(professional).toContain('<w:jc w:val="center"/>');
+      
+      const modern = styles({ style: 'modern', color: '#c33' });
+      expect(modern).toContain('w:ascii="Segoe UI"');
+      expect(modern).toContain('<w:left w:val="single" w:sz="24" w:space="8" w:color="CC3333"/>');
+      
+      const fallback = styles({ style: 'unknown', color: 'red' });
+      expect(fallback).toContain(`w:ascii="${DOCX_STYLES.default.font}"`);
+      expect(fallback).toContain('<w:color w:val="0066CC"/>');
+      
+      expect(styles()).toEqual(fallback);
+      expect(styles({ style: 'minimal' })).toContain('w:ascii="Helvetica"');
+    });
+
+    test('should be available as a generateResume format', () => {
+      const resume = generateResume({ seed: 7, format: 'docx', pdfStyle: 'minimal' });
+      
+      expect(Buffer.isBuffer(resume.docx)).toBe(true);
+      expect(resume).not.toHaveProperty('markdown');
+      expect(readZip(resume.docx)['word/document.xml']).toContain(resume.name.replace(/'/g, '&apos;'));
+      expect(generateResume({ seed: 7, format: 'docx', pdfStyle: 'minimal' }).docx).toEqual(resume.docx);
+    });
+  });
+
+  describe('Plain text', () => {
+    test('should lay out the resume without markdown syntax', () => {
+      const text = toText(sampleResume);
+      
+      expect(text).toBe([
+        'John Doe',
+        'john.doe@example.com | 555-123-4567 | New York, NY | linkedin.com/in/john-doe-123456 | johndoe.com',
+        '',
+        'SUMMARY',
+        'Professional summary text',
+        '',
+        'EXPERIENCE',
+        'Senior Software Engineer | TechCorp | January 2020 - Present',
+        '• Achievement 1',
+        '• Achievement 2',
+        '',
+        'Software Engineer | ByteSystems | March 2017 - December 2019',
+        '• Achievement 3',
+        '',
+        'EDUCATION',
+        'Bachelor\'s in Computer Science | State University | 2016',
+        '• GPA: 3.8',
+        '• Relevant coursework: Python, Git',
+        '',
+        'SKILLS',
+        'Technical Skills: JavaScript, React, Node.js',
+        'Soft Skills: Communication, Leadership',
+        '',
+        'CERTIFICATIONS',
+        '• AWS Certified Solutions Architect',
+        ''
+      ].join('\n'));
+      expect(text).not.toMatch(/[#*[\]]/);
+    });
+
+    test('should use conventional headers and no links in the ATS variant', () => {
+      const text = toAtsText(sampleResume);
+      
+      Object.values(ATS_HEADINGS).forEach(heading => expect(text).toContain(`\n${heading}\n`));
+      expect(text).not.toContain('linkedin');
+      expect(text).not.toContain('johndoe.com');
+      expect(text).toContain('Senior Software Engineer\nTechCorp\nJanuary 2020 - Present\n- Achievement 1');
+      expect(text).toContain('Bachelor\'s in Computer Science\nState University\n2016\n- GPA: 3.8');
+      expect(text).toMatch(/^[\x20-\x7e\n]*$/);
+    });
+
+    test('should omit empty certifications', () => {
+      const resume = { ...sampleResume, certifications: [] };
+      
+      expect(toText(resume)).not.toContain('CERTIFICATIONS');
+      expect(toAtsText(resume)).not.toContain('CERTIFICATIONS');
+    });
+
+    test('should report keyword density', () => {
+      const report = createKeywordReport('Node.js and C++ experts. node.js, React; Reactive Java', ['Node.js', 'C++', 'React', 'Go']);
+      
+      expect(report).toEqual({
+        totalWords: 8,
+        coverage: 75,
+        keywords: [
+          { keyword: 'Node.js', count: 2, density: 25 },
+          { keyword: 'C++', count: 1, density: 12.5 },
+          { keyword: 'React', count: 1, density: 12.5 }
+        ],
+        missing: ['Go']
+      });
+      expect(createKeywordReport('', []).coverage).toBe(0);
+      expect(createKeywordReport('C# and C++', ['C']).missing).toEqual(['C']);
+    });
+
+    test('should be available as generateResume formats', () => {
+      const txt = generateResume({ seed: 3, format: 'txt' });
+      expect(txt.txt).toMatch(new RegExp(`^${txt.name}\n`));
+      expect(txt).not.toHaveProperty('markdown');
+      
+      const ats = generateResume({ seed: 3, format: 'ats', industry: 'finance' });
+      expect(ats.ats).toContain(ATS_HEADINGS.experience);
+      expect(ats).not.toHaveProperty('keywordReport');
+      
+      const withReport = generateResume({ seed: 3, format: 'ats', industry: 'finance', keywordReport: true });
+      const { skills } = require('../lib/data/industries').finance;
+      expect(withReport.keywordReport.keywords.length + withReport.keywordReport.missing.length).toBe(skills.length);
+      expect(withReport.keywordReport.keywords.length).toBeGreaterThan(0);
+    });
+  });
+});
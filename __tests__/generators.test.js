@@ -6,6 +6,7 @@ const experience = require('../lib/generators/experience');
 const education = require('../lib/generators/education');
 const skills = require('../lib/generators/skills');
 const certifications = require('../lib/generators/certifications');
+const photo = require('../lib/generators/photo');
 const industries = require('../lib/data/industries');
 
 jest.mock('@faker-js/faker', () => {
@@ -41,12 +42,19 @@ jest.mock('@faker-js/faker', () => {
 // Mock utils functions
 jest.mock('../lib/utils', () => {
   return {
+    random: jest.fn().mockImplementation(() => Math.random()),
     randomInt: jest.fn().mockImplementation((min, max) => min),
     pickRandom: jest.fn().mockImplementation(array => array[0]),
     pickMultiple: jest.fn().mockImplementation((array, min, max) => array.slice(0, min)),
+    toIsoDate: jest.requireActual('../lib/utils').toIsoDate,
+    monthsBetween: jest.requireActual('../lib/utils').monthsBetween,
     generateDateRange: jest.fn().mockImplementation((years, months, isCurrent) => ({
       startDate: 'January 2020',
-      endDate: isCurrent ? 'Present' : 'January 2021'
+      endDate: isCurrent ? 'Present' : 'January 2021',
+      startDateISO: '2020-01-01',
+      endDateISO: isCurrent ? null : '2021-01-01',
+      isCurrent,
+      durationMonths: 12
     }))
   };
 });
@@ -73,6 +81,13 @@ describe('Resume Generators', () => {
       expect(info.contactInfo.website).toBe('johndoe.com');
     });
 
+    test('should include a photo only when requested', () => {
+      expect(basicInfo.generateBasicInfo({}).photo).toBeNull();
+      
+      const info = basicInfo.generateBasicInfo({ includePhoto: true, photoStyle: 'identicon' });
+      expect(info.photo).toEqual(photo.generatePhoto('John Doe', 'identicon'));
+    });
+
     test('should use the specified gender', () => {
       basicInfo.generateBasicInfo({ gender: 'female' });
       const { faker } = require('@faker-js/faker');
@@ -100,6 +115,11 @@ describe('Resume Generators', () => {
       expect(result).toContain('Seasoned');
       expect(result).toContain('10 years');
     });
+
+    test('should use the current title when provided', () => {
+      const result = summary.generateSummary(techIndustryData, 10, { currentTitle: 'Staff Software Engineer' });
+      expect(result).toContain('Seasoned Staff Software Engineer');
+    });
   });
 
   describe('Experience Generator', () => {
@@ -126,6 +146,55 @@ describe('Resume Generators', () => {
       expect(Array.isArray(result.bulletPoints)).toBe(true);
       expect(result.bulletPoints.length).toBeGreaterThan(0);
     });
+
+    test('should carry structured dates on each job', () => {
+      const [current, previous] = experience.generateExperience(techIndustryData, 5, {});
+      expect(current).toMatchObject({ startDateISO: '2020-01-01', endDateISO: null, isCurrent: true, durationMonths: 12 });
+      expect(previous).toMatchObject({ endDateISO: '2021-01-01', isCurrent: false });
+    });
+
+    test('should progress titles along a career ladder', () => {
+      const result = experience.generateExperience(techIndustryData, 10, {});
+      const ladder = techIndustryData.careerLadders[0];
+      const levels = result.map(job => ladder.indexOf(job.position));
+      
+      // Entries are ordered most recent first, so levels must never increase going back in time
+      levels.forEach(level => expect(level).toBeGreaterThanOrEqual(0));
+      for (let i = 1; i < levels.length; i++) {
+        expect(levels[i]).toBeLessThanOrEqual(levels[i - 1]);
+      }
+      expect(result[result.length - 1].position).toBe('Junior Software Engineer');
+    });
+
+    test('should build a prefixed ladder for industries without careerLadders', () => {
+      const { careerLadders, ...customIndustry } = techIndustryData;
+      const result = experience.generateExperience(customIndustry, 10, {});
+      expect(result[result.length - 1].position).toBe('Junior Software Engineer');
+      expect(result[0].position).toMatch(/^(Senior|Lead|Principal) Software Engineer$/);
+    });
+
+    test('should climb the ladder of a fixed current title', () => {
+      expect(experience.pickCareerLadder(techIndustryData, 'senior data scientist')).toBe(techIndustryData.careerLadders[4]);
+      expect(experience.pickCareerLadder(techIndustryData, 'Lead Platform Engineer'))
+        .toEqual(['Junior Platform Engineer', 'Platform Engineer', 'Senior Platform Engineer', 'Lead Platform Engineer', 'Principal Platform Engineer']);
+      // A title without a seniority prefix tops an ordinary ladder instead of getting prefixes of its own
+      expect(experience.pickCareerLadder(techIndustryData, 'Head of Data')).toEqual([...techIndustryData.careerLadders[0], 'Head of Data']);
+      const history = experience.generateExperience(techIndustryData, 12, { currentTitle: 'Head of Data', jobCount: 4 });
+      expect(history[0].position).toBe('Head of Data');
+      history.slice(1).forEach(job => expect(techIndustryData.careerLadders[0]).toContain(job.position));
+
+      const result = experience.generateExperience(techIndustryData, 20, { currentTitle: 'Senior Data Scientist', jobCount: 4 });
+      expect(result.map(job => job.position)).toEqual(['Senior Data Scientist', 'Senior Data Scientist', 'Senior Data Scientist', 'Junior Data Scientist']);
+    });
+
+    test('should map years of experience to seniority levels', () => {
+      expect(experience.getSeniorityLevel(0, 5)).toBe(0);
+      expect(experience.getSeniorityLevel(3, 5)).toBe(1);
+      expect(experience.getSeniorityLevel(6, 5)).toBe(2);
+      expect(experience.getSeniorityLevel(20, 5)).toBe(4);
+      expect(experience.getSeniorityLevel(20, 3)).toBe(2);
+      expect(experience.getSeniorityLevel(16, 7)).toBe(5);
+    });
   });
 
   describe('Education Generator', () => {
@@ -139,6 +208,29 @@ describe('Resume Generators', () => {
       expect(result[0].graduationYear).toBeDefined();
     });
 
+    test('should carry structured study dates on each degree', () => {
+      const [bachelors] = education.generateEducation(techIndustryData, 3, {});
+      const year = bachelors.graduationYear;
+      expect(bachelors).toMatchObject({
+        startDateISO: `${year - 4}-09-01`,
+        endDateISO: `${year}-05-01`,
+        isCurrent: false,
+        durationMonths: 44
+      });
+    });
+
+    test('should complete every degree before the first job starts', () => {
+      const originalRandom = Math.random;
+      Math.random = jest.fn().mockReturnValue(0.8);
+      
+      const [advanced, bachelors] = education.generateEducation(techIndustryData, 8, { firstJobStart: '2016-03-01' });
+      expect(advanced.endDateISO).toBe('2015-05-01');
+      expect(bachelors).toMatchObject({ degree: 'Bachelor\'s', endDateISO: '2013-05-01' });
+      expect(education.generateEducation(techIndustryData, 8, { firstJobStart: '2016-06-01' })[0].endDateISO).toBe('2016-05-01');
+      
+      Math.random = originalRandom;
+    });
+
     test('should sometimes include GPA and relevant coursework', () => {
       // Mock Math.random to return 0.6 to ensure GPA is included
       const originalRandom = Math.random;
@@ -263,5 +355,56 @@ describe('Resume Generators', () => {
       expect(Array.isArray(result)).toBe(true);
       expect(result.length).toBeGreaterThan(0);
     });
+
+    test('should honor a minimum number of certifications, even for junior profiles', () => {
+      const utils = require('../lib/utils');
+      const allCerts = techIndustryData.certifications;
+
+      expect(certifications.generateCertifications(techIndustryData, 1, { minCertifications: 2 })).toHaveLength(2);
+      expect(utils.pickMultiple).toHaveBeenLastCalledWith(allCerts, 2, 2);
+
+      // The minimum is capped at the number of certifications the industry has
+      certifications.generateCertifications(techIndustryData, 8, { minCertifications: 99 });
+      expect(utils.pickMultiple).toHaveBeenLastCalledWith(allCerts, allCerts.length, allCerts.length);
+    });
+  });
+
+  describe('Photo Generator', () => {
+    // Decode the SVG markup from a photo's data URI
+    const svgOf = result => Buffer.from(result.dataUri.replace('data:image/svg+xml;base64,', ''), 'base64').toString('utf8');
+
+    test('should draw an initials badge by default', () => {
+      const result = photo.generatePhoto('Mary Ann Smith');
+      
+      expect(result).toMatchObject({ style: 'initials', initials: 'MS', mimeType: 'image/svg+xml' });
+      expect(svgOf(result)).toMatch(/^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg" width="120" height="120"/);
+      expect(svgOf(result)).toContain('>MS</text>');
+    });
+
+    test('should take initials from letters and digits only', () => {
+      expect(photo.generatePhoto('zoë (o\'brien)').initials).toBe('ZO');
+      expect(photo.generatePhoto('Cher').initials).toBe('C');
+    });
+
+    test('should draw a mirrored identicon', () => {
+      const svg = svgOf(photo.generatePhoto('John Doe', 'identicon'));
+      const cells = [...svg.matchAll(/<rect x="(\d+)" y="(\d+)"/g)].map(([, x, y]) => `${x},${y}`);
+      
+      expect(cells.length).toBeGreaterThan(0);
+      cells.forEach(cell => {
+        const [x, y] = cell.split(',').map(Number);
+        expect(cells).toContain(`${120 - x - 20},${y}`);
+      });
+      expect(svg).not.toContain('<text');
+    });
+
+    test('should derive the same photo from the same name', () => {
+      expect(photo.generatePhoto('John Doe')).toEqual(photo.generatePhoto('John Doe'));
+      expect(photo.generatePhoto('John Doe').dataUri).not.toBe(photo.generatePhoto('Jane Doe').dataUri);
+    });
+
+    test('should throw error for unknown styles', () => {
+      expect(() => photo.generatePhoto('John Doe', 'selfie')).toThrow('Invalid photo style: selfie. Available photo styles: initials, identicon');
+    });
   });
-});
\ No newline at end of file
+});
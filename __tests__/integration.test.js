@@ -1,6 +1,7 @@
 // __tests__/integration.test.js
 
-const { generateResume } = require('../lib/index');
+const { generateResume, generateResumes, createResumeStream } = require('../lib/index');
+const { deriveSeed } = require('../lib/utils');
 const fs = require('fs');
 const mockFs = require('mock-fs');
 const path = require('path');
@@ -146,6 +147,45 @@ describe('Resume Generation Integration Tests', () => {
     expect(maleResume.json.name).not.toBe(femaleResume.json.name);
   });
 
+  test('should produce identical output for the same seed', () => {
+    const first = generateResume({ seed: 2024, industry: 'finance', experienceYears: 9 });
+    const second = generateResume({ seed: 2024, industry: 'finance', experienceYears: 9 });
+    const other = generateResume({ seed: 2025, industry: 'finance', experienceYears: 9 });
+    
+    expect(JSON.stringify(second.json)).toBe(JSON.stringify(first.json));
+    expect(second.markdown).toBe(first.markdown);
+    expect(JSON.stringify(other.json)).not.toBe(JSON.stringify(first.json));
+  });
+
+  test('should compute all dates relative to referenceDate', () => {
+    const options = { seed: 7, experienceYears: 12, referenceDate: '2020-06-15', format: 'both' };
+    const resume = generateResume(options);
+    
+    // Same seed and reference date must give the same output regardless of the real clock
+    jest.useFakeTimers({ now: new Date(2031, 0, 1) });
+    try {
+      const later = generateResume(options);
+      expect(JSON.stringify(later.json)).toBe(JSON.stringify(resume.json));
+      expect(later.markdown).toBe(resume.markdown);
+    } finally {
+      jest.useRealTimers();
+    }
+    
+    const current = resume.json.experience[0];
+    expect(current.endDate).toBe('Present');
+    expect(current.startDateISO <= '2020-06-01').toBe(true);
+    resume.json.experience.forEach(job => {
+      expect(job.startDateISO < '2020-07-01').toBe(true);
+    });
+    resume.json.education.forEach(entry => {
+      expect(entry.graduationYear).toBeLessThanOrEqual(2020);
+    });
+  });
+
+  test('should throw error for an invalid referenceDate', () => {
+    expect(() => generateResume({ referenceDate: '2020-02-31' })).toThrow('Invalid date: 2020-02-31');
+  });
+
   test('should handle includeLinkedin and includeWebsite options', () => {
     const withBoth = generateResume({
       includeLinkedin: true,
@@ -165,4 +205,95 @@ describe('Resume Generation Integration Tests', () => {
     expect(withoutBoth.json.contactInfo.linkedin).toBeNull();
     expect(withoutBoth.json.contactInfo.website).toBeNull();
   });
-});
\ No newline at end of file
+
+  test('should attach a photo without changing the rest of a seeded resume', () => {
+    const withoutPhoto = generateResume({ seed: 31, format: 'both' });
+    const withPhoto = generateResume({ seed: 31, format: 'both', includePhoto: true });
+    
+    expect(withoutPhoto.json.photo).toBeNull();
+    expect(withPhoto.json.photo.dataUri).toMatch(/^data:image\/svg\+xml;base64,/);
+    expect(JSON.stringify({ ...withPhoto.json, photo: null })).toBe(JSON.stringify(withoutPhoto.json));
+    
+    // The default template puts the photo under the name, and JSON Resume uses it as the image
+    expect(withPhoto.markdown).toContain(`# ${withPhoto.name}\n\n![Photo of ${withPhoto.name}](${withPhoto.json.photo.dataUri})\n\n`);
+    expect(withoutPhoto.markdown).not.toContain('![Photo');
+    expect(generateResume({ seed: 31, format: 'jsonresume', includePhoto: true }).jsonresume.basics.image).toBe(withPhoto.json.photo.dataUri);
+  });
+
+  describe('Batch Generation', () => {
+    // Drain an async iterable into an array
+    const collect = async iterable => {
+      const items = [];
+      for await (const item of iterable) {
+        items.push(item);
+      }
+      return items;
+    };
+
+    test('should yield resumes one by one with seeds derived from the base seed', async () => {
+      const resumes = await collect(generateResumes({ count: 3, seed: 42 }));
+      
+      expect(resumes.map(resume => resume.index)).toEqual([0, 1, 2]);
+      expect(new Set(resumes.map(resume => resume.seed)).size).toBe(3);
+      resumes.forEach(resume => {
+        expect(resume.industry).toBe('tech');
+        expect(resume.experienceYears).toBe(5);
+        expect(resume.json.name).toBe(resume.name);
+        expect(resume.markdown).toBeUndefined();
+      });
+      
+      // Each resume is independent of the count and reproducible on its own
+      const [first] = await collect(generateResumes({ count: 1, seed: 42 }));
+      expect(first.json).toEqual(resumes[0].json);
+      const { json } = generateResume({ format: 'json', seed: resumes[2].seed, industry: 'tech', experienceYears: 5 });
+      expect(json).toEqual(resumes[2].json);
+      
+      const [unseeded] = await collect(generateResumes({ count: 1 }));
+      expect(unseeded.seed).toBeUndefined();
+    });
+
+    test('should mix industries and experience ranges per resume', async () => {
+      const resumes = await collect(generateResumes({
+        count: 30,
+        seed: 'mixed',
+        industry: ['finance', 'healthcare'],
+        experienceYears: [2, 12],
+        format: 'markdown'
+      }));
+      
+      expect(new Set(resumes.map(resume => resume.industry))).toEqual(new Set(['finance', 'healthcare']));
+      resumes.forEach(resume => {
+        expect(resume.experienceYears).toBeGreaterThanOrEqual(2);
+        expect(resume.experienceYears).toBeLessThanOrEqual(12);
+        expect(resume.markdown).toContain(`# ${resume.name}`);
+      });
+      expect(new Set(resumes.map(resume => resume.experienceYears)).size).toBeGreaterThan(1);
+    });
+
+    test('should stream resumes as objects', async () => {
+      const stream = createResumeStream({ count: 2, seed: 42 });
+      const streamed = await collect(stream);
+      const generated = await collect(generateResumes({ count: 2, seed: 42 }));
+      
+      expect(streamed.map(resume => resume.json)).toEqual(generated.map(resume => resume.json));
+    });
+
+    test('should reject invalid batch options', async () => {
+      await expect(collect(generateResumes({ count: -1 }))).rejects.toThrow('Invalid count: -1');
+      await expect(collect(generateResumes({ count: 1, industry: ['tech', 'not-real'] }))).rejects.toThrow('Invalid industry: not-real');
+      await expect(collect(generateResumes({ count: 1, industry: [] }))).rejects.toThrow('Expected at least one industry');
+      await expect(collect(generateResumes({ count: 1, experienceYears: [8, 3] }))).rejects.toThrow('Invalid experience range: [8,3]');
+    });
+
+    test('should yield failed resumes and go on with continueOnError', async () => {
+      const options = { count: 3, seed: 5, format: 'markdown', template: '{{#open}}' };
+      
+      await expect(collect(generateResumes(options))).rejects.toThrow('Unclosed section "open"');
+      
+      const items = await collect(generateResumes({ ...options, continueOnError: true }));
+      expect(items.map(item => item.index)).toEqual([0, 1, 2]);
+      items.forEach(item => expect(item.error.message).toContain('Unclosed section "open"'));
+      expect(items[1].seed).toBe(deriveSeed(5, 1));
+    });
+  });
+});
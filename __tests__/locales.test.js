@@ -0,0 +1,82 @@
+// __tests__/locales.test.js
+
+const { LOCALES, getLocale } = require('../lib/data/locales');
+const { generateResume } = require('../lib/index');
+const { toText } = require('../lib/formats/text');
+const { renderLayout } = require('../lib/formats/layouts');
+
+describe('Locales', () => {
+  test('should list the supported locales and default to en', () => {
+    expect(LOCALES).toEqual(['en', 'en_GB', 'de', 'fr', 'ja', 'pt_BR']);
+    expect(getLocale()).toBe(getLocale('en'));
+    expect(() => getLocale('tlh')).toThrow('Invalid locale: tlh. Available locales: en, en_GB, de, fr, ja, pt_BR');
+    expect(() => generateResume({ locale: 'tlh' })).toThrow('Invalid locale: tlh');
+  });
+
+  test.each([
+    ['en_GB', /^07\d{3} \d{6}$/, /^.+, [A-Z0-9]{2,4} [0-9][A-Z]{2}$/],
+    ['de', /^01[5-7]\d \d{7}$/, /^\d{5} .+$/],
+    ['fr', /^0[67]( \d{2}){4}$/, /^\d{5} .+$/],
+    ['ja', /^0[789]0-\d{4}-\d{4}$/, /^\S+$/],
+    ['pt_BR', /^\(\d{2}\) 9\d{4}-\d{4}$/, /^.+ - [A-Z]{2}$/]
+  ])('should format %s phone numbers and locations', (locale, phone, location) => {
+    const { contactInfo } = generateResume({ seed: 11, locale, format: 'json' }).json;
+    
+    expect(contactInfo.phone).toMatch(phone);
+    expect(contactInfo.location).toMatch(location);
+  });
+
+  test('should keep an explicit phone format', () => {
+    const resume = generateResume({ seed: 11, locale: 'de', phoneFormat: '555-[0-9]{4}', format: 'json' });
+    expect(resume.json.contactInfo.phone).toMatch(/^555-\d{4}$/);
+  });
+
+  test('should draw names from the locale and put Japanese family names first', () => {
+    const german = generateResume({ seed: 5, locale: 'de', format: 'json' });
+    const english = generateResume({ seed: 5, format: 'json' });
+    expect(german.name).not.toBe(english.name);
+    
+    const japanese = generateResume({ seed: 5, locale: 'ja', format: 'json' }).json;
+    const [familyName, givenName] = japanese.name.split(' ');
+    expect(japanese.name).toMatch(/^[^\x00-\x7F]+ [^\x00-\x7F]+$/);
+    expect(japanese.contactInfo.linkedin).toContain(`${givenName}-${familyName}`);
+  });
+
+  test('should name institutions in the locale\'s language', () => {
+    const institutions = locale => [1, 2, 3, 4].flatMap(seed =>
+      generateResume({ seed, locale, experienceYears: 9, format: 'json' }).json.education.map(entry => entry.institution));
+    
+    institutions('ja').forEach(name => expect(name).toMatch(/大学$/));
+    institutions('de').forEach(name => expect(name).toMatch(/^(Universität|Technische Universität|Hochschule) /));
+    institutions('fr').forEach(name => expect(name).toMatch(/^(Université|Institut universitaire|École supérieure de commerce) (de |d')/));
+    institutions('pt_BR').forEach(name => expect(name).toMatch(/^(Universidade|Faculdade)/));
+  });
+
+  test('should be reproducible for the same seed and locale', () => {
+    const first = generateResume({ seed: 'fixture', locale: 'fr', referenceDate: '2024-01-01' });
+    const second = generateResume({ seed: 'fixture', locale: 'fr', referenceDate: '2024-01-01' });
+    
+    expect(JSON.stringify(second.json)).toBe(JSON.stringify(first.json));
+    expect(second.markdown).toBe(first.markdown);
+  });
+
+  test('should localize dates and section headings in the markdown', () => {
+    const resume = generateResume({ seed: 3, locale: 'de', referenceDate: '2024-03-15' });
+    
+    expect(resume.json.experience[0].startDate).toMatch(/^(Januar|Februar|März|April|Mai|Juni|Juli|August|September|Oktober|November|Dezember) \d{4}$/);
+    expect(resume.json.experience[0].endDate).toBe('heute');
+    ['## Profil', '## Berufserfahrung', '## Ausbildung', '## Kenntnisse'].forEach(heading => {
+      expect(resume.markdown).toContain(`${heading}\n`);
+    });
+    expect(resume.markdown).not.toContain('## Summary');
+  });
+
+  test('should localize the headings of plain text and layouts', () => {
+    const resume = generateResume({ seed: 3, format: 'json' }).json;
+    
+    expect(toText(resume, { locale: 'pt_BR' })).toContain('\n\nEXPERIÊNCIA PROFISSIONAL\n');
+    expect(renderLayout(resume, 'sidebar', 'ja')).toContain('<h2>連絡先</h2>');
+    expect(generateResume({ seed: 3, format: 'html', layout: 'timeline', locale: 'fr' }).html).toContain('<h2>Compétences</h2>');
+    expect(generateResume({ seed: 3, format: 'txt', locale: 'fr' }).txt).toContain('\n\nFORMATION\n');
+  });
+});
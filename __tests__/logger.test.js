@@ -0,0 +1,64 @@
+// __tests__/logger.test.js
+
+const { createLogger } = require('../lib/logger');
+
+const createTarget = () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+});
+
+const logEverything = (logger) => {
+  logger.error('error message');
+  logger.warn('warn message');
+  logger.info('info message', { detail: true });
+  logger.debug('debug message');
+};
+
+describe('Logger', () => {
+  test('should be silent by default', () => {
+    const infoSpy = jest.spyOn(console, 'info').mockImplementation();
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation();
+    
+    const logger = createLogger();
+    logEverything(logger);
+    
+    expect(logger.level).toBe('silent');
+    expect(infoSpy).not.toHaveBeenCalled();
+    expect(errorSpy).not.toHaveBeenCalled();
+    
+    infoSpy.mockRestore();
+    errorSpy.mockRestore();
+  });
+
+  test('should default to info when a logger is supplied', () => {
+    const target = createTarget();
+    logEverything(createLogger({ logger: target }));
+    
+    expect(target.error).toHaveBeenCalledWith('error message');
+    expect(target.warn).toHaveBeenCalledWith('warn message');
+    expect(target.info).toHaveBeenCalledWith('info message', { detail: true });
+    expect(target.debug).not.toHaveBeenCalled();
+  });
+
+  test('should emit debug messages at the debug level', () => {
+    const target = createTarget();
+    logEverything(createLogger({ logger: target, logLevel: 'debug' }));
+    
+    expect(target.info).toHaveBeenCalled();
+    expect(target.debug).toHaveBeenCalledWith('debug message');
+  });
+
+  test('should honor an explicit silent level with a supplied logger', () => {
+    const target = createTarget();
+    logEverything(createLogger({ logger: target, logLevel: 'silent' }));
+    
+    Object.values(target).forEach(method => expect(method).not.toHaveBeenCalled());
+  });
+
+  test('should throw error for an unknown level', () => {
+    expect(() => createLogger({ logLevel: 'chatty' }))
+      .toThrow('Invalid log level: chatty. Available levels: silent, info, debug');
+  });
+});
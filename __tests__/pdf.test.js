@@ -3,6 +3,7 @@
 const { generatePDF } = require('../lib/pdf/generator');
 const { generateBatchPDF } = require('../lib/pdf/batchGenerator');
 const pdfStyles = require('../lib/templates/styles');
+const { PAPER_SIZES, getPdfOptions, getContentSize } = require('../lib/pdf/pageSetup');
 const fs = require('fs');
 const path = require('path');
 
@@ -105,6 +106,73 @@ describe('PDF Generation', () => {
     });
   });
 
+  describe('Page Setup', () => {
+    test('should default to A4 portrait with 20mm margins and no header or footer', () => {
+      expect(getPdfOptions()).toEqual({
+        format: 'A4',
+        landscape: false,
+        margin: { top: '20mm', right: '20mm', bottom: '20mm', left: '20mm' },
+        printBackground: true
+      });
+    });
+
+    test('should accept paper sizes case-insensitively and landscape orientation', () => {
+      expect(PAPER_SIZES).toEqual(['Letter', 'A4', 'Legal']);
+      expect(getPdfOptions({ paperSize: 'letter' }).format).toBe('Letter');
+      expect(getPdfOptions({ paperSize: 'Legal', orientation: 'landscape' })).toMatchObject({ format: 'Legal', landscape: true });
+    });
+
+    test('should expand margin shorthand and objects', () => {
+      expect(getPdfOptions({ margin: '1in' }).margin).toEqual({ top: '1in', right: '1in', bottom: '1in', left: '1in' });
+      expect(getPdfOptions({ margin: '10mm 15mm' }).margin).toEqual({ top: '10mm', right: '15mm', bottom: '10mm', left: '15mm' });
+      expect(getPdfOptions({ margin: '1cm 2cm 3cm' }).margin).toEqual({ top: '1cm', right: '2cm', bottom: '3cm', left: '2cm' });
+      expect(getPdfOptions({ margin: '1px 2px 3px 4px' }).margin).toEqual({ top: '1px', right: '2px', bottom: '3px', left: '4px' });
+      expect(getPdfOptions({ margin: { top: '0.5in' } }).margin).toEqual({ top: '0.5in', right: '20mm', bottom: '20mm', left: '20mm' });
+    });
+
+    test('should throw error for invalid page setup', () => {
+      expect(() => getPdfOptions({ paperSize: 'A3' })).toThrow('Invalid paper size: A3. Available paper sizes: Letter, A4, Legal');
+      expect(() => getPdfOptions({ orientation: 'sideways' })).toThrow('Invalid orientation: sideways');
+      expect(() => getPdfOptions({ margin: '20' })).toThrow('Invalid margin: 20');
+      expect(() => getPdfOptions({ margin: '1mm 2mm 3mm 4mm 5mm' })).toThrow('Invalid margin');
+      expect(() => getPdfOptions({ margin: { top: 'wide', left: 5 } })).toThrow('Invalid margin: top wide, left 5');
+    });
+
+    test('should render header and footer templates with the candidate name and page numbers', () => {
+      const options = getPdfOptions({
+        name: 'Jane <Doe>',
+        margin: '10mm 15mm',
+        header: '<b>{{name}}</b>',
+        footer: 'Page {{ page }} of {{pages}} ({{date}})'
+      });
+      
+      expect(options.displayHeaderFooter).toBe(true);
+      expect(options.headerTemplate).toContain('<b>Jane &lt;Doe&gt;</b>');
+      expect(options.headerTemplate).toContain('padding: 0 15mm 0 15mm');
+      expect(options.footerTemplate).toContain('Page <span class="pageNumber"></span> of <span class="totalPages"></span> (<span class="date"></span>)');
+    });
+
+    test('should calculate the printable area inside the margins', () => {
+      expect(getContentSize(getPdfOptions({ paperSize: 'Letter', margin: '1in' }))).toEqual({ width: 624, height: 864 });
+      expect(getContentSize(getPdfOptions({ paperSize: 'Letter', orientation: 'landscape', margin: '1in 0.5in' }))).toEqual({ width: 960, height: 624 });
+      
+      const a4 = getContentSize(getPdfOptions({ margin: '10mm 1cm 96px 0px' }));
+      expect(a4.width).toBeCloseTo(8.27 * 96 - 96 / 2.54);
+      expect(a4.height).toBeCloseTo(11.7 * 96 - 96 / 2.54 - 96);
+    });
+
+    test('should add a page number footer and blank out the default header', () => {
+      const options = getPdfOptions({ pageNumbers: true });
+      
+      expect(options.headerTemplate).toBe('<span></span>');
+      expect(options.footerTemplate).toContain('Resume - Page <span class="pageNumber"></span>');
+      
+      // An explicit footer wins over the page number footer
+      expect(getPdfOptions({ pageNumbers: true, footer: 'Custom' }).footerTemplate).toContain('>Custom</div>');
+      expect(getPdfOptions({ header: 'Top' }).footerTemplate).toBe('<span></span>');
+    });
+  });
+
   // Only run these tests if puppeteer and showdown are available
   (shouldRunPdfTests ? describe : describe.skip)('Single PDF Generator', () => {
     test('should generate a PDF from markdown', async () => {
@@ -159,13 +227,32 @@ describe('PDF Generation', () => {
       });
       
       const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+      const logger = { info: jest.fn(), debug: jest.fn(), warn: jest.fn(), error: jest.fn() };
       
-      await expect(generatePDF('nonexistent.md', 'output.pdf')).rejects.toThrow('File not found');
+      await expect(generatePDF('nonexistent.md', 'output.pdf', { logger })).rejects.toThrow('File not found');
+      expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('RED: Error generating PDF'));
       
-      expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('RED: Error generating PDF'));
+      // Without a logger the error is only thrown
+      fs.readFileSync.mockImplementationOnce(() => {
+        throw new Error('File not found');
+      });
+      await expect(generatePDF('nonexistent.md', 'output.pdf')).rejects.toThrow('File not found');
+      expect(consoleErrorSpy).not.toHaveBeenCalled();
       
       consoleErrorSpy.mockRestore();
     });
+
+    test('should close the browser and remove the temporary HTML when printing fails', async () => {
+      const puppeteer = require('puppeteer');
+      const browser = await puppeteer.launch();
+      const page = await browser.newPage();
+      page.pdf.mockRejectedValueOnce(new Error('Page crashed'));
+      jest.clearAllMocks();
+      
+      await expect(generatePDF('input.md', 'output.pdf')).rejects.toThrow('Page crashed');
+      expect(browser.close).toHaveBeenCalledTimes(1);
+      expect(fs.unlinkSync).toHaveBeenCalledTimes(1);
+    });
   });
 
   // Only run these tests if puppeteer and showdown are available
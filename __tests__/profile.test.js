@@ -0,0 +1,157 @@
+// __tests__/profile.test.js
+
+const mockFs = require('mock-fs');
+const {
+  validateProfile,
+  loadProfileFile,
+  sampleProfile,
+  summarizePopulation,
+  formatPopulationSummary
+} = require('../lib/profile');
+const { generateResume, generatePopulation } = require('../lib/index');
+const { createRandom, seedRandom } = require('../lib/utils');
+
+// Load the optional YAML parser before the file system is mocked
+require('js-yaml');
+
+const profile = {
+  industries: { tech: 40, finance: 30, healthcare: 30 },
+  experience: { mean: 6, stddev: 2 },
+  noCertifications: 0.1,
+  genders: { male: 1, female: 1 },
+  locales: { en: 3, de: 1 }
+};
+
+describe('Population Profiles', () => {
+  afterEach(() => {
+    mockFs.restore();
+    seedRandom();
+  });
+
+  test('should accept a valid profile', () => {
+    expect(validateProfile(profile)).toBe(profile);
+    expect(validateProfile({ experience: 4 })).toEqual({ experience: 4 });
+    expect(validateProfile({ experience: { min: 2, max: 10 } })).toBeDefined();
+  });
+
+  test('should list every problem in an invalid profile', () => {
+    expect(() => validateProfile([])).toThrow('Invalid profile: expected an object');
+
+    const invalid = () => validateProfile({
+      industries: { tech: 1, law: -1 },
+      genders: { male: 0 },
+      locales: 'en',
+      experience: { mean: 6 },
+      noCertifications: 10,
+      seniority: {}
+    });
+    expect(invalid).toThrow('unknown setting "seniority"');
+    expect(invalid).toThrow('unknown industries value "law"');
+    expect(invalid).toThrow('"industries.law" must be a weight of 0 or more');
+    expect(invalid).toThrow('"genders" needs at least one weight above 0');
+    expect(invalid).toThrow('"locales" must map values to weights');
+    expect(invalid).toThrow('"experience.stddev" must be a number of 0 or more');
+    expect(invalid).toThrow('"noCertifications" must be a share between 0 and 1');
+
+    expect(() => validateProfile({ experience: 'senior' })).toThrow('"experience" must be a whole number of years');
+    expect(() => validateProfile({ experience: { min: 3 } })).toThrow('"experience" needs a mean, or both min and max');
+    expect(() => validateProfile({ experience: { min: 9, max: 3 } })).toThrow('with min no more than max');
+    expect(() => validateProfile({ experience: { mean: -1, stddev: 1 } })).toThrow('"experience.mean" must be a number of 0 or more');
+  });
+
+  test('should load JSON and YAML profile files', () => {
+    mockFs({
+      'profiles/pool.json': JSON.stringify(profile),
+      'profiles/pool.yaml': 'industries:\n  tech: 40\n  finance: 60\nexperience:\n  min: 2\n  max: 8\n',
+      'profiles/broken.yml': 'industries: [tech',
+      'profiles/invalid.json': '{ "industries": { "law": 1 } }'
+    });
+
+    expect(loadProfileFile('profiles/pool.json')).toEqual(profile);
+    expect(loadProfileFile('profiles/pool.yaml')).toEqual({ industries: { tech: 40, finance: 60 }, experience: { min: 2, max: 8 } });
+    expect(() => loadProfileFile('profiles/broken.yml')).toThrow('Could not read profile file profiles/broken.yml');
+    expect(() => loadProfileFile('profiles/invalid.json')).toThrow('unknown industries value "law"');
+  });
+
+  test('should sample only the settings a profile contains', () => {
+    const random = createRandom(5);
+
+    expect(sampleProfile({}, random)).toEqual({});
+    expect(sampleProfile({ experience: 7 }, random)).toEqual({ experienceYears: 7 });
+
+    const samples = Array.from({ length: 2000 }, () => sampleProfile(profile, random));
+    const share = (key, value) => samples.filter(sample => sample[key] === value).length / samples.length;
+
+    expect(share('industry', 'tech')).toBeCloseTo(0.4, 1);
+    expect(share('locale', 'de')).toBeCloseTo(0.25, 1);
+    expect(share('includeCertifications', false)).toBeCloseTo(0.1, 1);
+    samples.forEach(sample => {
+      expect(sample.minCertifications).toBe(sample.includeCertifications ? 1 : 0);
+      expect(sample.experienceYears).toBeGreaterThanOrEqual(0);
+      expect(sample.experienceYears).toBeLessThanOrEqual(40);
+    });
+    const meanYears = samples.reduce((total, sample) => total + sample.experienceYears, 0) / samples.length;
+    expect(meanYears).toBeCloseTo(6, 0);
+
+    const uniform = Array.from({ length: 200 }, () => sampleProfile({ experience: { min: 2, max: 4 } }, random).experienceYears);
+    expect(new Set(uniform)).toEqual(new Set([2, 3, 4]));
+  });
+
+  test('should leave out certifications when asked to', () => {
+    expect(generateResume({ format: 'json', seed: 4, experienceYears: 10, includeCertifications: false }).json.certifications).toEqual([]);
+    expect(generateResume({ format: 'json', seed: 4, experienceYears: 1, minCertifications: 1 }).json.certifications.length).toBeGreaterThan(0);
+  });
+
+  test('should generate a population that follows the profile and report its distribution', async () => {
+    const { resumes, summary, report } = await generatePopulation({ profile, count: 60, seed: 11 });
+
+    expect(resumes).toHaveLength(60);
+    expect(summary.count).toBe(60);
+    resumes.forEach(resume => {
+      expect(Object.keys(profile.industries)).toContain(resume.industry);
+      expect(['male', 'female']).toContain(resume.gender);
+      expect(['en', 'de']).toContain(resume.locale);
+      if (resume.includeCertifications) {
+        expect(resume.json.certifications.length).toBeGreaterThan(0);
+      } else {
+        expect(resume.json.certifications).toEqual([]);
+      }
+    });
+    expect(summary.certifications.none).toBe(resumes.filter(resume => !resume.includeCertifications).length);
+
+    expect(report).toContain('Population of 60 resume(s):');
+    expect(report).toMatch(/Industries: tech \d+\.\d% \(target 40\.0%\)/);
+    expect(report).toMatch(/Experience: mean \d+\.\d years, std dev \d+\.\d \(target mean 6, std dev 2\)/);
+    expect(report).toMatch(/Without certifications: \d+\.\d% \(target 10\.0%\)/);
+    expect(report).toMatch(/Genders: male \d+\.\d% \(target 50\.0%\)/);
+    expect(report).toMatch(/Locales: en \d+\.\d% \(target 75\.0%\)/);
+
+    // The same seed gives the same population
+    const again = await generatePopulation({ profile, count: 60, seed: 11 });
+    expect(again.report).toBe(report);
+
+    // Certifications are known for every output format
+    const markdown = await generatePopulation({ profile, count: 60, seed: 11, format: 'markdown' });
+    expect(markdown.summary.certifications).toEqual(summary.certifications);
+
+    await expect(generatePopulation({ count: 2 })).rejects.toThrow('Expected a population profile');
+    await expect(generatePopulation({ count: 2, profile: { genders: { other: 1 } } })).rejects.toThrow('unknown genders value "other"');
+  });
+
+  test('should summarize resumes without a profile', () => {
+    const summary = summarizePopulation([
+      { industry: 'tech', experienceYears: 2 },
+      { industry: 'finance', experienceYears: 4, json: { certifications: [] } }
+    ]);
+
+    expect(formatPopulationSummary(summary)).toBe([
+      'Population of 2 resume(s):',
+      '  Industries: tech 50.0%, finance 50.0%',
+      '  Experience: mean 3.0 years, std dev 1.0, range 2-4',
+      '  Without certifications: 100.0%'
+    ].join('\n'));
+    expect(formatPopulationSummary(summary, { experience: { min: 1, max: 5 } })).toContain('(target 1-5 years)');
+    expect(formatPopulationSummary(summary, { experience: 3 })).toContain('(target 3 years)');
+    expect(formatPopulationSummary(summarizePopulation([]))).toBe('Population of 0 resume(s):');
+  });
+});
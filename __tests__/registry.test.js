@@ -0,0 +1,92 @@
+// __tests__/registry.test.js
+
+const mockFs = require('mock-fs');
+const registry = require('../lib/data/registry');
+const { generateResume, availableIndustries } = require('../lib/index');
+
+const legalIndustry = {
+  jobTitles: ['Paralegal', 'Associate Attorney', 'Legal Counsel'],
+  companies: ['Smith & Partners', 'Lex Advisory'],
+  skills: ['Contract Law', 'Litigation', 'Legal Research', 'Due Diligence', 'Negotiation', 'Compliance'],
+  degrees: ['Law', 'Political Science'],
+  certifications: ['Bar Admission', 'Certified Paralegal']
+};
+
+describe('Industry Registry', () => {
+  afterEach(() => {
+    mockFs.restore();
+  });
+
+  test('should include the built-in industries', () => {
+    expect(registry.listIndustries()).toEqual(
+      expect.arrayContaining(['tech', 'finance', 'healthcare', 'marketing', 'education'])
+    );
+    expect(registry.getIndustry('tech').jobTitles.length).toBeGreaterThan(0);
+    expect(registry.getIndustry('not-registered')).toBeUndefined();
+  });
+
+  test('should register a new industry and use it for generation', () => {
+    registry.registerIndustry('legal', legalIndustry);
+    
+    expect(registry.listIndustries()).toContain('legal');
+    expect(require('../lib/index').availableIndustries).toContain('legal');
+    
+    const resume = generateResume({ industry: 'legal', format: 'json' });
+    expect(legalIndustry.companies).toContain(resume.json.experience[0].company);
+  });
+
+  test('should throw error for missing and malformed fields', () => {
+    expect(() => registry.registerIndustry('broken', { jobTitles: ['Clerk'], skills: [] }))
+      .toThrow('Invalid industry data for "broken": missing required field "companies"; "skills" must be a non-empty array');
+    
+    expect(() => registry.registerIndustry('broken', { ...legalIndustry, degrees: ['Law', 42] }))
+      .toThrow('"degrees" must only contain non-empty strings');
+    
+    expect(() => registry.registerIndustry('broken', { ...legalIndustry, careerLadders: [['Clerk'], []] }))
+      .toThrow('"careerLadders" must be an array of non-empty arrays of job titles');
+    
+    expect(() => registry.registerIndustry('', legalIndustry)).toThrow('Industry name must be a non-empty string');
+    expect(() => registry.registerIndustry('broken', ['not', 'an', 'object'])).toThrow('expected an object');
+    expect(registry.listIndustries()).not.toContain('broken');
+  });
+
+  test('should load industries from a JSON file', () => {
+    mockFs({
+      'packs/industries.json': JSON.stringify({
+        manufacturing: { ...legalIndustry, jobTitles: ['Plant Manager'] },
+        government: { ...legalIndustry, jobTitles: ['Policy Analyst'] }
+      })
+    });
+    
+    expect(registry.loadIndustryFile('packs/industries.json')).toEqual(['manufacturing', 'government']);
+    expect(registry.getIndustry('government').jobTitles).toEqual(['Policy Analyst']);
+  });
+
+  test('should throw error for unreadable or invalid industry files', () => {
+    mockFs({
+      'packs/list.json': '[]',
+      'packs/partial.json': JSON.stringify({ good: legalIndustry, bad: { jobTitles: ['Clerk'] } })
+    });
+    
+    expect(() => registry.loadIndustryFile('packs/missing.json')).toThrow('Could not read industry file packs/missing.json');
+    expect(() => registry.loadIndustryFile('packs/list.json')).toThrow('must contain an object mapping industry names to data');
+    expect(() => registry.loadIndustryFile('packs/partial.json')).toThrow('Invalid industry data for "bad"');
+    expect(registry.listIndustries()).not.toContain('good');
+  });
+
+  test('should reject industry names that reach Object.prototype', () => {
+    mockFs({
+      'packs/proto.json': `{ "legal": ${JSON.stringify(legalIndustry)}, "__proto__": ${JSON.stringify(legalIndustry)} }`
+    });
+    
+    expect(() => registry.loadIndustryFile('packs/proto.json')).toThrow('Invalid industry name "__proto__"');
+    expect(() => registry.registerIndustry('constructor', legalIndustry)).toThrow('Invalid industry name "constructor"');
+    expect(registry.listIndustries()).not.toContain('__proto__');
+    expect(registry.listIndustries()).not.toContain('constructor');
+    expect(registry.getIndustry('toString')).toBeUndefined();
+  });
+
+  test('should keep the exported industry list in sync with the registry', () => {
+    expect(availableIndustries).toEqual(expect.arrayContaining(['tech']));
+  });
+});
@@ -0,0 +1,161 @@
+// __tests__/renderer.test.js
+
+const puppeteer = require('puppeteer');
+const { createPdfRenderer } = require('../lib/pdf/renderer');
+const { getPdfOptions } = require('../lib/pdf/pageSetup');
+
+jest.mock('puppeteer', () => ({
+  launch: jest.fn()
+}));
+
+// Pages whose setContent calls can be held open to observe concurrency
+const createMockBrowser = () => {
+  const state = { active: 0, maxActive: 0, pages: [] };
+  
+  const browser = {
+    newPage: jest.fn(async () => {
+      const page = {
+        setContent: jest.fn(async () => {
+          state.active++;
+          state.maxActive = Math.max(state.maxActive, state.active);
+          await new Promise(resolve => setImmediate(resolve));
+          state.active--;
+        }),
+        pdf: jest.fn(async () => Buffer.from('%PDF')),
+        close: jest.fn().mockResolvedValue()
+      };
+      state.pages.push(page);
+      return page;
+    }),
+    close: jest.fn().mockResolvedValue()
+  };
+  
+  return { browser, state };
+};
+
+describe('PDF Renderer', () => {
+  test('should render HTML in memory and reuse one browser', async () => {
+    const { browser, state } = createMockBrowser();
+    puppeteer.launch.mockResolvedValue(browser);
+    
+    const renderer = createPdfRenderer({ launchOptions: { args: ['--no-sandbox'] } });
+    expect(puppeteer.launch).not.toHaveBeenCalled();
+    
+    const first = await renderer.render('<h1>One</h1>', { path: 'output/one.pdf' });
+    const second = await renderer.render('<h1>Two</h1>');
+    
+    expect(first).toEqual(Buffer.from('%PDF'));
+    expect(second).toEqual(Buffer.from('%PDF'));
+    expect(puppeteer.launch).toHaveBeenCalledTimes(1);
+    expect(puppeteer.launch).toHaveBeenCalledWith({ headless: 'new', args: ['--no-sandbox'] });
+    
+    // Sequential renders share a single page
+    expect(state.pages).toHaveLength(1);
+    const [page] = state.pages;
+    expect(page.setContent).toHaveBeenCalledWith('<h1>One</h1>', { waitUntil: 'load' });
+    expect(page.pdf).toHaveBeenCalledWith({ ...getPdfOptions(), path: 'output/one.pdf' });
+    expect(page.pdf).toHaveBeenLastCalledWith({ ...getPdfOptions(), path: undefined });
+    
+    await renderer.close();
+    expect(browser.close).toHaveBeenCalledTimes(1);
+  });
+
+  test('should bound the number of pages rendering at once', async () => {
+    const { browser, state } = createMockBrowser();
+    puppeteer.launch.mockResolvedValue(browser);
+    
+    const renderer = createPdfRenderer({ concurrency: 3 });
+    const results = await Promise.all(Array.from({ length: 10 }, (_, i) => renderer.render(`<p>${i}</p>`)));
+    await renderer.close();
+    
+    expect(results).toHaveLength(10);
+    expect(state.pages).toHaveLength(3);
+    expect(state.maxActive).toBe(3);
+    expect(state.pages.reduce((total, page) => total + page.pdf.mock.calls.length, 0)).toBe(10);
+  });
+
+  test('should release pages when a render fails', async () => {
+    const { browser, state } = createMockBrowser();
+    puppeteer.launch.mockResolvedValue(browser);
+    
+    const renderer = createPdfRenderer({ concurrency: 1 });
+    await renderer.render('<p>warm up</p>');
+    state.pages[0].pdf.mockRejectedValueOnce(new Error('Printing failed'));
+    
+    await expect(renderer.render('<p>bad</p>')).rejects.toThrow('Printing failed');
+    await expect(renderer.render('<p>good</p>')).resolves.toEqual(Buffer.from('%PDF'));
+    await renderer.close();
+    
+    // The failed page is closed rather than reused
+    expect(state.pages).toHaveLength(2);
+    expect(state.pages[0].close).toHaveBeenCalledTimes(1);
+    expect(state.pages[1].pdf).toHaveBeenCalledTimes(1);
+  });
+
+  test('should hand a failed page slot to a waiting render', async () => {
+    const { browser, state } = createMockBrowser();
+    puppeteer.launch.mockResolvedValue(browser);
+    
+    const renderer = createPdfRenderer({ concurrency: 1 });
+    await renderer.render('<p>warm up</p>');
+    state.pages[0].pdf.mockRejectedValueOnce(new Error('Printing failed'));
+    
+    const results = await Promise.allSettled([renderer.render('<p>bad</p>'), renderer.render('<p>queued</p>')]);
+    expect(results.map(result => result.status)).toEqual(['rejected', 'fulfilled']);
+    await renderer.close();
+  });
+
+  test('should reject renders when the browser cannot start', async () => {
+    puppeteer.launch.mockRejectedValue(new Error('No Chromium'));
+    
+    const renderer = createPdfRenderer({ concurrency: 1 });
+    await expect(renderer.render('<p>1</p>')).rejects.toThrow('No Chromium');
+    
+    // The failed page slot is freed instead of leaving later renders waiting forever
+    await expect(renderer.render('<p>2</p>')).rejects.toThrow('No Chromium');
+    await expect(renderer.close()).resolves.toBeUndefined();
+  });
+
+  test('should settle queued renders when the browser cannot start', async () => {
+    puppeteer.launch.mockRejectedValue(new Error('No Chromium'));
+    
+    const renderer = createPdfRenderer({ concurrency: 2 });
+    const results = await Promise.allSettled(Array.from({ length: 5 }, (_, i) => renderer.render(`<p>${i}</p>`)));
+    
+    expect(results.map(result => result.status)).toEqual(Array(5).fill('rejected'));
+    results.forEach(result => expect(result.reason.message).toBe('No Chromium'));
+    await expect(renderer.close()).resolves.toBeUndefined();
+  });
+
+  test('should combine the default page setup with per-render overrides', async () => {
+    const { browser, state } = createMockBrowser();
+    puppeteer.launch.mockResolvedValue(browser);
+    
+    const renderer = createPdfRenderer({ pageSetup: { paperSize: 'Letter', pageNumbers: true } });
+    await renderer.render('<p>1</p>', { pageSetup: { name: 'Jane Doe' } });
+    await renderer.render('<p>2</p>', { pageSetup: { paperSize: 'Legal' } });
+    await renderer.close();
+    
+    const [first, second] = state.pages[0].pdf.mock.calls.map(([options]) => options);
+    expect(first.format).toBe('Letter');
+    expect(first.footerTemplate).toContain('Jane Doe - Page');
+    expect(second.format).toBe('Legal');
+  });
+
+  test('should throw error for an invalid default page setup', () => {
+    expect(() => createPdfRenderer({ pageSetup: { paperSize: 'A3' } })).toThrow('Invalid paper size: A3');
+  });
+
+  test('should reject renders after close', async () => {
+    const renderer = createPdfRenderer();
+    await renderer.close();
+    
+    await expect(renderer.render('<p>late</p>')).rejects.toThrow('PDF renderer is closed');
+    expect(puppeteer.launch).not.toHaveBeenCalled();
+  });
+
+  test('should throw error for invalid concurrency', () => {
+    expect(() => createPdfRenderer({ concurrency: 0 })).toThrow('Invalid concurrency: 0');
+    expect(() => createPdfRenderer({ concurrency: 1.5 })).toThrow('Invalid concurrency: 1.5');
+  });
+});
@@ -0,0 +1,218 @@
+// __tests__/server.test.js
+
+const http = require('http');
+const { createServer } = require('../lib/server');
+const puppeteer = require('puppeteer');
+
+// Render a fake PDF instead of launching a browser
+jest.mock('puppeteer', () => ({
+  launch: jest.fn()
+}));
+
+// Browsers launched by the servers under test, with their pages
+const browsers = [];
+puppeteer.launch.mockImplementation(async () => {
+  const browser = {
+    pages: [],
+    newPage: jest.fn(async () => {
+      const page = {
+        setContent: jest.fn().mockResolvedValue(),
+        pdf: jest.fn(async () => new Uint8Array(Buffer.from('%PDF-1.4 fake'))),
+        close: jest.fn().mockResolvedValue()
+      };
+      browser.pages.push(page);
+      return page;
+    }),
+    close: jest.fn().mockResolvedValue()
+  };
+  browsers.push(browser);
+  return browser;
+});
+
+describe('HTTP API Server', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(done => {
+    server = createServer();
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  // Make a request and collect the response body
+  const request = (pathname, method = 'GET') => new Promise((resolve, reject) => {
+    const req = http.request(`${baseUrl}${pathname}`, { method }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({
+        status: res.statusCode,
+        headers: res.headers,
+        body: Buffer.concat(chunks).toString('utf8')
+      }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+
+  test('should list industries', async () => {
+    const res = await request('/industries');
+    
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/json; charset=utf-8');
+    expect(JSON.parse(res.body).industries).toContain('tech');
+  });
+
+  test('should return a JSON resume by default', async () => {
+    const res = await request('/resume?industry=finance&experience=8&seed=42');
+    const resume = JSON.parse(res.body);
+    
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/json; charset=utf-8');
+    expect(resume).toHaveProperty('name');
+    expect(resume.experience.length).toBeGreaterThan(0);
+    
+    // The same seed gives the same resume
+    const again = await request('/resume?industry=finance&experience=8&seed=42');
+    expect(again.body).toBe(res.body);
+  });
+
+  test('should return markdown, HTML, text, DOCX and JSON Resume formats', async () => {
+    const markdown = await request('/resume?format=markdown&asOf=2020-01-01&locale=fr');
+    expect(markdown.status).toBe(200);
+    expect(markdown.headers['content-type']).toBe('text/markdown; charset=utf-8');
+    expect(markdown.body).toMatch(/^# /);
+    expect(markdown.body).toContain('## Expérience professionnelle');
+    
+    const html = await request('/resume?format=html&pdfStyle=minimal');
+    expect(html.status).toBe(200);
+    expect(html.headers['content-type']).toBe('text/html; charset=utf-8');
+    expect(html.body).toMatch(/^<!DOCTYPE html>/);
+    
+    const ats = await request('/resume?format=ats');
+    expect(ats.status).toBe(200);
+    expect(ats.headers['content-type']).toBe('text/plain; charset=utf-8');
+    expect(ats.body).toContain('WORK EXPERIENCE');
+    
+    const docx = await request('/resume?format=docx');
+    expect(docx.status).toBe(200);
+    expect(docx.headers['content-type']).toBe('application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+    expect(docx.body.startsWith('PK')).toBe(true);
+    
+    const jsonResume = await request('/resume?format=jsonresume&gender=female');
+    expect(jsonResume.status).toBe(200);
+    expect(JSON.parse(jsonResume.body)).toHaveProperty('basics');
+  });
+
+  test('should return a PDF', async () => {
+    const res = await request('/resume?format=pdf&pdfStyle=modern&pdfColor=%23ff0000');
+    
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/pdf');
+    expect(res.body).toBe('%PDF-1.4 fake');
+    const [page] = browsers[0].pages;
+    expect(page.setContent).toHaveBeenCalledWith(expect.stringContaining('--primary-color: #ff0000'), { waitUntil: 'load' });
+  });
+
+  test('should render HTML and PDF layouts from the resume data', async () => {
+    const html = await request('/resume?format=html&layout=timeline&photo=identicon');
+    expect(html.status).toBe(200);
+    expect(html.body).toContain('<div class="layout layout-timeline">');
+    expect(html.body).toContain('<img class="photo" src="data:image/svg+xml;base64,');
+    
+    await request('/resume?format=pdf&layout=sidebar&seed=5');
+    const [page] = browsers[0].pages;
+    expect(page.setContent).toHaveBeenLastCalledWith(expect.stringContaining('<div class="layout layout-sidebar">'), { waitUntil: 'load' });
+  });
+
+  test('should reject invalid parameters with HTTP 400', async () => {
+    const cases = {
+      '/resume?industry=astronaut': 'Invalid industry: astronaut',
+      '/resume?experience=-2': 'Invalid experience: -2',
+      '/resume?experience=99': 'Invalid experience: 99',
+      '/resume?format=rtf': 'Invalid format: rtf',
+      '/resume?gender=other': 'Invalid gender: other',
+      '/resume?pdfStyle=neon': 'Invalid pdfStyle: neon',
+      '/resume?pdfColor=red;}body{': 'Invalid pdfColor',
+      '/resume?layout=grid': 'Invalid layout: grid',
+      '/resume?photo=selfie': 'Invalid photo: selfie',
+      '/resume?locale=xx': 'Invalid locale: xx',
+      '/resume?asOf=2020-02-30': 'Invalid date: 2020-02-30'
+    };
+    
+    for (const [pathname, message] of Object.entries(cases)) {
+      const res = await request(pathname);
+      expect(res.status).toBe(400);
+      expect(JSON.parse(res.body).error).toContain(message);
+    }
+  });
+
+  test('should report PDF failures as HTTP 500', async () => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation();
+    const [page] = browsers[0].pages;
+    page.pdf.mockRejectedValueOnce(new Error('Page crashed'));
+    
+    const res = await request('/resume?format=pdf');
+    
+    expect(res.status).toBe(500);
+    expect(JSON.parse(res.body)).toEqual({ error: 'Page crashed' });
+    errorSpy.mockRestore();
+  });
+
+  test('should render PDFs in one browser, a bounded number at a time, and close it with the server', async () => {
+    const logger = { info: jest.fn(), debug: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    const pdfServer = createServer({ logger, pdfConcurrency: 2 });
+    await new Promise(resolve => pdfServer.listen(0, '127.0.0.1', resolve));
+    const port = pdfServer.address().port;
+    const launched = browsers.length;
+    
+    const statuses = await Promise.all([1, 2, 3, 4, 5].map(seed => new Promise((resolve, reject) => {
+      http.get(`http://127.0.0.1:${port}/resume?format=pdf&seed=${seed}`, res => {
+        res.resume();
+        res.on('end', () => resolve(res.statusCode));
+      }).on('error', reject);
+    })));
+    const browser = browsers[launched];
+    browser.close.mockRejectedValueOnce(new Error('Browser already gone'));
+    await new Promise(resolve => pdfServer.close(resolve));
+    await new Promise(resolve => setImmediate(resolve));
+    
+    expect(statuses).toEqual([200, 200, 200, 200, 200]);
+    expect(browsers).toHaveLength(launched + 1);
+    expect(browser.newPage.mock.calls.length).toBeLessThanOrEqual(2);
+    expect(browser.close).toHaveBeenCalledTimes(1);
+    expect(logger.error).toHaveBeenCalledWith('Error closing PDF browser:', expect.objectContaining({ message: 'Browser already gone' }));
+  });
+
+  test('should return 404 for unknown paths and 405 for other methods', async () => {
+    const missing = await request('/candidates');
+    expect(missing.status).toBe(404);
+    
+    const post = await request('/resume', 'POST');
+    expect(post.status).toBe(405);
+    expect(post.headers.allow).toBe('GET');
+  });
+
+  test('should log requests through the configured logger', async () => {
+    const logger = { info: jest.fn(), debug: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    const loggedServer = createServer({ logger });
+    await new Promise(resolve => loggedServer.listen(0, '127.0.0.1', resolve));
+    
+    try {
+      await new Promise((resolve, reject) => {
+        http.get(`http://127.0.0.1:${loggedServer.address().port}/industries`, res => {
+          res.resume();
+          res.on('end', resolve);
+        }).on('error', reject);
+      });
+      expect(logger.info).toHaveBeenCalledWith('GET /industries 200');
+    } finally {
+      await new Promise(resolve => loggedServer.close(resolve));
+    }
+  });
+});
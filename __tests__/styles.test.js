@@ -0,0 +1,61 @@
+// __tests__/styles.test.js
+
+const mockFs = require('mock-fs');
+const styles = require('../lib/templates/styles');
+const { generateResume } = require('../lib/index');
+
+const brandCss = 'h1 { color: var(--primary-color); font-family: "Brand Sans"; }';
+
+describe('Theme Registry', () => {
+  afterEach(() => {
+    mockFs.restore();
+  });
+
+  test('should list the built-in styles', () => {
+    expect(styles.listStyles()).toEqual(
+      expect.arrayContaining(['default', 'modern', 'minimal', 'professional'])
+    );
+  });
+
+  test('should expose the primary color as a CSS variable for every style', () => {
+    expect(styles.getStyle('modern', '#123456')).toContain('--primary-color: #123456;');
+    expect(styles.getStyle('not-registered', '#123456')).toContain('font-family: Arial, sans-serif');
+  });
+
+  test('should register a theme and use it for styles and HTML output', () => {
+    expect(styles.registerTheme('brand', brandCss)).toBe('brand');
+
+    expect(styles.listStyles()).toContain('brand');
+    const css = styles.getStyle('brand', '#8e44ad');
+    expect(css).toContain('--primary-color: #8e44ad;');
+    expect(css).toContain('font-family: "Brand Sans"');
+    expect(css).not.toContain('font-family: Arial');
+    expect(styles.getStyleWithPageBreaks('brand', '#8e44ad')).toContain('page-break-after: always');
+
+    const resume = generateResume({ format: 'html', pdfStyle: 'brand', pdfColor: '#8e44ad' });
+    expect(resume.html).toContain('font-family: "Brand Sans"');
+  });
+
+  test('should let a theme replace a built-in style without duplicating its name', () => {
+    styles.registerTheme('minimal', 'body { margin: 0; }');
+
+    expect(styles.getStyle('minimal', '#000000')).toContain('body { margin: 0; }');
+    expect(styles.listStyles().filter(name => name === 'minimal')).toHaveLength(1);
+  });
+
+  test('should throw error for invalid themes', () => {
+    expect(() => styles.registerTheme('', brandCss)).toThrow('Theme name must be a non-empty string');
+    expect(() => styles.registerTheme('broken', null)).toThrow('Invalid theme "broken": CSS must be a string');
+  });
+
+  test('should load themes from CSS files', () => {
+    mockFs({
+      'themes/corporate.css': brandCss
+    });
+
+    expect(styles.loadThemeFile('themes/corporate.css')).toBe('corporate');
+    expect(styles.loadThemeFile('themes/corporate.css', 'renamed')).toBe('renamed');
+    expect(styles.getStyle('corporate', '#000000')).toContain('font-family: "Brand Sans"');
+    expect(() => styles.loadThemeFile('themes/missing.css')).toThrow('Could not read theme file themes/missing.css');
+  });
+});
@@ -0,0 +1,172 @@
+// __tests__/targetJob.test.js
+
+const mockFs = require('mock-fs');
+const {
+  validateTargetJob,
+  loadTargetJobFile,
+  validateMatchQuality,
+  planMatch,
+  applyMatchPlan,
+  withoutSkills,
+  scoreMatch
+} = require('../lib/targetJob');
+const { generateResume, generateResumes } = require('../lib/index');
+const { seedRandom } = require('../lib/utils');
+
+const targetJob = {
+  title: 'Senior Software Engineer',
+  requiredSkills: ['Kubernetes', 'Docker', 'Go'],
+  preferredSkills: ['Terraform', 'AWS'],
+  minYears: 6
+};
+
+describe('Job-Targeted Generation', () => {
+  afterEach(() => {
+    mockFs.restore();
+    seedRandom();
+  });
+
+  test('should accept a valid target job', () => {
+    expect(validateTargetJob(targetJob)).toBe(targetJob);
+    expect(validateTargetJob({ title: 'Nurse' })).toEqual({ title: 'Nurse' });
+    expect(validateMatchQuality('partial')).toBe('partial');
+  });
+
+  test('should list every problem in an invalid target job', () => {
+    expect(() => validateTargetJob('engineer')).toThrow('Invalid target job: expected an object');
+
+    const invalid = () => validateTargetJob({ requiredSkills: 'Go', preferredSkills: [''], minYears: -1, salary: 1 });
+    expect(invalid).toThrow('unknown field "salary"');
+    expect(invalid).toThrow('"title" must be a non-empty string');
+    expect(invalid).toThrow('"requiredSkills" must be an array of non-empty strings');
+    expect(invalid).toThrow('"preferredSkills" must be an array of non-empty strings');
+    expect(invalid).toThrow('"minYears" must be a whole number of 0 or more');
+
+    expect(() => validateMatchQuality('perfect')).toThrow('Invalid match quality: perfect. Available match qualities: strong, partial, poor');
+  });
+
+  test('should load a JSON job description file', () => {
+    mockFs({
+      'jobs/senior.json': JSON.stringify(targetJob),
+      'jobs/invalid.json': '{ "title": "" }'
+    });
+
+    expect(loadTargetJobFile('jobs/senior.json')).toEqual(targetJob);
+    expect(() => loadTargetJobFile('jobs/missing.json')).toThrow('Could not read job description file jobs/missing.json');
+    expect(() => loadTargetJobFile('jobs/invalid.json')).toThrow('"title" must be a non-empty string');
+  });
+
+  test('should plan candidates of each match quality', () => {
+    seedRandom(4);
+    for (let i = 0; i < 50; i++) {
+      const strong = planMatch(targetJob, 'strong');
+      expect(strong.skills).toEqual(expect.arrayContaining(targetJob.requiredSkills));
+      expect(strong.title).toBe(targetJob.title);
+      expect(strong.experienceYears).toBeGreaterThanOrEqual(6);
+
+      const partial = planMatch(targetJob, 'partial');
+      const partialRequired = partial.skills.filter(skill => targetJob.requiredSkills.includes(skill));
+      expect(partialRequired.length).toBeGreaterThanOrEqual(1);
+      expect(partialRequired.length).toBeLessThan(3);
+      expect(partial.title).toBeUndefined();
+      expect(partial.experienceYears).toBeGreaterThanOrEqual(4);
+      expect(partial.excludedSkills).toEqual(expect.arrayContaining(targetJob.requiredSkills.filter(skill => !partial.skills.includes(skill))));
+
+      const poor = planMatch(targetJob, 'poor');
+      expect(poor.skills).toEqual([]);
+      expect(poor.excludedSkills).toEqual([...targetJob.requiredSkills, ...targetJob.preferredSkills]);
+      expect(poor.experienceYears).toBeLessThan(6);
+    }
+
+    expect(planMatch({ title: 'Nurse' }, 'poor')).toEqual({ skills: [], excludedSkills: [], title: undefined, experienceYears: undefined });
+    expect(planMatch({ title: 'Nurse', requiredSkills: ['Triage'] }, 'partial').skills).toEqual([]);
+  });
+
+  test('should combine a match plan with a blueprint', () => {
+    const plan = { skills: ['Go'], excludedSkills: [], title: 'Staff Engineer' };
+
+    expect(applyMatchPlan(plan)).toEqual({ skills: ['Go'], experience: [{ position: 'Staff Engineer' }] });
+    expect(applyMatchPlan(plan, { skills: ['Rust', 'Go'], experience: [{ company: 'Initech' }, { position: 'Intern' }] })).toEqual({
+      skills: ['Rust', 'Go'],
+      experience: [{ position: 'Staff Engineer', company: 'Initech' }, { position: 'Intern' }]
+    });
+    expect(applyMatchPlan({ skills: [], title: undefined }, { experience: [{ position: 'Lead' }] }))
+      .toEqual({ experience: [{ position: 'Lead' }] });
+  });
+
+  test('should hold back skills only while enough remain', () => {
+    const industry = { skills: ['Go', 'Rust', 'Java', 'Python'] };
+
+    expect(withoutSkills(industry, ['go']).skills).toEqual(['Rust', 'Java', 'Python']);
+    expect(withoutSkills(industry, ['Go', 'Rust'])).toBe(industry);
+  });
+
+  test('should score a resume from what it actually says', () => {
+    const resumeData = {
+      summary: 'Engineer experienced in Go and C++.',
+      experience: [{ position: 'senior software engineer', bulletPoints: ['Ran Kubernetes clusters', 'Wrote Google Docs'] }],
+      skillCategories: [{ category: 'Technical Skills', skills: 'Terraform, Dockerfile' }]
+    };
+
+    const match = scoreMatch(resumeData, targetJob, 3);
+    expect(match).toEqual({
+      score: 0.63,
+      requiredSkills: { matched: ['Kubernetes', 'Go'], missing: ['Docker'] },
+      preferredSkills: { matched: ['Terraform'], missing: ['AWS'] },
+      titleMatch: true,
+      experienceYears: 3,
+      minYears: 6
+    });
+
+    // Skills with symbols match as whole words, and unset parts are left out of the score
+    expect(scoreMatch(resumeData, { title: 'Engineer', requiredSkills: ['C++', 'C'] }, 3).score).toBe(0.42);
+    expect(scoreMatch({ ...resumeData, summary: 'Fluent in C#' }, { title: 'Engineer', requiredSkills: ['C'] }, 3).requiredSkills.missing).toEqual(['C']);
+    expect(scoreMatch({ ...resumeData, experience: [] }, { title: 'Engineer', minYears: 0 }, 3).score).toBe(0);
+  });
+
+  test('should generate candidates whose scores follow the match quality', () => {
+    const scores = { strong: [], partial: [], poor: [] };
+    Object.keys(scores).forEach(matchQuality => {
+      for (let seed = 1; seed <= 5; seed++) {
+        const resume = generateResume({ format: 'json', seed, targetJob, matchQuality });
+        expect(resume.match.quality).toBe(matchQuality);
+        scores[matchQuality].push(resume.match.score);
+      }
+    });
+
+    expect(Math.min(...scores.strong)).toBeGreaterThan(Math.max(...scores.partial));
+    expect(Math.min(...scores.partial)).toBeGreaterThan(Math.max(...scores.poor));
+
+    const strong = generateResume({ format: 'json', seed: 2, targetJob, matchQuality: 'strong' });
+    expect(strong.json.experience[0].position).toBe(targetJob.title);
+    for (let seed = 1; seed <= 5; seed++) {
+      const history = generateResume({ format: 'json', seed, experienceYears: 12, targetJob, matchQuality: 'strong' }).json.experience;
+      history.forEach(job => expect(['Junior Software Engineer', 'Software Engineer', 'Senior Software Engineer']).toContain(job.position));
+    }
+    expect(strong.match.requiredSkills.missing).toEqual([]);
+    expect(strong.json.summary).toContain('Kubernetes');
+
+    // Given years of experience win over the match quality's
+    expect(generateResume({ format: 'json', seed: 2, targetJob, matchQuality: 'poor', experienceYears: 12 }).match.experienceYears).toBe(12);
+    expect(generateResume({ format: 'json', seed: 2, targetJob: { title: 'Engineer' } }).match.experienceYears).toBe(5);
+
+    expect(() => generateResume({ targetJob: { title: 'Engineer' }, matchQuality: 'great' })).toThrow('Invalid match quality: great');
+    expect(() => generateResume({ targetJob: {} })).toThrow('Invalid target job: "title" must be a non-empty string');
+    expect(generateResume({ format: 'json', seed: 2 }).match).toBeUndefined();
+  });
+
+  test('should mix match qualities in a batch and reproduce each resume', async () => {
+    const resumes = [];
+    for await (const resume of generateResumes({ count: 12, seed: 8, targetJob })) {
+      resumes.push(resume);
+    }
+
+    expect(new Set(resumes.map(resume => resume.match.quality)).size).toBeGreaterThan(1);
+    resumes.forEach(resume => expect(resume.experienceYears).toBe(resume.match.experienceYears));
+
+    const [first] = resumes;
+    const again = generateResume({ format: 'json', targetJob, seed: first.seed, industry: first.industry, experienceYears: first.experienceYears });
+    expect(again.match).toEqual(first.match);
+    expect(again.json).toEqual(first.json);
+  });
+});
@@ -1,8 +1,56 @@
 // __tests__/utils.test.js
 
+const mockFs = require('mock-fs');
 const utils = require('../lib/utils');
 
 describe('Utility Functions', () => {
+  afterEach(() => {
+    mockFs.restore();
+    utils.seedRandom();
+  });
+
+  describe('seedRandom', () => {
+    test('should produce the same sequence for the same seed', () => {
+      utils.seedRandom(42);
+      const first = [utils.random(), utils.randomInt(1, 100), utils.pickRandom(['a', 'b', 'c'])];
+      
+      utils.seedRandom(42);
+      const second = [utils.random(), utils.randomInt(1, 100), utils.pickRandom(['a', 'b', 'c'])];
+      
+      expect(second).toEqual(first);
+    });
+
+    test('should treat numeric strings like numbers and hash other strings', () => {
+      utils.seedRandom('42');
+      const fromString = utils.random();
+      utils.seedRandom(42);
+      expect(utils.random()).toBe(fromString);
+      
+      utils.seedRandom('alpha');
+      const alpha = utils.random();
+      utils.seedRandom('beta');
+      expect(utils.random()).not.toBe(alpha);
+    });
+
+    test('should derive distinct, repeatable seeds with deriveSeed', () => {
+      const seeds = [0, 1, 2].map(index => utils.deriveSeed(42, index));
+
+      expect(new Set(seeds).size).toBe(3);
+      expect(utils.deriveSeed('42', 1)).toBe(seeds[1]);
+      expect(utils.deriveSeed(43, 1)).not.toBe(seeds[1]);
+      seeds.forEach(seed => expect(Number.isInteger(seed) && seed >= 0).toBe(true));
+    });
+
+    test('should return floats in [0, 1) from createRandom', () => {
+      const rng = utils.createRandom(7);
+      for (let i = 0; i < 100; i++) {
+        const value = rng();
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThan(1);
+      }
+    });
+  });
+
   describe('randomInt', () => {
     test('should return an integer between min and max (inclusive)', () => {
       const min = 1;
@@ -71,28 +119,118 @@ describe('Utility Functions', () => {
     });
   });
 
+  describe('date helpers', () => {
+    test('should format dates as ISO calendar dates', () => {
+      expect(utils.toIsoDate(new Date(2021, 2, 5))).toBe('2021-03-05');
+    });
+
+    test('should parse reference dates in local time', () => {
+      const parsed = utils.parseDate('2024-02-29');
+      expect([parsed.getFullYear(), parsed.getMonth(), parsed.getDate()]).toEqual([2024, 1, 29]);
+      
+      const original = new Date(2020, 0, 1);
+      const copy = utils.parseDate(original);
+      expect(copy).toEqual(original);
+      expect(copy).not.toBe(original);
+    });
+
+    test('should throw error for invalid dates', () => {
+      expect(() => utils.parseDate('2023-02-29')).toThrow('Invalid date: 2023-02-29');
+      expect(() => utils.parseDate('2023-13-01')).toThrow('Invalid date');
+      expect(() => utils.parseDate('next tuesday')).toThrow('Expected a Date or a YYYY-MM-DD string');
+      expect(() => utils.parseDate(new Date('nope'))).toThrow('Invalid date');
+    });
+
+    test('should count months between dates', () => {
+      expect(utils.monthsBetween(new Date(2019, 8, 1), new Date(2023, 4, 1))).toBe(44);
+    });
+  });
+
+  describe('countKeyword', () => {
+    test('should count whole keywords only', () => {
+      const text = 'C#, C++ and C. Node.js or node.js; Reactive React';
+      
+      expect(utils.countKeyword(text, 'C')).toBe(1);
+      expect(utils.countKeyword(text, 'C#')).toBe(1);
+      expect(utils.countKeyword(text, 'c++')).toBe(1);
+      expect(utils.countKeyword(text, 'Node.js')).toBe(2);
+      expect(utils.countKeyword(text, 'React')).toBe(1);
+      expect(utils.countKeyword(text, 'Go')).toBe(0);
+    });
+  });
+
+  describe('data files', () => {
+    test('should tell objects, non-empty strings and string lists apart', () => {
+      expect([{}, [], null, 'a'].map(utils.isObject)).toEqual([true, false, false, false]);
+      expect(['Go', ' ', 3].map(utils.isNonEmptyString)).toEqual([true, false, false]);
+      expect([['Go', 'Rust'], ['Go', ''], 'Go'].map(utils.isStringList)).toEqual([true, false, false]);
+    });
+
+    test('should read and parse a data file', () => {
+      mockFs({
+        'data/valid.json': '{ "name": "Ada" }',
+        'data/broken.json': '{ "name": ',
+        'data/list.txt': 'Go\nRust'
+      });
+
+      expect(utils.readDataFile('data/valid.json', 'blueprint file')).toEqual({ name: 'Ada' });
+      expect(utils.readDataFile('data/list.txt', 'skill list', text => text.split('\n'))).toEqual(['Go', 'Rust']);
+      expect(() => utils.readDataFile('data/broken.json', 'blueprint file')).toThrow('Could not read blueprint file data/broken.json: ');
+      expect(() => utils.readDataFile('data/missing.json', 'profile file')).toThrow('Could not read profile file data/missing.json: ENOENT');
+    });
+  });
+
   describe('generateDateRange', () => {
     beforeEach(() => {
-      // Mock Date to return a consistent date for testing
-      const mockDate = new Date(2023, 6, 15); // July 15, 2023
-      jest.spyOn(global, 'Date').mockImplementation(() => mockDate);
+      // Fake the clock so every Date is consistent for testing
+      jest.useFakeTimers({ now: new Date(2023, 6, 15) }); // July 15, 2023
     });
 
     afterEach(() => {
-      jest.restoreAllMocks();
+      jest.useRealTimers();
     });
 
     test('should generate correct date range for current job', () => {
       const result = utils.generateDateRange(3, 0, true);
       expect(result.startDate).toBe('July 2020');
       expect(result.endDate).toBe('Present');
+      expect(result.startDateISO).toBe('2020-07-01');
+      expect(result.endDateISO).toBeNull();
+      expect(result.isCurrent).toBe(true);
+      expect(result.durationMonths).toBe(36);
     });
 
     test('should generate correct date range for past job', () => {
       const result = utils.generateDateRange(2, 6, false);
       // When going 6 months back from July 2023 and then 2 years back for job duration
       expect(result.startDate).toBe('January 2021');
-      expect(result.endDate).toBe('January 2021');  // Fixed to match actual implementation
+      expect(result.endDate).toBe('January 2023');
+      expect(result.startDateISO).toBe('2021-01-01');
+      expect(result.endDateISO).toBe('2023-01-01');
+      expect(result.isCurrent).toBe(false);
+      expect(result.durationMonths).toBe(24);
+    });
+
+    test('should compute dates relative to a reference date', () => {
+      const result = utils.generateDateRange(2, 3, false, new Date(2019, 4, 20));
+      expect(result.startDateISO).toBe('2017-02-01');
+      expect(result.endDateISO).toBe('2019-02-01');
+    });
+
+    test('should not overflow months at the end of a month', () => {
+      jest.setSystemTime(new Date(2023, 2, 31)); // March 31, 2023
+      const result = utils.generateDateRange(1, 1, false);
+      expect(result.endDate).toBe('February 2023');
+    });
+
+    test('should use the locale for month names and current jobs', () => {
+      const reference = new Date(2023, 6, 15);
+      
+      expect(utils.generateDateRange(1, 0, true, reference, 'de')).toMatchObject({ startDate: 'Juli 2022', endDate: 'heute' });
+      expect(utils.generateDateRange(1, 6, false, reference, 'fr')).toMatchObject({ startDate: 'janvier 2022', endDate: 'janvier 2023' });
+      expect(utils.generateDateRange(1, 0, true, reference, 'ja')).toMatchObject({ startDate: '2022年7月', endDate: '現在' });
+      expect(utils.generateDateRange(1, 0, true, reference, 'pt_BR').startDate).toBe('julho de 2022');
+      expect(() => utils.generateDateRange(1, 0, true, reference, 'xx')).toThrow('Invalid locale: xx');
     });
   });
 });
\ No newline at end of file
@@ -0,0 +1,131 @@
+// __tests__/validator.test.js
+
+const { validateResume } = require('../lib/validator');
+const { generateResume, seedRandom } = require('../lib/index');
+
+const job = (position, startDateISO, endDateISO, durationMonths) => ({
+  position,
+  company: 'TechCorp',
+  startDateISO,
+  endDateISO,
+  isCurrent: endDateISO === null,
+  durationMonths
+});
+
+const validResume = {
+  name: 'John Doe',
+  summary: 'Professional summary text',
+  experience: [
+    job('Senior Software Engineer', '2020-01-01', null, 48),
+    job('Software Engineer', '2018-01-01', '2020-01-01', 24)
+  ],
+  education: [
+    { degree: 'Bachelor\'s', field: 'Computer Science', graduationYear: 2017 }
+  ],
+  skillCategories: [{ category: 'Technical Skills', skills: 'JavaScript' }],
+  certifications: []
+};
+
+describe('Resume Validator', () => {
+  test('should accept a consistent resume', () => {
+    expect(validateResume(validResume, { experienceYears: 6 })).toEqual({ valid: true, issues: [] });
+  });
+
+  test('should report empty sections', () => {
+    const result = validateResume({ ...validResume, summary: '', education: [], skillCategories: undefined });
+    
+    expect(result.valid).toBe(false);
+    expect(result.issues.map(issue => issue.section)).toEqual(['summary', 'education', 'skillCategories']);
+    expect(result.issues[0]).toEqual({ type: 'empty-section', section: 'summary', message: 'Section "summary" is empty' });
+  });
+
+  test('should report overlapping jobs', () => {
+    const result = validateResume({
+      ...validResume,
+      experience: [
+        job('Senior Software Engineer', '2019-06-01', null, 55),
+        job('Software Engineer', '2018-01-01', '2020-01-01', 24)
+      ]
+    });
+    
+    expect(result.issues).toEqual([{
+      type: 'overlapping-jobs',
+      message: 'Software Engineer at TechCorp overlaps Senior Software Engineer at TechCorp'
+    }]);
+  });
+
+  test('should report a long job against every job it covers', () => {
+    const result = validateResume({
+      ...validResume,
+      experience: [
+        job('Senior Software Engineer', '2021-01-01', null, 36),
+        job('Consultant', '2017-06-01', '2020-12-01', 42),
+        job('Software Engineer', '2018-01-01', '2019-01-01', 12),
+        job('Contractor', '2019-02-01', '2020-01-01', 11)
+      ]
+    });
+    
+    expect(result.issues.map(issue => issue.message)).toEqual([
+      'Consultant at TechCorp overlaps Software Engineer at TechCorp',
+      'Consultant at TechCorp overlaps Contractor at TechCorp'
+    ]);
+  });
+
+  test('should allow a job to start the month the previous one ended', () => {
+    expect(validateResume(validResume).valid).toBe(true);
+  });
+
+  test('should report graduation after employment', () => {
+    const result = validateResume({
+      ...validResume,
+      education: [
+        ...validResume.education,
+        { degree: 'MBA', field: 'Business Administration', graduationYear: 2021 }
+      ]
+    });
+    
+    expect(result.issues).toEqual([{
+      type: 'graduation-after-employment',
+      message: 'MBA in Business Administration (2021) was completed after the first job started (2018)'
+    }]);
+  });
+
+  test('should compare degree end dates with the first job start date', () => {
+    const degree = endDateISO => ({ degree: 'Bachelor\'s', field: 'Computer Science', graduationYear: 2018, endDateISO });
+    
+    expect(validateResume({ ...validResume, education: [degree('2018-05-01')] }).issues).toEqual([{
+      type: 'graduation-after-employment',
+      message: 'Bachelor\'s in Computer Science (2018-05-01) was completed after the first job started (2018-01-01)'
+    }]);
+    expect(validateResume({ ...validResume, education: [degree('2018-01-01')] }).valid).toBe(true);
+  });
+
+  test('should report tenure that does not match the requested experience', () => {
+    const result = validateResume(validResume, { experienceYears: 10 });
+    
+    expect(result.issues).toEqual([{
+      type: 'tenure-mismatch',
+      message: 'Jobs add up to 72 months but 10 years of experience were requested'
+    }]);
+  });
+
+  test('should skip timeline checks for entries without structured dates', () => {
+    const result = validateResume({
+      ...validResume,
+      experience: [{ position: 'Software Engineer', company: 'TechCorp', startDate: 'January 2020', endDate: 'Present' }],
+      education: [{ degree: 'MBA', field: 'Business', graduationYear: 2030 }]
+    }, { experienceYears: 10 });
+    
+    expect(result).toEqual({ valid: true, issues: [] });
+  });
+
+  test('should generate consistent resumes without needing a retry', () => {
+    [3, 8, 15, 30].forEach(experienceYears => {
+      for (let seed = 1; seed <= 60; seed++) {
+        const resume = generateResume({ format: 'json', seed: seed * 101 + experienceYears, experienceYears, validate: false, referenceDate: '2024-03-10' }).json;
+        expect(validateResume(resume, { experienceYears }).issues).toEqual([]);
+      }
+    });
+    seedRandom();
+  });
+});
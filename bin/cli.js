@@ -6,197 +6,594 @@ const fs = require('fs');
 const path = require('path');
 const program = require('commander');
 const chalk = require('chalk');
-const { generateResume, availableIndustries } = require('../lib');
-const { generatePDF } = require('../lib/pdf/generator');
+const { generateResumes, loadIndustryFile, listIndustries, createLogger } = require('../lib');
 const { generateBatchPDF } = require('../lib/pdf/batchGenerator');
+const { createPdfRenderer, DEFAULT_CONCURRENCY } = require('../lib/pdf/renderer');
+const { getPdfOptions } = require('../lib/pdf/pageSetup');
+const { toHtml } = require('../lib/formats/html');
+const { LAYOUTS } = require('../lib/formats/layouts');
+const { PHOTO_STYLES } = require('../lib/generators/photo');
+const { LOCALES } = require('../lib/data/locales');
+const { loadThemeFile } = require('../lib/templates/styles');
+const { loadProfileFile, summarizePopulation, formatPopulationSummary } = require('../lib/profile');
+const { loadBlueprintFile } = require('../lib/blueprint');
+const { loadTargetJobFile, MATCH_QUALITIES } = require('../lib/targetJob');
+const { parseDate } = require('../lib/utils');
+const { createServer } = require('../lib/server');
+const { writeDataset } = require('../lib/dataset');
 
 // Detect if we're running in test mode
 const isTestMode = process.env.NODE_ENV === 'test';
 
+// Parse integer option values (commander would otherwise pass the previous value as parseInt's radix)
+const parseInteger = value => parseInt(value, 10);
+
+// Collect repeatable option values into an array
+const collect = (value, previous) => previous.concat([value]);
+
 // Configure command line options
 program
   .version(require('../package.json').version)
   .description('Generate realistic fake resumes in markdown, JSON, and PDF formats')
   .option('-i, --industry <industry>', 'Industry specialization', 'tech')
-  .option('-e, --experience <years>', 'Years of experience', parseInt, 5)
-  .option('-f, --format <format>', 'Output format (markdown, json, pdf, both)', 'both')
+  .option('--industry-file <filepath>', 'JSON file with extra industries to register (repeatable)', collect, [])
+  .option('-e, --experience <years>', 'Years of experience', parseInteger, 5)
+  .option('-f, --format <format>', 'Output format (markdown, json, jsonresume, html, docx, txt, ats, pdf, both)', 'both')
   .option('-g, --gender <gender>', 'Gender (male, female)')
+  .option('--locale <locale>', 'Locale for names, contact details, dates and headings (en, en_GB, de, fr, ja, pt_BR)', 'en')
   .option('-o, --output <filename>', 'Output file name (without extension)')
   .option('-l, --no-linkedin', 'Exclude LinkedIn profile')
   .option('-w, --no-website', 'Exclude personal website')
+  .option('--photo [style]', 'Include a generated avatar as the profile photo (initials, identicon)')
   .option('-t, --template <filepath>', 'Custom Mustache template file')
-  .option('-c, --count <number>', 'Number of resumes to generate', parseInt, 1)
+  .option('-c, --count <number>', 'Number of resumes to generate', parseInteger, 1)
+  .option('--profile <filepath>', 'Population profile (JSON or YAML) to draw each resume\'s industry, experience, certifications, gender and locale from')
+  .option('--blueprint <filepath>', 'JSON blueprint of fixed fields (name, contactInfo, summary, experience, skills, certifications, jobCount) to generate each resume around')
+  .option('--job-description <filepath>', 'JSON target job (title, requiredSkills, preferredSkills, minYears) to generate candidates for, with their ground-truth match scores')
+  .option('--match <quality>', 'How well candidates fit the --job-description (strong, partial, poor); mixed by default')
   .option('-s, --seed <value>', 'Random seed for consistent generation')
-  .option('-p, --pdf-style <style>', 'PDF style (default, modern, minimal, professional)', 'default')
-  .option('--pdf-color <color>', 'Primary color for PDF (hex code)', '#0066cc')
-  .option('-b, --batch-pdf', 'Create a single PDF containing all resumes');
+  .option('--as-of <date>', 'Reference date (YYYY-MM-DD) used as "today" for all generated dates')
+  .option('-p, --pdf-style <style>', 'PDF, HTML and DOCX style (default, modern, minimal, professional)', 'default')
+  .option('--pdf-color <color>', 'Primary color for PDF, HTML and DOCX (hex code)', '#0066cc')
+  .option('--css <filepath>', 'CSS theme file for PDF and HTML output; used instead of --pdf-style')
+  .option('--layout <layout>', 'PDF and HTML layout (classic, sidebar, timeline)', 'classic')
+  .option('-b, --batch-pdf', 'Create a single PDF containing all resumes')
+  .option('--toc', 'Add a cover page with a clickable table of contents to the batch PDF')
+  .option('--bookmarks', 'Add PDF bookmarks for each resume in the batch PDF')
+  .option('--paper-size <size>', 'PDF paper size (Letter, A4, Legal)', 'A4')
+  .option('--orientation <orientation>', 'PDF orientation (portrait, landscape)', 'portrait')
+  .option('--margin <margin>', 'PDF margins as 1 to 4 CSS lengths (e.g. 20mm or "0.5in 1in")', '20mm')
+  .option('--header <template>', 'PDF header template; {{name}}, {{page}}, {{pages}} and {{date}} are filled in')
+  .option('--footer <template>', 'PDF footer template; {{name}}, {{page}}, {{pages}} and {{date}} are filled in')
+  .option('--page-numbers', 'Add a PDF footer with the candidate name and page numbers')
+  .option('--pdf-concurrency <number>', 'Number of PDFs rendered at the same time', parseInteger, DEFAULT_CONCURRENCY)
+  .option('--continue-on-error', 'Keep generating the remaining resumes when one fails')
+  .option('--keyword-report', 'With --format ats, also write a keyword density report against the industry skills')
+  .option('-v, --verbose', 'Show debug output, including generated resume data')
+  .option('-q, --quiet', 'Suppress all output except errors');
 
-// Parse arguments
-program.parse(process.argv);
-const options = program.opts();
-
-// Check if the last argument might be a count that wasn't properly captured with -c
-if (program.args.length > 0 && !isNaN(parseInt(program.args[0], 10))) {
-  options.count = parseInt(program.args[0], 10);
-  if (!isTestMode) {
-    console.log(`Detected count from args: ${options.count}`);
-  }
-}
-
-// Ensure count is a valid number
-if (isNaN(options.count)) {
-  options.count = 1;
-}
-
-// Validate industry
-if (!availableIndustries.includes(options.industry)) {
-  console.error(chalk.red(`Invalid industry: ${options.industry}`));
-  console.error(chalk.yellow(`Available industries: ${availableIndustries.join(', ')}`));
-  process.exit(1);
-}
-
-// Set random seed if provided
-if (options.seed !== undefined) {
-  const { faker } = require('@faker-js/faker');
-  faker.seed(parseInt(options.seed, 10) || 0);
-}
-
-// Read template file if provided
+// Resolved by setupCommand once arguments are parsed
+let options;
+let pageSetup;
+let logLevel;
+let logger;
 let template;
-if (options.template) {
-  try {
-    template = fs.readFileSync(options.template, 'utf8');
-  } catch (error) {
-    console.error(chalk.red(`Error reading template file: ${error.message}`));
+let profile;
+let blueprint;
+let targetJob;
+let experienceYears;
+
+// Shared setup for every command: logging and extra industries
+const setupCommand = () => {
+  options = program.opts();
+  
+  if (options.verbose && options.quiet) {
+    console.error(chalk.red('Options --verbose and --quiet cannot be used together'));
     process.exit(1);
   }
-}
-
-// Create output directory if it doesn't exist
-if (!fs.existsSync('output') && !isTestMode) {
-  fs.mkdirSync('output');
-}
-
-// Function to generate a single resume
-const generateSingleResume = (index) => {
-  try {
-    // Generate resume data
-    const resume = generateResume({
-      industry: options.industry,
-      experienceYears: options.experience,
-      format: options.format,
-      gender: options.gender,
-      includeLinkedin: options.linkedin,
-      includeWebsite: options.website,
-      template: template,
-      pdfStyle: options.pdfStyle,
-      pdfColor: options.pdfColor
-    });
-    
-    // Skip file operations in test mode
-    if (isTestMode) {
-      return { name: resume.json?.name || 'Test User', files: [] };
+  
+  // Errors are always printed; everything else goes through the level-filtered logger
+  logLevel = options.quiet ? 'silent' : options.verbose ? 'debug' : 'info';
+  logger = createLogger({ logLevel });
+  
+  // Register industries from any supplied industry files
+  options.industryFile.forEach(filePath => {
+    try {
+      loadIndustryFile(filePath);
+    } catch (error) {
+      console.error(chalk.red(error.message));
+      process.exit(1);
     }
-    
-    // Use the person's name as the filename if not specified
-    console.log('resume:', resume); // Debugging line
-    const personName = resume.json.name;
-    const baseName = options.output || personName.toLowerCase().replace(/\s+/g, '-');
-    const fileName = options.count > 1 ? `${baseName}-${index+1}` : baseName;
-    
-    const filePaths = [];
-    
-    // Save JSON if requested
-    if (options.format === 'json' || options.format === 'both') {
-      const jsonPath = `output/${fileName}.json`;
-      fs.writeFileSync(jsonPath, JSON.stringify(resume.json, null, 2));
-      filePaths.push(jsonPath);
+  });
+  
+  // Load the population profile after the industry files, so it can use their industries
+  if (options.profile) {
+    try {
+      profile = loadProfileFile(options.profile);
+    } catch (error) {
+      console.error(chalk.red(error.message));
+      process.exit(1);
     }
-    
-    // Save markdown if requested
-    let markdownPath;
-    if (options.format === 'markdown' || options.format === 'both' || options.format === 'pdf') {
-      markdownPath = `output/${fileName}.md`;
-      fs.writeFileSync(markdownPath, resume.markdown);
-      filePaths.push(markdownPath);
+  }
+  
+  if (options.blueprint) {
+    try {
+      blueprint = loadBlueprintFile(options.blueprint);
+    } catch (error) {
+      console.error(chalk.red(error.message));
+      process.exit(1);
     }
-    
-    // Generate PDF if requested and not using batch PDF
-    if (options.format === 'pdf' && !options.batchPdf) {
-      const pdfPath = `output/${fileName}.pdf`;
-      generatePDF(markdownPath, pdfPath, {
-        style: options.pdfStyle,
-        color: options.pdfColor,
-        name: personName
-      });
-      filePaths.push(pdfPath);
+  }
+  
+  if (options.jobDescription) {
+    try {
+      targetJob = loadTargetJobFile(options.jobDescription);
+    } catch (error) {
+      console.error(chalk.red(error.message));
+      process.exit(1);
     }
-    
-    return { name: personName, files: filePaths, markdownPath };
-  } catch (error) {
-    console.error(chalk.red(`Error generating resume: ${error.message}`));
-    if (error.stack && !isTestMode) {
-      console.error(chalk.gray(error.stack));
+  }
+  
+  if (options.match !== undefined) {
+    if (!targetJob) {
+      console.error(chalk.red('Option --match needs a --job-description'));
+      process.exit(1);
+    }
+    if (!MATCH_QUALITIES.includes(options.match)) {
+      console.error(chalk.red(`Invalid match quality: ${options.match}`));
+      console.error(chalk.yellow(`Available match qualities: ${MATCH_QUALITIES.join(', ')}`));
+      process.exit(1);
+    }
+  }
+  
+  // With a job description, the match quality sets the years of experience unless --experience is given
+  experienceYears = targetJob && program.getOptionValueSource('experience') === 'default' ? undefined : options.experience;
+  
+  // Register the theme from a CSS file, named after the file, and use it as the style
+  if (options.css) {
+    try {
+      options.pdfStyle = loadThemeFile(options.css);
+    } catch (error) {
+      console.error(chalk.red(error.message));
+      process.exit(1);
     }
+  }
+};
+
+// Exit when --pdf-concurrency is not a whole number of at least 1
+const validatePdfConcurrency = () => {
+  if (!Number.isInteger(options.pdfConcurrency) || options.pdfConcurrency < 1) {
+    console.error(chalk.red(`Invalid PDF concurrency: ${options.pdfConcurrency}. Expected a whole number of at least 1`));
     process.exit(1);
   }
 };
 
-// Generate multiple resumes
-const generateResumes = async () => {
+// Exit with the available values when the industry or locale is unknown
+const validateResumeOptions = () => {
+  const availableIndustries = listIndustries();
+  if (!availableIndustries.includes(options.industry)) {
+    console.error(chalk.red(`Invalid industry: ${options.industry}`));
+    console.error(chalk.yellow(`Available industries: ${availableIndustries.join(', ')}`));
+    process.exit(1);
+  }
+  
+  if (!LOCALES.includes(options.locale)) {
+    console.error(chalk.red(`Invalid locale: ${options.locale}`));
+    console.error(chalk.yellow(`Available locales: ${LOCALES.join(', ')}`));
+    process.exit(1);
+  }
+};
+
+// Write the files of one generated resume; resolves once every file, including the PDF, exists
+const writeResumeFiles = async (resume, renderer) => {
+  const { index } = resume;
+  // Keep what the batch PDF and the population summary need, not the generated documents
+  const person = {
+    index,
+    industry: resume.industry,
+    experienceYears: resume.experienceYears,
+    gender: resume.gender,
+    locale: resume.locale,
+    certifications: resume.certifications,
+    json: resume.json
+  };
+  
+  if (resume.match) {
+    logger.debug('Match:', resume.match);
+  }
+  
+  // Skip file operations in test mode
+  if (isTestMode) {
+    return { ...person, name: resume.name || 'Test User', files: [] };
+  }
+  
+  // Use the person's name as the filename if not specified
+  logger.debug('resume:', resume);
+  const personName = resume.name;
+  const baseName = options.output || personName.toLowerCase().replace(/\s+/g, '-');
+  const fileName = options.count > 1 ? `${baseName}-${index+1}` : baseName;
+  
+  const filePaths = [];
+  
+  // Save JSON if requested
+  if (options.format === 'json' || options.format === 'both') {
+    const jsonPath = `output/${fileName}.json`;
+    fs.writeFileSync(jsonPath, JSON.stringify(resume.json, null, 2));
+    filePaths.push(jsonPath);
+  }
+  
+  // Save JSON Resume document if requested
+  if (options.format === 'jsonresume') {
+    const jsonResumePath = `output/${fileName}.resume.json`;
+    fs.writeFileSync(jsonResumePath, JSON.stringify(resume.jsonresume, null, 2));
+    filePaths.push(jsonResumePath);
+  }
+  
+  // Save markdown if requested
+  let markdownPath;
+  if (options.format === 'markdown' || options.format === 'both' || options.format === 'pdf') {
+    markdownPath = `output/${fileName}.md`;
+    fs.writeFileSync(markdownPath, resume.markdown);
+    filePaths.push(markdownPath);
+  }
+  
+  // Save standalone HTML if requested
+  if (options.format === 'html') {
+    const htmlPath = `output/${fileName}.html`;
+    fs.writeFileSync(htmlPath, resume.html);
+    filePaths.push(htmlPath);
+  }
+  
+  // Save plain text if requested
+  if (options.format === 'txt') {
+    const textPath = `output/${fileName}.txt`;
+    fs.writeFileSync(textPath, resume.txt);
+    filePaths.push(textPath);
+  }
+  
+  // Save ATS-optimized text and its keyword report if requested
+  if (options.format === 'ats') {
+    const atsPath = `output/${fileName}.ats.txt`;
+    fs.writeFileSync(atsPath, resume.ats);
+    filePaths.push(atsPath);
+    
+    if (resume.keywordReport) {
+      const reportPath = `output/${fileName}.keywords.json`;
+      fs.writeFileSync(reportPath, JSON.stringify(resume.keywordReport, null, 2));
+      filePaths.push(reportPath);
+    }
+  }
+  
+  // Save Word document if requested
+  if (options.format === 'docx') {
+    const docxPath = `output/${fileName}.docx`;
+    fs.writeFileSync(docxPath, resume.docx);
+    filePaths.push(docxPath);
+  }
+  
+  // Save the ground-truth match against the job description
+  if (resume.match) {
+    const matchPath = `output/${fileName}.match.json`;
+    fs.writeFileSync(matchPath, JSON.stringify(resume.match, null, 2));
+    filePaths.push(matchPath);
+  }
+  
+  // Render PDF from the in-memory layout HTML or markdown if requested and not using batch PDF
+  if (options.format === 'pdf' && !options.batchPdf) {
+    const pdfPath = `output/${fileName}.pdf`;
+    const html = resume.html || toHtml(resume.markdown, {
+      style: options.pdfStyle,
+      color: options.pdfColor,
+      name: personName
+    });
+    await renderer.render(html, { path: pdfPath, pageSetup: { name: personName } });
+    filePaths.push(pdfPath);
+  }
+  
+  return { ...person, name: personName, files: filePaths, markdownPath };
+};
+
+// Generate a batch of resumes, writing and reporting each one as it completes or fails
+const generateBatch = async () => {
   const resumes = [];
+  const failures = [];
+  const reportFailure = (index, error) => {
+    failures.push({ index, error });
+    console.error(chalk.red(`✗ Resume ${index + 1} of ${options.count} failed: ${error.message}`));
+    logger.debug(error.stack);
+  };
+  
+  logger.info(chalk.blue(`Generating ${options.count} resume(s)...`));
   
-  console.log(chalk.blue(`Generating ${options.count} resume(s)...`));
+  // One browser renders every individual PDF, a bounded number of pages at a time
+  const renderer = options.format === 'pdf' && !options.batchPdf && !isTestMode
+    ? createPdfRenderer({ concurrency: options.pdfConcurrency, pageSetup })
+    : null;
+  const maxInFlight = renderer ? options.pdfConcurrency : 1;
+  const inFlight = new Set();
   
-  for (let i = 0; i < options.count; i++) {
-    const resume = generateSingleResume(i);
-    resumes.push(resume);
+  const start = (resume) => {
+    if (resume.error) {
+      reportFailure(resume.index, resume.error);
+      return;
+    }
     
-    if (!isTestMode) {
-      console.log(chalk.green(`✓ Resume for ${resume.name} generated successfully`));
-      resume.files.forEach(file => {
-        console.log(chalk.cyan(`  - ${file}`));
-      });
+    const task = writeResumeFiles(resume, renderer)
+      .then(written => {
+        resumes[resume.index] = written;
+        if (!isTestMode) {
+          logger.info(chalk.green(`✓ Resume for ${written.name} generated successfully`));
+          written.files.forEach(file => {
+            logger.info(chalk.cyan(`  - ${file}`));
+          });
+        }
+      }, error => reportFailure(resume.index, error))
+      .finally(() => inFlight.delete(task));
+    inFlight.add(task);
+  };
+  
+  // The same sampling as generatePopulation and the dataset command, so a seed gives the same people
+  const batch = generateResumes({
+    count: options.count,
+    seed: options.seed,
+    profile,
+    industry: options.industry,
+    experienceYears,
+    gender: options.gender,
+    locale: options.locale,
+    format: options.format,
+    includeLinkedin: options.linkedin,
+    includeWebsite: options.website,
+    includePhoto: Boolean(options.photo),
+    photoStyle: options.photo === true ? 'initials' : options.photo,
+    template: template,
+    pdfStyle: options.pdfStyle,
+    pdfColor: options.pdfColor,
+    layout: options.layout,
+    referenceDate: options.asOf,
+    keywordReport: options.keywordReport,
+    blueprint,
+    targetJob,
+    matchQuality: options.match,
+    logLevel,
+    // Failed resumes come back as items, so the batch decides whether to stop
+    continueOnError: true
+  });
+  
+  try {
+    // Resume data is generated synchronously as the loop asks for it, so seeded runs stay in order
+    for await (const resume of batch) {
+      start(resume);
+      if (inFlight.size >= maxInFlight) {
+        await Promise.race(inFlight);
+      }
+      
+      // Stop starting new resumes after a failure unless asked to keep going
+      if (failures.length > 0 && !options.continueOnError) {
+        break;
+      }
+    }
+    
+    await Promise.all(inFlight);
+  } finally {
+    if (renderer) {
+      await renderer.close();
     }
   }
   
-  // Generate batch PDF if requested
-  if (options.format === 'pdf' && options.batchPdf && options.count > 1 && !isTestMode) {
+  const succeeded = resumes.filter(Boolean);
+  const stopped = failures.length > 0 && !options.continueOnError;
+  
+  // Generate batch PDF if requested, from the resumes that succeeded
+  if (options.format === 'pdf' && options.batchPdf && options.count > 1 && !isTestMode && !stopped && succeeded.length > 0) {
     try {
-      const markdownFiles = resumes.map(r => r.markdownPath);
-      const names = resumes.map(r => r.name);
+      const markdownFiles = succeeded.map(r => r.markdownPath);
+      const names = succeeded.map(r => r.name);
       const batchFileName = options.output || 'batch-resumes';
       const pdfPath = `output/${batchFileName}.pdf`;
       
-      console.log(chalk.blue(`Generating batch PDF with ${markdownFiles.length} resumes...`));
+      logger.info(chalk.blue(`Generating batch PDF with ${markdownFiles.length} resumes...`));
       
       await generateBatchPDF(markdownFiles, pdfPath, {
+        ...pageSetup,
         style: options.pdfStyle,
         color: options.pdfColor,
-        names
+        names,
+        layout: options.layout,
+        resumes: succeeded.map(r => r.json),
+        locale: options.locale,
+        tableOfContents: options.toc,
+        industries: succeeded.map(r => r.industry),
+        experienceYears: succeeded.map(r => r.experienceYears),
+        bookmarks: options.bookmarks
       });
       
-      console.log(chalk.green(`✓ Batch PDF generated successfully`));
-      console.log(chalk.cyan(`  - ${pdfPath}`));
+      logger.info(chalk.green(`✓ Batch PDF generated successfully`));
+      logger.info(chalk.cyan(`  - ${pdfPath}`));
     } catch (error) {
       console.error(chalk.red(`Error generating batch PDF: ${error.message}`));
       process.exit(1);
     }
   }
   
+  // Summarize failures and exit non-zero so scripts notice
+  if (failures.length > 0) {
+    const attempted = succeeded.length + failures.length;
+    console.error(chalk.red(`\n${failures.length} of ${attempted} resume(s) failed; ${succeeded.length} generated`));
+    if (stopped && attempted < options.count) {
+      console.error(chalk.yellow(`Stopped after the first failure, skipping ${options.count - attempted} resume(s). Use --continue-on-error to keep going.`));
+    }
+    process.exit(1);
+  }
+  
+  // Compare the realized distribution with the profile
+  if (profile) {
+    const summary = summarizePopulation(succeeded);
+    logger.info(chalk.blue(formatPopulationSummary(summary, profile)));
+  }
+  
   if (isTestMode) {
-    console.log(`Resume generated successfully`);
+    logger.info(`Resume generated successfully`);
   } else {
     if (options.count > 1) {
-      console.log(chalk.green(`\n${options.count} resumes generated in the 'output' directory`));
+      logger.info(chalk.green(`\n${options.count} resumes generated in the 'output' directory`));
     } else {
-      console.log(chalk.green(`\nResume generated in the 'output' directory`));
+      logger.info(chalk.green(`\nResume generated in the 'output' directory`));
     }
   }
 };
 
-// Run the generator
-generateResumes().catch(err => {
-  console.error(chalk.red(`Unexpected error: ${err.message}`));
-  process.exit(1);
-});
\ No newline at end of file
+// Root command: generate resumes into the output directory
+const runGenerate = () => {
+  setupCommand();
+  
+  // Check if the last argument might be a count that wasn't properly captured with -c
+  if (program.args.length > 0 && !isNaN(parseInt(program.args[0], 10))) {
+    options.count = parseInt(program.args[0], 10);
+    if (!isTestMode) {
+      logger.info(`Detected count from args: ${options.count}`);
+    }
+  }
+  
+  // Ensure count is a valid number
+  if (isNaN(options.count)) {
+    options.count = 1;
+  }
+  
+  validateResumeOptions();
+  
+  if (!LAYOUTS.includes(options.layout)) {
+    console.error(chalk.red(`Invalid layout: ${options.layout}`));
+    console.error(chalk.yellow(`Available layouts: ${LAYOUTS.join(', ')}`));
+    process.exit(1);
+  }
+  
+  if (typeof options.photo === 'string' && !PHOTO_STYLES.includes(options.photo)) {
+    console.error(chalk.red(`Invalid photo style: ${options.photo}`));
+    console.error(chalk.yellow(`Available photo styles: ${PHOTO_STYLES.join(', ')}`));
+    process.exit(1);
+  }
+  
+  validatePdfConcurrency();
+  
+  // Validate page setup before any resumes are generated
+  pageSetup = {
+    paperSize: options.paperSize,
+    orientation: options.orientation,
+    margin: options.margin,
+    header: options.header,
+    footer: options.footer,
+    pageNumbers: options.pageNumbers
+  };
+  try {
+    getPdfOptions(pageSetup);
+  } catch (error) {
+    console.error(chalk.red(error.message));
+    process.exit(1);
+  }
+  
+  // Check the reference date once rather than failing every resume
+  if (options.asOf !== undefined) {
+    try {
+      parseDate(options.asOf);
+    } catch (error) {
+      console.error(chalk.red(error.message));
+      process.exit(1);
+    }
+  }
+  
+  // Read template file if provided
+  if (options.template) {
+    try {
+      template = fs.readFileSync(options.template, 'utf8');
+    } catch (error) {
+      console.error(chalk.red(`Error reading template file: ${error.message}`));
+      process.exit(1);
+    }
+  }
+  
+  // Create output directory if it doesn't exist
+  if (!fs.existsSync('output') && !isTestMode) {
+    fs.mkdirSync('output');
+  }
+  
+  // Run the generator
+  generateBatch().catch(err => {
+    console.error(chalk.red(`Unexpected error: ${err.message}`));
+    process.exit(1);
+  });
+};
+
+// serve command: expose resume generation over HTTP
+const runServe = (serveOptions) => {
+  setupCommand();
+  
+  validatePdfConcurrency();
+  
+  const server = createServer({ logLevel, pdfConcurrency: options.pdfConcurrency });
+  server.on('error', error => {
+    console.error(chalk.red(`Error starting server: ${error.message}`));
+    process.exit(1);
+  });
+  server.listen(serveOptions.port, serveOptions.host, () => {
+    logger.info(chalk.green(`faux-cv API listening on http://${serveOptions.host}:${serveOptions.port}`));
+    logger.info(chalk.cyan('  GET /resume?industry=tech&experience=8&format=json&seed=42'));
+    logger.info(chalk.cyan('  GET /industries'));
+  });
+};
+
+// dataset command: stream many resumes into one NDJSON file or linked CSV tables
+const runDataset = async (datasetOptions) => {
+  setupCommand();
+  validateResumeOptions();
+  
+  logger.info(chalk.blue(`Generating a dataset of ${options.count} resume(s)...`));
+  
+  try {
+    const { files, summary } = await writeDataset({
+      count: options.count,
+      out: datasetOptions.out,
+      profile,
+      seed: options.seed,
+      industry: options.industry,
+      experienceYears,
+      gender: options.gender,
+      locale: options.locale,
+      includeLinkedin: options.linkedin,
+      includeWebsite: options.website,
+      referenceDate: options.asOf,
+      blueprint,
+      targetJob,
+      matchQuality: options.match
+    });
+    
+    logger.info(chalk.green(`✓ Dataset of ${options.count} resume(s) generated successfully`));
+    files.forEach(file => {
+      logger.info(chalk.cyan(`  - ${file}`));
+    });
+    if (profile) {
+      logger.info(chalk.blue(formatPopulationSummary(summary, profile)));
+    }
+  } catch (error) {
+    console.error(chalk.red(`Error generating dataset: ${error.message}`));
+    process.exit(1);
+  }
+};
+
+program
+  .command('dataset')
+  .description('Stream --count resumes into one NDJSON file or CSV tables (candidates, jobs, education, skills)')
+  .requiredOption('--out <filepath>', 'Dataset file ending in .ndjson, or .csv for one linked CSV table per section')
+  .action(runDataset);
+
+program
+  .command('serve')
+  .description('Start an HTTP API server for resume generation')
+  .option('--port <number>', 'Port to listen on', parseInteger, 3000)
+  .option('--host <host>', 'Host to bind to', 'localhost')
+  .action(runServe);
+
+program.action(runGenerate);
+
+// Parse arguments and run the selected command
+program.parse(process.argv);
@@ -0,0 +1,96 @@
+/**
+ * Resume blueprints: partial resumes whose fields generateResume keeps while generating the rest around them
+ */
+const { isObject, isNonEmptyString, isStringList, readDataFile } = require('./utils');
+
+// Fields a blueprint may contain
+const BLUEPRINT_FIELDS = ['name', 'contactInfo', 'summary', 'experience', 'skills', 'certifications', 'jobCount'];
+
+/**
+ * Validate a blueprint
+ * @param {Object} blueprint Partial resume: name, contactInfo, summary, experience (partial jobs, most recent
+ *   first), skills (required skills), certifications and jobCount (exact number of jobs)
+ * @param {Object} options Validation options
+ * @param {number} options.experienceYears Years of experience the jobs have to fit into
+ * @returns {Object} The blueprint
+ * @throws {Error} If the blueprint is invalid, listing every problem found
+ */
+function validateBlueprint(blueprint, options = {}) {
+  if (!isObject(blueprint)) {
+    throw new Error('Invalid blueprint: expected an object');
+  }
+
+  const problems = [];
+  Object.keys(blueprint)
+    .filter(field => !BLUEPRINT_FIELDS.includes(field))
+    .forEach(field => problems.push(`unknown field "${field}" (expected ${BLUEPRINT_FIELDS.join(', ')})`));
+
+  ['name', 'summary'].forEach(field => {
+    if (blueprint[field] !== undefined && !isNonEmptyString(blueprint[field])) {
+      problems.push(`"${field}" must be a non-empty string`);
+    }
+  });
+
+  if (blueprint.contactInfo !== undefined && !isObject(blueprint.contactInfo)) {
+    problems.push('"contactInfo" must be an object');
+  }
+
+  const { jobCount, experience } = blueprint;
+  if (experience !== undefined && (!Array.isArray(experience) || !experience.every(isObject))) {
+    problems.push('"experience" must be an array of partial jobs, most recent first');
+  }
+
+  ['skills', 'certifications'].forEach(field => {
+    if (blueprint[field] !== undefined && !isStringList(blueprint[field])) {
+      problems.push(`"${field}" must be an array of non-empty strings`);
+    }
+  });
+
+  if (jobCount !== undefined) {
+    if (!Number.isInteger(jobCount) || jobCount < 1) {
+      problems.push('"jobCount" must be a whole number of at least 1');
+    } else if (Array.isArray(experience) && experience.length > jobCount) {
+      problems.push(`"experience" has ${experience.length} entries but "jobCount" is ${jobCount}`);
+    }
+  }
+
+  // Every job needs at least a year, except a lone job
+  const jobs = Math.max(Number.isInteger(jobCount) ? jobCount : 0, Array.isArray(experience) ? experience.length : 0);
+  const { experienceYears } = options;
+  if (experienceYears !== undefined && jobs > Math.max(experienceYears, 1)) {
+    problems.push(`${jobs} jobs do not fit into ${experienceYears} years of experience`);
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid blueprint: ${problems.join('; ')}`);
+  }
+
+  return blueprint;
+}
+
+/**
+ * Load and validate a JSON blueprint file
+ * @param {string} filePath Path to the blueprint file
+ * @returns {Object} The blueprint
+ * @throws {Error} If the file cannot be read or parsed, or the blueprint is invalid
+ */
+function loadBlueprintFile(filePath) {
+  return validateBlueprint(readDataFile(filePath, 'blueprint file'));
+}
+
+/**
+ * Overlay partial jobs onto generated jobs in order (the first partial onto the current job)
+ * @param {Object[]} entries Generated jobs
+ * @param {Object[]} partials Partial jobs from the blueprint
+ * @returns {Object[]} Merged jobs
+ */
+function mergeEntries(entries, partials = []) {
+  return entries.map((entry, index) => ({ ...entry, ...partials[index] }));
+}
+
+module.exports = {
+  BLUEPRINT_FIELDS,
+  validateBlueprint,
+  loadBlueprintFile,
+  mergeEntries
+};
@@ -1,5 +1,7 @@
 /**
  * Industry-specific data for resume generation
+ *
+ * careerLadders lists title progressions from most junior to most senior.
  */
 module.exports = {
     tech: {
@@ -7,34 +9,71 @@ module.exports = {
       companies: ['TechCorp', 'ByteSystems', 'Cloudify', 'DataSphere', 'InnovateX', 'CodeBridge', 'QuantumSoft', 'Algorithmics', 'DevStream', 'NextGen Computing'],
       skills: ['JavaScript', 'React', 'Node.js', 'Python', 'AWS', 'Docker', 'Kubernetes', 'Git', 'CI/CD', 'REST APIs', 'GraphQL', 'MongoDB', 'PostgreSQL', 'Redis', 'TypeScript', 'Vue.js', 'Angular', 'Express', 'Django', 'Flask', 'TensorFlow', 'PyTorch'],
       degrees: ['Computer Science', 'Software Engineering', 'Information Technology', 'Data Science', 'Computer Engineering'],
-      certifications: ['AWS Certified Solutions Architect', 'Certified Kubernetes Administrator', 'Microsoft Certified: Azure Developer', 'Google Cloud Professional Cloud Architect', 'Certified Scrum Master']
+      certifications: ['AWS Certified Solutions Architect', 'Certified Kubernetes Administrator', 'Microsoft Certified: Azure Developer', 'Google Cloud Professional Cloud Architect', 'Certified Scrum Master'],
+      careerLadders: [
+        ['Junior Software Engineer', 'Software Engineer', 'Senior Software Engineer', 'Staff Software Engineer', 'Principal Software Engineer'],
+        ['Junior Frontend Developer', 'Frontend Developer', 'Senior Frontend Developer', 'Lead Frontend Developer', 'Principal Frontend Engineer'],
+        ['Junior Backend Developer', 'Backend Developer', 'Senior Backend Developer', 'Staff Backend Engineer', 'Principal Backend Engineer'],
+        ['Junior DevOps Engineer', 'DevOps Engineer', 'Senior DevOps Engineer', 'Staff Site Reliability Engineer', 'Principal Site Reliability Engineer'],
+        ['Junior Data Scientist', 'Data Scientist', 'Senior Data Scientist', 'Staff Data Scientist', 'Principal Data Scientist'],
+        ['Associate Product Manager', 'Product Manager', 'Senior Product Manager', 'Group Product Manager', 'Director of Product'],
+        ['Junior UX Designer', 'UX Designer', 'Senior UX Designer', 'Lead UX Designer', 'Principal Product Designer']
+      ]
     },
     finance: {
       jobTitles: ['Financial Analyst', 'Investment Banker', 'Portfolio Manager', 'Risk Analyst', 'Financial Advisor', 'Accountant', 'Auditor', 'Financial Controller', 'Compliance Officer', 'Actuary'],
       companies: ['GlobalBank', 'InvestCo', 'Capital Partners', 'Wealth Management Group', 'Asset Management Inc.', 'Financial Services Ltd.', 'Investment Solutions', 'Equity Partners', 'First Capital', 'Fidelity Group'],
       skills: ['Financial Modeling', 'Valuation', 'M&A', 'Financial Analysis', 'Risk Management', 'Bloomberg Terminal', 'Excel', 'VBA', 'Portfolio Management', 'Credit Analysis', 'Forecasting', 'Budgeting', 'Financial Reporting', 'SOX Compliance', 'GAAP', 'IFRS'],
       degrees: ['Finance', 'Accounting', 'Economics', 'Business Administration', 'Mathematics', 'Statistics'],
-      certifications: ['CFA (Chartered Financial Analyst)', 'CPA (Certified Public Accountant)', 'FRM (Financial Risk Manager)', 'CFP (Certified Financial Planner)', 'CAIA (Chartered Alternative Investment Analyst)']
+      certifications: ['CFA (Chartered Financial Analyst)', 'CPA (Certified Public Accountant)', 'FRM (Financial Risk Manager)', 'CFP (Certified Financial Planner)', 'CAIA (Chartered Alternative Investment Analyst)'],
+      careerLadders: [
+        ['Junior Financial Analyst', 'Financial Analyst', 'Senior Financial Analyst', 'Finance Manager', 'Director of Finance'],
+        ['Investment Banking Analyst', 'Investment Banking Associate', 'Vice President, Investment Banking', 'Director, Investment Banking', 'Managing Director'],
+        ['Junior Risk Analyst', 'Risk Analyst', 'Senior Risk Analyst', 'Risk Manager', 'Chief Risk Officer'],
+        ['Staff Accountant', 'Senior Accountant', 'Accounting Manager', 'Financial Controller', 'Chief Financial Officer'],
+        ['Associate Auditor', 'Auditor', 'Senior Auditor', 'Audit Manager', 'Audit Director']
+      ]
     },
     healthcare: {
       jobTitles: ['Registered Nurse', 'Physician Assistant', 'Medical Lab Technician', 'Healthcare Administrator', 'Medical Research Scientist', 'Clinical Data Manager', 'Health Informatics Specialist', 'Pharmaceutical Sales Rep', 'Medical Device Engineer', 'Healthcare Consultant'],
       companies: ['MediCare Systems', 'HealthFirst', 'Care Solutions', 'BioLife Sciences', 'MedTech Innovations', 'HealthPlus', 'Life Sciences Corp', 'National Health Services', 'WellCare Group', 'PharmaGene'],
       skills: ['Patient Care', 'Clinical Research', 'Medical Terminology', 'Healthcare Regulations', 'EMR/EHR Systems', 'HIPAA Compliance', 'Medical Coding', 'Clinical Data Analysis', 'Patient Advocacy', 'Medical Device Knowledge', 'Healthcare IT Systems', 'Quality Assurance'],
       degrees: ['Nursing', 'Healthcare Administration', 'Public Health', 'Biology', 'Chemistry', 'Biomedical Engineering'],
-      certifications: ['Registered Nurse (RN)', 'Certified Nursing Assistant (CNA)', 'Basic Life Support (BLS)', 'Advanced Cardiac Life Support (ACLS)', 'Certified Healthcare Administrative Professional (CHAP)']
+      certifications: ['Registered Nurse (RN)', 'Certified Nursing Assistant (CNA)', 'Basic Life Support (BLS)', 'Advanced Cardiac Life Support (ACLS)', 'Certified Healthcare Administrative Professional (CHAP)'],
+      careerLadders: [
+        ['Nursing Assistant', 'Registered Nurse', 'Senior Registered Nurse', 'Charge Nurse', 'Director of Nursing'],
+        ['Medical Lab Assistant', 'Medical Lab Technician', 'Senior Medical Lab Technician', 'Laboratory Supervisor', 'Laboratory Director'],
+        ['Healthcare Administrative Assistant', 'Healthcare Administrator', 'Senior Healthcare Administrator', 'Healthcare Operations Manager', 'Director of Healthcare Operations'],
+        ['Research Associate', 'Medical Research Scientist', 'Senior Research Scientist', 'Principal Research Scientist', 'Director of Clinical Research'],
+        ['Junior Health Informatics Specialist', 'Health Informatics Specialist', 'Senior Health Informatics Specialist', 'Health Informatics Manager', 'Chief Medical Information Officer']
+      ]
     },
     marketing: {
       jobTitles: ['Marketing Manager', 'Digital Marketing Specialist', 'SEO Specialist', 'Content Strategist', 'Social Media Manager', 'Brand Manager', 'Marketing Analyst', 'Product Marketing Manager', 'Growth Hacker', 'Email Marketing Specialist'],
       companies: ['BrandWorks', 'Digital Reach', 'MarketEdge', 'ContentCraft', 'SocialSphere', 'Growth Tactics', 'Engage Marketing', 'Brand Builders', 'MarketSense', 'Conversion Pros'],
       skills: ['Digital Marketing', 'SEO/SEM', 'Social Media Marketing', 'Content Creation', 'Email Marketing', 'Google Analytics', 'A/B Testing', 'CRM Systems', 'Marketing Automation', 'Adobe Creative Suite', 'Market Research', 'Campaign Management', 'Conversion Optimization', 'Copywriting'],
       degrees: ['Marketing', 'Communications', 'Business Administration', 'Public Relations', 'Advertising', 'Journalism'],
-      certifications: ['Google Analytics Certification', 'HubSpot Inbound Marketing', 'Facebook Blueprint', 'Google Ads Certification', 'Content Marketing Certification']
+      certifications: ['Google Analytics Certification', 'HubSpot Inbound Marketing', 'Facebook Blueprint', 'Google Ads Certification', 'Content Marketing Certification'],
+      careerLadders: [
+        ['Marketing Coordinator', 'Marketing Specialist', 'Marketing Manager', 'Senior Marketing Manager', 'Director of Marketing'],
+        ['Digital Marketing Coordinator', 'Digital Marketing Specialist', 'Senior Digital Marketing Specialist', 'Digital Marketing Manager', 'Head of Digital Marketing'],
+        ['Junior SEO Specialist', 'SEO Specialist', 'Senior SEO Specialist', 'SEO Manager', 'Head of SEO'],
+        ['Content Coordinator', 'Content Strategist', 'Senior Content Strategist', 'Content Marketing Manager', 'Director of Content'],
+        ['Associate Brand Manager', 'Brand Manager', 'Senior Brand Manager', 'Group Brand Manager', 'VP of Brand']
+      ]
     },
     education: {
       jobTitles: ['Teacher', 'Professor', 'Curriculum Developer', 'Education Administrator', 'School Counselor', 'Education Consultant', 'Instructional Designer', 'Training Specialist', 'Education Researcher', 'Academic Advisor'],
       companies: ['Learning Solutions', 'Knowledge Academy', 'Educational Services Inc.', 'EdTech Innovations', 'Teaching Excellence', 'Academic Partners', 'Learning Futures', 'Education First', 'Curriculum Designers', 'Smart Learning'],
       skills: ['Curriculum Development', 'Lesson Planning', 'Student Assessment', 'Classroom Management', 'Educational Technology', 'Learning Management Systems', 'Instructional Design', 'Student Engagement', 'Educational Research', 'Special Education', 'Online Teaching'],
       degrees: ['Education', 'Educational Leadership', 'Curriculum and Instruction', 'Educational Psychology', 'Special Education', 'Educational Technology'],
-      certifications: ['Teaching License', 'Educational Leadership Certification', 'Special Education Certification', 'ESL Certification', 'Instructional Design Certificate']
+      certifications: ['Teaching License', 'Educational Leadership Certification', 'Special Education Certification', 'ESL Certification', 'Instructional Design Certificate'],
+      careerLadders: [
+        ['Student Teacher', 'Teacher', 'Senior Teacher', 'Department Head', 'Assistant Principal'],
+        ['Teaching Assistant', 'Lecturer', 'Assistant Professor', 'Associate Professor', 'Professor'],
+        ['Instructional Design Assistant', 'Instructional Designer', 'Senior Instructional Designer', 'Lead Instructional Designer', 'Director of Learning Design'],
+        ['Training Coordinator', 'Training Specialist', 'Senior Training Specialist', 'Training Manager', 'Director of Training'],
+        ['Academic Advisor', 'Senior Academic Advisor', 'Assistant Dean of Students', 'Associate Dean of Students', 'Dean of Students']
+      ]
     }
   };
\ No newline at end of file
@@ -0,0 +1,188 @@
+/**
+ * Locales for candidate names, contact details, dates and section headings
+ */
+const { faker, fakerEN_GB, fakerDE, fakerFR, fakerJA, fakerPT_BR } = require('@faker-js/faker');
+
+// Section headings used by the default template, layouts, plain text and DOCX output
+const ENGLISH_HEADINGS = {
+  summary: 'Summary',
+  experience: 'Experience',
+  education: 'Education',
+  skills: 'Skills',
+  certifications: 'Certifications',
+  contact: 'Contact'
+};
+
+// Western name order; Japanese names put the family name first
+const givenNameFirst = (firstName, lastName) => `${firstName} ${lastName}`;
+
+// Split a full name into [firstName, lastName], the reverse of formatName
+const splitGivenNameFirst = name => {
+  const [firstName, ...rest] = name.trim().split(/\s+/);
+  return [firstName, rest.join(' ')];
+};
+
+// Postal code before the city, drawn in that order
+const generatePostalCodeFirst = f => {
+  const postalCode = f.location.zipCode();
+  return { city: f.location.city(), postalCode };
+};
+
+// French "de" before a place name, elided before a vowel (d'Orléans)
+const frenchOf = place => (/^[aeiouyàâéèêîôh]/i.test(place) ? `d'${place}` : `de ${place}`);
+
+const locales = {
+  en: {
+    faker,
+    languageTag: 'en-US',
+    phoneFormat: '[0-9]{3}-[0-9]{3}-[0-9]{4}',
+    formatName: givenNameFirst,
+    splitName: splitGivenNameFirst,
+    generateAddress: f => ({ city: f.location.city(), region: f.location.state({ abbreviated: true }) }),
+    formatLocation: ({ city, region }) => `${city}, ${region}`,
+    generateInstitution: f => f.helpers.arrayElement([
+      `${f.location.state()} University`,
+      `University of ${f.location.state()}`,
+      `${f.word.adjective({ capitalize: true })} ${f.helpers.arrayElement(['College', 'University', 'Institute'])}`,
+      `${f.location.city()} College`
+    ]),
+    present: 'Present',
+    headings: ENGLISH_HEADINGS
+  },
+  en_GB: {
+    faker: fakerEN_GB,
+    languageTag: 'en-GB',
+    phoneFormat: '07[0-9]{3} [0-9]{6}',
+    formatName: givenNameFirst,
+    splitName: splitGivenNameFirst,
+    generateAddress: f => ({ city: f.location.city(), postalCode: f.location.zipCode() }),
+    formatLocation: ({ city, postalCode }) => `${city}, ${postalCode}`,
+    generateInstitution: f => f.helpers.arrayElement([
+      `University of ${f.location.city()}`,
+      `${f.location.city()} College`,
+      `${f.location.city()} Metropolitan University`
+    ]),
+    present: 'Present',
+    headings: ENGLISH_HEADINGS
+  },
+  de: {
+    faker: fakerDE,
+    languageTag: 'de-DE',
+    phoneFormat: '01[5-7][0-9] [0-9]{7}',
+    formatName: givenNameFirst,
+    splitName: splitGivenNameFirst,
+    generateAddress: generatePostalCodeFirst,
+    formatLocation: ({ city, postalCode }) => `${postalCode} ${city}`,
+    generateInstitution: f => f.helpers.arrayElement([
+      `Universität ${f.location.city()}`,
+      `Technische Universität ${f.location.city()}`,
+      `Hochschule ${f.location.city()}`
+    ]),
+    present: 'heute',
+    headings: {
+      summary: 'Profil',
+      experience: 'Berufserfahrung',
+      education: 'Ausbildung',
+      skills: 'Kenntnisse',
+      certifications: 'Zertifikate',
+      contact: 'Kontakt'
+    }
+  },
+  fr: {
+    faker: fakerFR,
+    languageTag: 'fr-FR',
+    phoneFormat: '0[67] [0-9]{2} [0-9]{2} [0-9]{2} [0-9]{2}',
+    formatName: givenNameFirst,
+    splitName: splitGivenNameFirst,
+    generateAddress: generatePostalCodeFirst,
+    formatLocation: ({ city, postalCode }) => `${postalCode} ${city}`,
+    generateInstitution: f => f.helpers.arrayElement([
+      `Université ${frenchOf(f.location.city())}`,
+      `Institut universitaire ${frenchOf(f.location.city())}`,
+      `École supérieure de commerce ${frenchOf(f.location.city())}`
+    ]),
+    present: 'aujourd\'hui',
+    headings: {
+      summary: 'Profil',
+      experience: 'Expérience professionnelle',
+      education: 'Formation',
+      skills: 'Compétences',
+      certifications: 'Certifications',
+      contact: 'Contact'
+    }
+  },
+  ja: {
+    faker: fakerJA,
+    languageTag: 'ja-JP',
+    phoneFormat: '0[789]0-[0-9]{4}-[0-9]{4}',
+    formatName: (firstName, lastName) => `${lastName} ${firstName}`,
+    splitName: name => {
+      const [lastName, ...rest] = name.trim().split(/\s+/);
+      return [rest.join(' '), lastName];
+    },
+    generateAddress: f => ({ region: f.location.state(), city: f.location.city() }),
+    formatLocation: ({ city, region }) => `${region}${city}`,
+    generateInstitution: f => f.helpers.arrayElement([
+      `${f.location.city()}大学`,
+      `${f.location.state()}立大学`,
+      `${f.location.city()}工業大学`
+    ]),
+    present: '現在',
+    headings: {
+      summary: '職務要約',
+      experience: '職務経歴',
+      education: '学歴',
+      skills: 'スキル',
+      certifications: '資格',
+      contact: '連絡先'
+    }
+  },
+  pt_BR: {
+    faker: fakerPT_BR,
+    languageTag: 'pt-BR',
+    phoneFormat: '([1-9]{2}) 9[0-9]{4}-[0-9]{4}',
+    formatName: givenNameFirst,
+    splitName: splitGivenNameFirst,
+    generateAddress: f => ({ city: f.location.city(), region: f.location.state({ abbreviated: true }) }),
+    formatLocation: ({ city, region }) => `${city} - ${region}`,
+    generateInstitution: f => f.helpers.arrayElement([
+      `Universidade Federal de ${f.location.state()}`,
+      `Universidade de ${f.location.city()}`,
+      `Faculdade de ${f.location.city()}`
+    ]),
+    present: 'atual',
+    headings: {
+      summary: 'Resumo',
+      experience: 'Experiência profissional',
+      education: 'Formação acadêmica',
+      skills: 'Competências',
+      certifications: 'Certificações',
+      contact: 'Contato'
+    }
+  }
+};
+
+// Names accepted by the locale option
+const LOCALES = Object.keys(locales);
+
+/**
+ * Get the settings for a locale
+ * @param {string} name Locale name (en, en_GB, de, fr, ja, pt_BR); defaults to en
+ * @returns {Object} Locale with its faker instance, languageTag, phoneFormat, formatName, splitName, generateAddress
+ *   (city plus region or postal code, as the locale writes them), formatLocation (address to display text),
+ *   generateInstitution (a university or college name in the locale's language),
+ *   the word for a current job's end date (present) and section headings
+ * @throws {Error} If the locale is unknown
+ */
+function getLocale(name = 'en') {
+  if (!Object.prototype.hasOwnProperty.call(locales, name)) {
+    throw new Error(`Invalid locale: ${name}. Available locales: ${LOCALES.join(', ')}`);
+  }
+
+  return locales[name];
+}
+
+module.exports = {
+  LOCALES,
+  getLocale
+};
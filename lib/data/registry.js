@@ -0,0 +1,116 @@
+/**
+ * Registry of industries available for resume generation
+ */
+const builtInIndustries = require('./industries');
+const { isObject, isNonEmptyString, readDataFile } = require('../utils');
+
+// Fields every industry profile must provide, each a non-empty array of strings
+const REQUIRED_FIELDS = ['jobTitles', 'companies', 'skills', 'degrees', 'certifications'];
+
+// Names that would reach Object.prototype when industries are used as object keys
+const RESERVED_NAMES = ['__proto__', 'constructor', 'prototype'];
+
+// Keyed by industry name, without a prototype so no name can reach Object.prototype
+const registry = Object.assign(Object.create(null), builtInIndustries);
+
+/**
+ * Validate industry data against the industry schema
+ * @param {string} name Industry name
+ * @param {Object} data Industry data
+ * @throws {Error} If the name or data is invalid, listing every problem found
+ */
+function validateIndustryData(name, data) {
+  if (!isNonEmptyString(name)) {
+    throw new Error('Industry name must be a non-empty string');
+  }
+
+  if (RESERVED_NAMES.includes(name)) {
+    throw new Error(`Invalid industry name "${name}": ${RESERVED_NAMES.join(', ')} are reserved`);
+  }
+
+  if (!isObject(data)) {
+    throw new Error(`Invalid industry data for "${name}": expected an object`);
+  }
+
+  const problems = [];
+  REQUIRED_FIELDS.forEach(field => {
+    const value = data[field];
+    if (value === undefined) {
+      problems.push(`missing required field "${field}"`);
+    } else if (!Array.isArray(value) || value.length === 0) {
+      problems.push(`"${field}" must be a non-empty array`);
+    } else if (!value.every(isNonEmptyString)) {
+      problems.push(`"${field}" must only contain non-empty strings`);
+    }
+  });
+
+  // careerLadders is optional; titles are derived from jobTitles when it is absent
+  const ladders = data.careerLadders;
+  if (ladders !== undefined && (!Array.isArray(ladders) || ladders.some(ladder =>
+    !Array.isArray(ladder) || ladder.length === 0 || !ladder.every(isNonEmptyString)
+  ))) {
+    problems.push('"careerLadders" must be an array of non-empty arrays of job titles');
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid industry data for "${name}": ${problems.join('; ')}`);
+  }
+}
+
+/**
+ * Register an industry, replacing any existing industry with the same name
+ * @param {string} name Industry name
+ * @param {Object} data Industry data (jobTitles, companies, skills, degrees, certifications, optional careerLadders)
+ * @returns {Object} The registered industry data
+ */
+function registerIndustry(name, data) {
+  validateIndustryData(name, data);
+  registry[name] = data;
+  return data;
+}
+
+/**
+ * Load and register industries from a JSON file mapping industry names to data
+ * @param {string} filePath Path to the JSON industry file
+ * @returns {string[]} Names of the industries that were registered
+ */
+function loadIndustryFile(filePath) {
+  const parsed = readDataFile(filePath, 'industry file');
+
+  if (!isObject(parsed)) {
+    throw new Error(`Industry file ${filePath} must contain an object mapping industry names to data`);
+  }
+
+  // Validate everything first so a bad entry doesn't leave the file half-registered
+  const names = Object.keys(parsed);
+  names.forEach(name => validateIndustryData(name, parsed[name]));
+  names.forEach(name => registerIndustry(name, parsed[name]));
+
+  return names;
+}
+
+/**
+ * Get the data for a registered industry
+ * @param {string} name Industry name
+ * @returns {Object|undefined} Industry data, or undefined if not registered
+ */
+function getIndustry(name) {
+  return registry[name];
+}
+
+/**
+ * List the names of all registered industries
+ * @returns {string[]} Industry names
+ */
+function listIndustries() {
+  return Object.keys(registry);
+}
+
+module.exports = {
+  REQUIRED_FIELDS,
+  validateIndustryData,
+  registerIndustry,
+  loadIndustryFile,
+  getIndustry,
+  listIndustries
+};
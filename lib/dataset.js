@@ -0,0 +1,196 @@
+/**
+ * Bulk export of generated resumes to a single NDJSON file or to linked CSV tables
+ */
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const { generateResumes } = require('./index');
+const { createPopulationSummary, addToPopulationSummary } = require('./profile');
+
+// Dataset file types, chosen by the extension of the output path
+const DATASET_FORMATS = ['ndjson', 'csv'];
+
+// Columns of each CSV table; every row links back to its candidate through candidate_id
+const CSV_TABLES = {
+  candidates: ['candidate_id', 'name', 'email', 'phone', 'location', 'linkedin', 'website', 'industry',
+    'experience_years', 'summary', 'certifications', 'match_quality', 'match_score'],
+  jobs: ['job_id', 'candidate_id', 'position', 'company', 'start_date', 'end_date', 'is_current',
+    'duration_months', 'bullet_points'],
+  education: ['education_id', 'candidate_id', 'degree', 'field', 'institution', 'graduation_year', 'start_date',
+    'end_date', 'details'],
+  skills: ['candidate_id', 'category', 'skill']
+};
+
+/**
+ * Quote a CSV field when it contains a delimiter, quote or line break (RFC 4180)
+ * @param {*} value Field value; null and undefined become empty fields
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format an array of values as a CSV line
+ * @param {Array} values Field values
+ * @returns {string} CSV line including the line break
+ */
+function csvLine(values) {
+  return `${values.map(csvField).join(',')}\r\n`;
+}
+
+/**
+ * Flatten resume data into rows for the candidates, jobs, education and skills tables.
+ * Job and education IDs combine the candidate ID with the entry's position in the resume.
+ * @param {Object} resumeData Resume data as produced by generateResume
+ * @param {Object} meta Values that are not part of the resume data
+ * @param {number} meta.id Candidate ID
+ * @param {string} meta.industry Industry the resume was generated for
+ * @param {number} meta.experienceYears Years of experience the resume was generated for
+ * @param {Object} meta.match Ground-truth match against the target job, if any
+ * @returns {Object} Arrays of rows, keyed by table name, with values in CSV_TABLES column order
+ */
+function flattenResume(resumeData, { id, industry, experienceYears, match }) {
+  const { contactInfo } = resumeData;
+
+  return {
+    candidates: [[id, resumeData.name, contactInfo.email, contactInfo.phone, contactInfo.location,
+      contactInfo.linkedin, contactInfo.website, industry, experienceYears, resumeData.summary,
+      resumeData.certifications.join('; '), match ? match.quality : null, match ? match.score : null]],
+    jobs: resumeData.experience.map((job, index) => [`${id}-${index + 1}`, id, job.position, job.company,
+      job.startDateISO, job.endDateISO, job.isCurrent, job.durationMonths, job.bulletPoints.join('\n')]),
+    education: resumeData.education.map((entry, index) => [`${id}-${index + 1}`, id, entry.degree, entry.field,
+      entry.institution, entry.graduationYear, entry.startDateISO, entry.endDateISO, entry.details.join('\n')]),
+    skills: resumeData.skillCategories.flatMap(category => category.skills
+      .split(/,\s*/)
+      .filter(Boolean)
+      .map(skill => [id, category.category, skill]))
+  };
+}
+
+/**
+ * Open a file for streaming writes
+ * @param {string} filePath File path
+ * @returns {Promise<Object>} Writer with the file path, an async write that waits while the stream
+ *   is full, and an async close
+ */
+async function openWriter(filePath) {
+  const stream = fs.createWriteStream(filePath);
+  // Keep write errors for the next write instead of letting them go unhandled
+  let failure = null;
+  stream.on('error', error => {
+    failure = error;
+  });
+  await once(stream, 'open');
+
+  return {
+    path: filePath,
+    async write(text) {
+      if (failure) {
+        throw failure;
+      }
+      if (!stream.write(text)) {
+        await once(stream, 'drain');
+      }
+    },
+    async close() {
+      if (failure) {
+        return;
+      }
+      stream.end();
+      await once(stream, 'finish');
+    }
+  };
+}
+
+/**
+ * Get the dataset format from the output path's extension
+ * @param {string} out Output path
+ * @returns {string} Dataset format (ndjson, csv)
+ * @throws {Error} If the extension is not .ndjson or .csv
+ */
+function getDatasetFormat(out) {
+  const format = path.extname(String(out)).slice(1).toLowerCase();
+  if (!DATASET_FORMATS.includes(format)) {
+    throw new Error(`Unsupported dataset file: ${out}. Use a .ndjson or .csv file`);
+  }
+  return format;
+}
+
+/**
+ * Get the path of each CSV table: resumes.csv becomes resumes.candidates.csv, resumes.jobs.csv and so on
+ * @param {string} out Output path ending in .csv
+ * @returns {Object} Paths keyed by table name
+ */
+function getCsvTablePaths(out) {
+  const base = out.slice(0, -path.extname(out).length);
+  return Object.fromEntries(Object.keys(CSV_TABLES).map(table => [table, `${base}.${table}.csv`]));
+}
+
+/**
+ * Generate resumes one at a time and stream them to disk, so memory use does not grow with the count.
+ * An .ndjson path gets one resume per line with its candidate ID; a .csv path gets one CSV table per
+ * section (candidates, jobs, education, skills) next to it, linked by candidate ID. With a targetJob, each
+ * resume also carries its ground-truth match: the whole match on NDJSON lines, its quality and score in CSV.
+ * @param {Object} options Dataset options, plus any generateResumes options (industry, experienceYears, seed, locale, ...)
+ * @param {number} options.count Number of resumes
+ * @param {string} options.out Output path ending in .ndjson or .csv
+ * @returns {Promise<Object>} The count, the paths of the files written and the population summary of the resumes
+ * @throws {Error} If the count is not a positive whole number, the output path is not .ndjson or .csv, or
+ *   generateResumes rejects the options
+ */
+async function writeDataset(options = {}) {
+  const { count, out, ...resumeOptions } = options;
+
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error(`Invalid count: ${count}. Expected a whole number of at least 1`);
+  }
+  const format = getDatasetFormat(out);
+
+  const resumes = generateResumes({ ...resumeOptions, count, format: 'json' });
+
+  // Generate the first resume before any file is created, so invalid options fail cleanly
+  let next = await resumes.next();
+
+  const writers = {};
+  const summary = createPopulationSummary();
+  try {
+    if (format === 'ndjson') {
+      writers.resumes = await openWriter(out);
+    } else {
+      for (const [table, tablePath] of Object.entries(getCsvTablePaths(out))) {
+        writers[table] = await openWriter(tablePath);
+        await writers[table].write(csvLine(CSV_TABLES[table]));
+      }
+    }
+
+    for (; !next.done; next = await resumes.next()) {
+      const { index, industry, experienceYears, json, match } = next.value;
+      const id = index + 1;
+      addToPopulationSummary(summary, next.value);
+
+      if (format === 'ndjson') {
+        await writers.resumes.write(`${JSON.stringify({ id, industry, experienceYears, ...json, match })}\n`);
+      } else {
+        const rows = flattenResume(json, { id, industry, experienceYears, match });
+        for (const table of Object.keys(CSV_TABLES)) {
+          for (const row of rows[table]) {
+            await writers[table].write(csvLine(row));
+          }
+        }
+      }
+    }
+  } finally {
+    await Promise.all(Object.values(writers).map(writer => writer.close()));
+  }
+
+  return { count, files: Object.values(writers).map(writer => writer.path), summary };
+}
+
+module.exports = {
+  DATASET_FORMATS,
+  CSV_TABLES,
+  flattenResume,
+  writeDataset
+};
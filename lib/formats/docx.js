@@ -0,0 +1,277 @@
+/**
+ * Conversion of resume data to Word (.docx) documents laid out like the default markdown template
+ */
+const { createZip } = require('./zip');
+const { getLocale } = require('../data/locales');
+
+const WORD_NAMESPACE = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const RELATIONSHIP_NAMESPACE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const HYPERLINK_TYPE = `${RELATIONSHIP_NAMESPACE}/hyperlink`;
+
+// Word equivalents of the PDF styles in templates/styles.js; sizes are in half-points and
+// "accent" stands for the primary color
+const DOCX_STYLES = {
+  default: {
+    font: 'Arial',
+    textColor: '000000',
+    title: { size: 48, color: 'accent', bold: true, border: 'accent' },
+    heading: { size: 32, color: 'accent', bold: true, border: 'DDDDDD' }
+  },
+  modern: {
+    font: 'Segoe UI',
+    textColor: '333333',
+    title: { size: 42, color: 'accent', bold: true },
+    heading: { size: 33, color: 'accent', bold: true, leftBorder: 'accent' }
+  },
+  minimal: {
+    font: 'Helvetica',
+    textColor: '222222',
+    title: { size: 36, color: '222222', bold: false },
+    heading: { size: 27, color: 'accent', bold: false, border: 'EEEEEE' }
+  },
+  professional: {
+    font: 'Garamond',
+    textColor: '222222',
+    title: { size: 42, color: 'accent', bold: true, center: true },
+    heading: { size: 33, color: 'accent', bold: true, border: 'CCCCCC' }
+  }
+};
+
+/**
+ * Escape text for use in XML content and attribute values
+ * @param {string} text Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Convert a CSS hex color to the six-digit form Word expects
+ * @param {string} color Hex color (#0066cc or #06c)
+ * @returns {string} Upper-case hex color without the leading #, or 0066CC if the color is not hex
+ */
+function toWordColor(color) {
+  const hex = String(color).replace(/^#/, '');
+  if (/^[0-9a-f]{3}$/i.test(hex)) {
+    return hex.split('').map(digit => digit + digit).join('').toUpperCase();
+  }
+  return /^[0-9a-f]{6}$/i.test(hex) ? hex.toUpperCase() : '0066CC';
+}
+
+/**
+ * Prefix a bare domain with https:// so it can be used as a hyperlink target
+ * @param {string} value Domain or URL
+ * @returns {string} URL
+ */
+function toUrl(value) {
+  return /^https?:\/\//.test(value) ? value : `https://${value}`;
+}
+
+/**
+ * Build a text run
+ * @param {string} text Run text
+ * @param {string} properties Optional run properties XML
+ * @returns {string} Run XML
+ */
+function run(text, properties = '') {
+  return `<w:r>${properties ? `<w:rPr>${properties}</w:rPr>` : ''}<w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>`;
+}
+
+/**
+ * Build a paragraph
+ * @param {string} content Runs and hyperlinks XML
+ * @param {string} styleId Optional paragraph style
+ * @returns {string} Paragraph XML
+ */
+function paragraph(content, styleId) {
+  return `<w:p>${styleId ? `<w:pPr><w:pStyle w:val="${styleId}"/></w:pPr>` : ''}${content}</w:p>`;
+}
+
+/**
+ * Build a bulleted list item
+ * @param {string} text Item text
+ * @returns {string} Paragraph XML
+ */
+function bullet(text) {
+  return `<w:p><w:pPr><w:pStyle w:val="ListBullet"/><w:numPr><w:ilvl w:val="0"/><w:numId w:val="1"/></w:numPr></w:pPr>${run(text)}</w:p>`;
+}
+
+/**
+ * Build the main document part
+ * @param {Object} resumeData Resume data
+ * @param {Function} addLink Registers a hyperlink target and returns its relationship ID
+ * @param {Object} headings Section headings
+ * @returns {string} document.xml contents
+ */
+function buildDocument(resumeData, addLink, headings) {
+  const { contactInfo } = resumeData;
+  const body = [];
+
+  body.push(paragraph(run(resumeData.name), 'Title'));
+
+  // Contact line: email | phone | location | LinkedIn | Website
+  const separator = run(' | ');
+  const contact = [contactInfo.email, contactInfo.phone, contactInfo.location].map(text => run(text));
+  [['LinkedIn', contactInfo.linkedin], ['Website', contactInfo.website]]
+    .filter(([, target]) => target)
+    .forEach(([label, target]) => {
+      contact.push(`<w:hyperlink r:id="${addLink(toUrl(target))}">${run(label, '<w:rStyle w:val="Hyperlink"/>')}</w:hyperlink>`);
+    });
+  body.push(paragraph(contact.join(separator), 'Contact'));
+
+  body.push(paragraph(run(headings.summary), 'Heading1'));
+  body.push(paragraph(run(resumeData.summary)));
+
+  body.push(paragraph(run(headings.experience), 'Heading1'));
+  resumeData.experience.forEach(job => {
+    body.push(paragraph(run(`${job.position} | ${job.company} | ${job.startDate} - ${job.endDate}`), 'Heading2'));
+    job.bulletPoints.forEach(point => body.push(bullet(point)));
+  });
+
+  body.push(paragraph(run(headings.education), 'Heading1'));
+  resumeData.education.forEach(entry => {
+    body.push(paragraph(run(`${entry.degree} in ${entry.field} | ${entry.institution} | ${entry.graduationYear}`), 'Heading2'));
+    entry.details.forEach(detail => body.push(bullet(detail)));
+  });
+
+  body.push(paragraph(run(headings.skills), 'Heading1'));
+  resumeData.skillCategories.forEach(category => {
+    body.push(paragraph(run(category.category), 'Heading2'));
+    body.push(paragraph(run(category.skills)));
+  });
+
+  if (resumeData.certifications.length > 0) {
+    body.push(paragraph(run(headings.certifications), 'Heading1'));
+    resumeData.certifications.forEach(certification => body.push(bullet(certification)));
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="${WORD_NAMESPACE}" xmlns:r="${RELATIONSHIP_NAMESPACE}"><w:body>${body.join('')}<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="709" w:footer="709" w:gutter="0"/></w:sectPr></w:body></w:document>`;
+}
+
+/**
+ * Build the styles part for a style and primary color
+ * @param {string} style Style name (default, modern, minimal, professional)
+ * @param {string} color Primary color (hex code)
+ * @returns {string} styles.xml contents
+ */
+function buildStyles(style, color) {
+  const theme = DOCX_STYLES[style] || DOCX_STYLES.default;
+  const accent = toWordColor(color);
+  const resolve = value => (value === 'accent' ? accent : value);
+
+  const headingStyle = (id, name, definition, spacingBefore) => {
+    // Word requires the left border before the bottom border
+    const borders = [
+      definition.leftBorder ? `<w:left w:val="single" w:sz="24" w:space="8" w:color="${resolve(definition.leftBorder)}"/>` : '',
+      definition.border ? `<w:bottom w:val="single" w:sz="${definition.border === 'accent' ? 12 : 6}" w:space="4" w:color="${resolve(definition.border)}"/>` : ''
+    ].join('');
+
+    return `<w:style w:type="paragraph" w:styleId="${id}"><w:name w:val="${name}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>` +
+      `<w:pPr><w:keepNext/>${borders ? `<w:pBdr>${borders}</w:pBdr>` : ''}<w:spacing w:before="${spacingBefore}" w:after="120"/>${definition.center ? '<w:jc w:val="center"/>' : ''}</w:pPr>` +
+      `<w:rPr>${definition.bold ? '<w:b/>' : ''}<w:color w:val="${resolve(definition.color)}"/><w:sz w:val="${definition.size}"/></w:rPr></w:style>`;
+  };
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="${WORD_NAMESPACE}">` +
+    `<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="${theme.font}" w:hAnsi="${theme.font}" w:cs="${theme.font}" w:eastAsia="${theme.font}"/><w:color w:val="${theme.textColor}"/><w:sz w:val="22"/></w:rPr></w:rPrDefault>` +
+    '<w:pPrDefault><w:pPr><w:spacing w:after="80" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>' +
+    '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>' +
+    headingStyle('Title', 'Title', theme.title, 0) +
+    headingStyle('Heading1', 'heading 1', theme.heading, 360) +
+    '<w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>' +
+    '<w:pPr><w:keepNext/><w:spacing w:before="200" w:after="60"/></w:pPr><w:rPr><w:b/><w:sz w:val="24"/></w:rPr></w:style>' +
+    `<w:style w:type="paragraph" w:customStyle="1" w:styleId="Contact"><w:name w:val="Contact"/><w:basedOn w:val="Normal"/>${theme.title.center ? '<w:pPr><w:jc w:val="center"/></w:pPr>' : ''}</w:style>` +
+    '<w:style w:type="paragraph" w:styleId="ListBullet"><w:name w:val="List Bullet"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="40"/></w:pPr></w:style>' +
+    `<w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/><w:rPr><w:color w:val="${accent}"/></w:rPr></w:style>` +
+    '</w:styles>';
+}
+
+/**
+ * Build the numbering part defining the bullet list
+ * @returns {string} numbering.xml contents
+ */
+function buildNumbering() {
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:numbering xmlns:w="${WORD_NAMESPACE}">` +
+    '<w:abstractNum w:abstractNumId="0"><w:multiLevelType w:val="singleLevel"/>' +
+    '<w:lvl w:ilvl="0"><w:start w:val="1"/><w:numFmt w:val="bullet"/><w:lvlText w:val="•"/><w:lvlJc w:val="left"/>' +
+    '<w:pPr><w:ind w:left="720" w:hanging="360"/></w:pPr></w:lvl></w:abstractNum>' +
+    '<w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num></w:numbering>';
+}
+
+/**
+ * Convert generated resume data to a Word document
+ * @param {Object} resumeData Resume data as produced by generateResume
+ * @param {Object} options Document options
+ * @param {string} options.style Style name (default, modern, minimal, professional)
+ * @param {string} options.color Primary color (hex code)
+ * @param {string} options.locale Locale for the section headings (defaults to en)
+ * @returns {Buffer} .docx file contents
+ */
+function toDocx(resumeData, options = {}) {
+  const style = options.style || 'default';
+  const color = options.color || '#0066cc';
+
+  // Hyperlink relationships follow the fixed styles (rId1) and numbering (rId2) relationships
+  const links = [];
+  const addLink = target => {
+    links.push(target);
+    return `rId${links.length + 2}`;
+  };
+  const document = buildDocument(resumeData, addLink, getLocale(options.locale).headings);
+
+  const documentRelationships = [
+    `<Relationship Id="rId1" Type="${RELATIONSHIP_NAMESPACE}/styles" Target="styles.xml"/>`,
+    `<Relationship Id="rId2" Type="${RELATIONSHIP_NAMESPACE}/numbering" Target="numbering.xml"/>`,
+    ...links.map((target, index) => `<Relationship Id="rId${index + 3}" Type="${HYPERLINK_TYPE}" Target="${escapeXml(target)}" TargetMode="External"/>`)
+  ].join('');
+
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+        '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>' +
+        '<Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>' +
+        '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>' +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+        `<Relationship Id="rId1" Type="${RELATIONSHIP_NAMESPACE}/officeDocument" Target="word/document.xml"/>` +
+        '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'docProps/core.xml',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/">` +
+        `<dc:title>${escapeXml(`${resumeData.name} - Resume`)}</dc:title><dc:creator>faux-cv</dc:creator></cp:coreProperties>`
+    },
+    { name: 'word/document.xml', data: document },
+    { name: 'word/styles.xml', data: buildStyles(style, color) },
+    { name: 'word/numbering.xml', data: buildNumbering() },
+    {
+      name: 'word/_rels/document.xml.rels',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${documentRelationships}</Relationships>`
+    }
+  ]);
+}
+
+module.exports = {
+  DOCX_STYLES,
+  toDocx
+};
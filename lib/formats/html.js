@@ -0,0 +1,94 @@
+/**
+ * Conversion of markdown resumes to standalone HTML documents styled with the PDF styles
+ */
+const pdfStyles = require('../templates/styles');
+
+/**
+ * Escape text for use in HTML content and attribute values
+ * @param {string} text Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Convert markdown to an HTML fragment
+ * @param {string} markdown Markdown source
+ * @returns {string} HTML fragment
+ * @throws {Error} If the optional showdown dependency is not installed
+ */
+function markdownToHtml(markdown) {
+  // Required lazily because showdown is an optional dependency
+  let showdown;
+  try {
+    showdown = require('showdown');
+  } catch (error) {
+    throw new Error('HTML output requires the optional "showdown" package. Install it with: npm install showdown');
+  }
+
+  const converter = new showdown.Converter({
+    tables: true,
+    tasklists: true,
+    strikethrough: true
+  });
+
+  return converter.makeHtml(markdown);
+}
+
+/**
+ * Wrap an HTML fragment in a complete document with embedded CSS
+ * @param {Object} options Document options
+ * @param {string} options.title Document title (escaped)
+ * @param {string} options.css Stylesheet to embed
+ * @param {string} options.body HTML body content
+ * @returns {string} HTML document
+ */
+function renderHtmlDocument({ title, css, body }) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+  <style>${css}</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * Convert a markdown resume to a standalone styled HTML document
+ * @param {string} markdown Resume markdown
+ * @param {Object} options HTML options
+ * @param {string} options.style Style name (default, modern, minimal, professional)
+ * @param {string} options.color Primary color (hex code)
+ * @param {string} options.name Candidate name for the title
+ * @returns {string} HTML document
+ */
+function toHtml(markdown, options = {}) {
+  const style = options.style || 'default';
+  const color = options.color || '#0066cc';
+  const name = options.name || 'Resume';
+
+  return renderHtmlDocument({
+    title: `${name} - Resume`,
+    css: pdfStyles.getStyle(style, color),
+    body: markdownToHtml(markdown)
+  });
+}
+
+module.exports = {
+  escapeHtml,
+  markdownToHtml,
+  renderHtmlDocument,
+  toHtml
+};
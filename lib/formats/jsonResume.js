@@ -0,0 +1,104 @@
+/**
+ * Conversion of resume data to the JSON Resume (jsonresume.org) v1 schema
+ */
+
+const SCHEMA_URL = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+/**
+ * Prefix a bare domain with https:// so it is a valid URI
+ * @param {string} value Domain or URL
+ * @returns {string} URL
+ */
+function toUrl(value) {
+  return /^https?:\/\//.test(value) ? value : `https://${value}`;
+}
+
+/**
+ * Remove keys whose values are undefined so they are omitted rather than null
+ * @param {Object} object Source object
+ * @returns {Object} Object without undefined values
+ */
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Convert generated resume data to a JSON Resume v1 document
+ * @param {Object} resumeData Resume data as produced by generateResume
+ * @returns {Object} JSON Resume document
+ */
+function toJsonResume(resumeData) {
+  const { contactInfo, experience } = resumeData;
+  // Use the structured address when there is one; otherwise read "City, Region" from the display text
+  const { city, region, postalCode, countryCode } = contactInfo.address || (() => {
+    const [cityPart, regionPart] = contactInfo.location.split(',').map(part => part.trim());
+    return { city: cityPart, region: regionPart };
+  })();
+
+  const profiles = [];
+  if (contactInfo.linkedin) {
+    profiles.push({
+      network: 'LinkedIn',
+      username: contactInfo.linkedin.split('/').pop(),
+      url: toUrl(contactInfo.linkedin)
+    });
+  }
+
+  const basics = compact({
+    name: resumeData.name,
+    label: experience.length > 0 ? experience[0].position : undefined,
+    email: contactInfo.email,
+    phone: contactInfo.phone,
+    image: resumeData.photo ? resumeData.photo.dataUri : undefined,
+    url: contactInfo.website ? toUrl(contactInfo.website) : undefined,
+    summary: resumeData.summary,
+    location: compact({ city, region, postalCode, countryCode }),
+    profiles
+  });
+
+  const work = experience.map(job => compact({
+    name: job.company,
+    position: job.position,
+    startDate: job.startDateISO,
+    endDate: job.endDateISO || undefined,
+    highlights: job.bulletPoints
+  }));
+
+  const education = resumeData.education.map(entry => {
+    const gpa = entry.details.find(detail => detail.startsWith('GPA: '));
+    const coursework = entry.details.find(detail => detail.startsWith('Relevant coursework: '));
+
+    return compact({
+      institution: entry.institution,
+      area: entry.field,
+      studyType: entry.degree,
+      startDate: entry.startDateISO,
+      endDate: entry.endDateISO,
+      score: gpa ? gpa.slice('GPA: '.length) : undefined,
+      courses: coursework ? coursework.slice('Relevant coursework: '.length).split(', ') : undefined
+    });
+  });
+
+  const skills = resumeData.skillCategories.map(category => ({
+    name: category.category,
+    keywords: category.skills.split(',').map(skill => skill.trim()).filter(Boolean)
+  }));
+
+  const certificates = resumeData.certifications.map(name => ({ name }));
+
+  return {
+    $schema: SCHEMA_URL,
+    basics,
+    work,
+    education,
+    skills,
+    certificates,
+    meta: {
+      version: 'v1.0.0'
+    }
+  };
+}
+
+module.exports = {
+  toJsonResume
+};
@@ -0,0 +1,318 @@
+/**
+ * Layout templates that render resume data directly to HTML, for designs markdown cannot express
+ */
+const pdfStyles = require('../templates/styles');
+const { escapeHtml, renderHtmlDocument } = require('./html');
+const { getLocale } = require('../data/locales');
+
+// Column and timeline rules layered over the selected style; colors follow --primary-color
+const LAYOUT_STYLES = {
+  sidebar: `
+      .layout-sidebar {
+        display: grid;
+        grid-template-columns: 32% 1fr;
+        column-gap: 24px;
+      }
+      .layout-sidebar .sidebar {
+        background-color: #f4f6f8;
+        border-top: 4px solid var(--primary-color);
+        padding: 16px;
+        font-size: 0.9em;
+        overflow-wrap: anywhere;
+      }
+      .layout-sidebar .photo {
+        display: block;
+        width: 96px;
+        height: 96px;
+        margin: 0 auto 16px;
+        border-radius: 50%;
+      }
+      .layout-sidebar .sidebar h2 {
+        font-size: 1.1em;
+        margin-top: 16px;
+      }
+      .layout-sidebar .sidebar h2:first-child {
+        margin-top: 0;
+      }
+      .layout-sidebar .sidebar h3 {
+        font-size: 1em;
+        margin: 10px 0 4px;
+      }
+      .layout-sidebar .sidebar ul {
+        list-style: none;
+        padding-left: 0;
+        margin: 0;
+      }
+      .layout-sidebar .main h1 {
+        margin-top: 0;
+      }
+      .layout-sidebar .entry {
+        page-break-inside: avoid;
+      }
+      .layout-sidebar .entry-meta {
+        color: #666;
+        margin: 0 0 4px;
+      }
+    `,
+  timeline: `
+      .layout-timeline .photo {
+        float: right;
+        width: 96px;
+        height: 96px;
+        margin-left: 16px;
+        border-radius: 50%;
+      }
+      .layout-timeline .contact {
+        color: #666;
+      }
+      .layout-timeline .timeline {
+        list-style: none;
+        margin: 0;
+        padding: 0 0 0 20px;
+        border-left: 2px solid var(--primary-color);
+      }
+      .layout-timeline .timeline-entry {
+        position: relative;
+        margin-bottom: 16px;
+        page-break-inside: avoid;
+      }
+      .layout-timeline .timeline-entry::before {
+        content: '';
+        position: absolute;
+        left: -27px;
+        top: 6px;
+        width: 12px;
+        height: 12px;
+        border-radius: 50%;
+        background-color: var(--primary-color);
+      }
+      .layout-timeline .timeline-date {
+        font-size: 0.85em;
+        font-weight: bold;
+        color: var(--primary-color);
+      }
+      .layout-timeline .timeline-entry h3 {
+        margin: 2px 0;
+      }
+      .layout-timeline .timeline-org {
+        font-style: italic;
+        margin: 0 0 4px;
+      }
+      .layout-timeline .skills {
+        display: grid;
+        grid-template-columns: repeat(2, 1fr);
+        column-gap: 24px;
+      }
+    `
+};
+
+/**
+ * Render a list of strings as list items
+ * @param {string[]} items Items
+ * @returns {string} HTML list items
+ */
+function listItems(items) {
+  return items.map(item => `<li>${escapeHtml(item)}</li>`).join('');
+}
+
+/**
+ * Render the contact details as list items, with links for LinkedIn and the website
+ * @param {Object} contactInfo Contact info from the resume data
+ * @returns {string} HTML list items
+ */
+function contactItems(contactInfo) {
+  const links = [['LinkedIn', contactInfo.linkedin], ['Website', contactInfo.website]]
+    .filter(([, url]) => url)
+    .map(([label, url]) => `<li><a href="${escapeHtml(url)}">${label}</a></li>`);
+
+  return listItems([contactInfo.email, contactInfo.phone, contactInfo.location].filter(Boolean)) + links.join('');
+}
+
+/**
+ * Render the profile photo, or nothing when the resume has none
+ * @param {Object} resumeData Resume data as produced by generateResume
+ * @returns {string} HTML image
+ */
+function photoImage(resumeData) {
+  return resumeData.photo
+    ? `<img class="photo" src="${escapeHtml(resumeData.photo.dataUri)}" alt="Photo of ${escapeHtml(resumeData.name)}">`
+    : '';
+}
+
+/**
+ * Split a skill category's comma-separated skills into a list
+ * @param {Object} category Skill category from the resume data
+ * @returns {string[]} Skills
+ */
+function splitSkills(category) {
+  return category.skills.split(/,\s*/).filter(Boolean);
+}
+
+/**
+ * Render the certifications section, or nothing when there are none
+ * @param {string[]} certifications Certifications
+ * @param {Object} headings Section headings
+ * @returns {string} HTML section
+ */
+function certificationsSection(certifications, headings) {
+  return certifications.length > 0
+    ? `<section class="certifications"><h2>${escapeHtml(headings.certifications)}</h2><ul>${listItems(certifications)}</ul></section>`
+    : '';
+}
+
+/**
+ * Two-column layout: photo, contact, skills and certifications in a sidebar next to the summary,
+ * experience and education
+ * @param {Object} resumeData Resume data as produced by generateResume
+ * @param {Object} headings Section headings
+ * @returns {string} HTML fragment
+ */
+function renderSidebar(resumeData, headings) {
+  const skills = resumeData.skillCategories
+    .map(category => `<h3>${escapeHtml(category.category)}</h3><ul>${listItems(splitSkills(category))}</ul>`)
+    .join('');
+
+  const experience = resumeData.experience.map(job => `<div class="entry">
+<h3>${escapeHtml(job.position)}</h3>
+<p class="entry-meta">${escapeHtml(job.company)} | ${escapeHtml(job.startDate)} - ${escapeHtml(job.endDate)}</p>
+<ul>${listItems(job.bulletPoints)}</ul>
+</div>`).join('\n');
+
+  const education = resumeData.education.map(entry => `<div class="entry">
+<h3>${escapeHtml(entry.degree)} in ${escapeHtml(entry.field)}</h3>
+<p class="entry-meta">${escapeHtml(entry.institution)} | ${escapeHtml(entry.graduationYear)}</p>
+<ul>${listItems(entry.details)}</ul>
+</div>`).join('\n');
+
+  return `<div class="layout layout-sidebar">
+<aside class="sidebar">
+${photoImage(resumeData)}
+<section class="contact"><h2>${escapeHtml(headings.contact)}</h2><ul>${contactItems(resumeData.contactInfo)}</ul></section>
+<section class="skills"><h2>${escapeHtml(headings.skills)}</h2>${skills}</section>
+${certificationsSection(resumeData.certifications, headings)}
+</aside>
+<main class="main">
+<h1>${escapeHtml(resumeData.name)}</h1>
+<section class="summary"><h2>${escapeHtml(headings.summary)}</h2><p>${escapeHtml(resumeData.summary)}</p></section>
+<section class="experience"><h2>${escapeHtml(headings.experience)}</h2>
+${experience}
+</section>
+<section class="education"><h2>${escapeHtml(headings.education)}</h2>
+${education}
+</section>
+</main>
+</div>`;
+}
+
+/**
+ * Timeline layout: experience and education as dated entries along a vertical line
+ * @param {Object} resumeData Resume data as produced by generateResume
+ * @param {Object} headings Section headings
+ * @returns {string} HTML fragment
+ */
+function renderTimeline(resumeData, headings) {
+  const timelineEntry = (date, title, organization, points) => `<li class="timeline-entry">
+<div class="timeline-date">${escapeHtml(date)}</div>
+<h3>${escapeHtml(title)}</h3>
+<p class="timeline-org">${escapeHtml(organization)}</p>
+<ul>${listItems(points)}</ul>
+</li>`;
+
+  const experience = resumeData.experience
+    .map(job => timelineEntry(`${job.startDate} - ${job.endDate}`, job.position, job.company, job.bulletPoints))
+    .join('\n');
+
+  const education = resumeData.education
+    .map(entry => timelineEntry(String(entry.graduationYear), `${entry.degree} in ${entry.field}`, entry.institution, entry.details))
+    .join('\n');
+
+  const skills = resumeData.skillCategories
+    .map(category => `<div><h3>${escapeHtml(category.category)}</h3><p>${escapeHtml(splitSkills(category).join(' · '))}</p></div>`)
+    .join('');
+
+  return `<div class="layout layout-timeline">
+${photoImage(resumeData)}
+<h1>${escapeHtml(resumeData.name)}</h1>
+<ul class="contact">${contactItems(resumeData.contactInfo)}</ul>
+<section class="summary"><h2>${escapeHtml(headings.summary)}</h2><p>${escapeHtml(resumeData.summary)}</p></section>
+<section class="experience"><h2>${escapeHtml(headings.experience)}</h2><ol class="timeline">
+${experience}
+</ol></section>
+<section class="education"><h2>${escapeHtml(headings.education)}</h2><ol class="timeline">
+${education}
+</ol></section>
+<section class="skills-section"><h2>${escapeHtml(headings.skills)}</h2><div class="skills">${skills}</div></section>
+${certificationsSection(resumeData.certifications, headings)}
+</div>`;
+}
+
+// Layouts rendered from resume data, keyed by name
+const LAYOUT_RENDERERS = {
+  sidebar: renderSidebar,
+  timeline: renderTimeline
+};
+
+// Names accepted by the layout option; classic renders the markdown template
+const LAYOUTS = ['classic', ...Object.keys(LAYOUT_RENDERERS)];
+
+/**
+ * Check whether a layout is rendered from resume data rather than from markdown
+ * @param {string} layout Layout name
+ * @returns {boolean} True for data-driven layouts
+ */
+function isDataLayout(layout) {
+  return Object.prototype.hasOwnProperty.call(LAYOUT_RENDERERS, layout);
+}
+
+/**
+ * Get the CSS a data-driven layout adds on top of the selected style
+ * @param {string} layout Layout name (sidebar, timeline)
+ * @returns {string} CSS, empty for the classic layout
+ */
+function getLayoutStyle(layout) {
+  return isDataLayout(layout) ? LAYOUT_STYLES[layout] : '';
+}
+
+/**
+ * Render resume data as an HTML fragment in a data-driven layout
+ * @param {Object} resumeData Resume data as produced by generateResume
+ * @param {string} layout Layout name (sidebar, timeline)
+ * @param {string} locale Locale for the section headings (defaults to en)
+ * @returns {string} HTML fragment
+ * @throws {Error} If the layout is not a data-driven layout
+ */
+function renderLayout(resumeData, layout, locale) {
+  if (!isDataLayout(layout)) {
+    throw new Error(`Invalid layout: ${layout}. Layouts rendered from resume data: ${Object.keys(LAYOUT_RENDERERS).join(', ')}`);
+  }
+
+  return LAYOUT_RENDERERS[layout](resumeData, getLocale(locale).headings);
+}
+
+/**
+ * Render resume data as a standalone styled HTML document in a data-driven layout
+ * @param {Object} resumeData Resume data as produced by generateResume
+ * @param {Object} options HTML options
+ * @param {string} options.layout Layout name (sidebar, timeline)
+ * @param {string} options.style Style or theme name used for fonts and colors
+ * @param {string} options.color Primary color (hex code)
+ * @param {string} options.locale Locale for the section headings (defaults to en)
+ * @returns {string} HTML document
+ */
+function toLayoutHtml(resumeData, options = {}) {
+  const body = renderLayout(resumeData, options.layout, options.locale);
+
+  return renderHtmlDocument({
+    title: `${resumeData.name} - Resume`,
+    css: pdfStyles.getStyle(options.style || 'default', options.color || '#0066cc') + getLayoutStyle(options.layout),
+    body
+  });
+}
+
+module.exports = {
+  LAYOUTS,
+  isDataLayout,
+  getLayoutStyle,
+  renderLayout,
+  toLayoutHtml
+};
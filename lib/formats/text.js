@@ -0,0 +1,131 @@
+/**
+ * Conversion of resume data to plain text, including an ATS-friendly variant
+ */
+const { getLocale } = require('../data/locales');
+const { countKeyword } = require('../utils');
+
+// Section headers most applicant tracking systems recognize
+const ATS_HEADINGS = {
+  summary: 'PROFESSIONAL SUMMARY',
+  experience: 'WORK EXPERIENCE',
+  education: 'EDUCATION',
+  skills: 'SKILLS',
+  certifications: 'CERTIFICATIONS'
+};
+
+/**
+ * Join sections into a document, separating them with a blank line
+ * @param {Array} sections Sections, each an array of lines
+ * @returns {string} Text with a trailing newline
+ */
+function joinSections(sections) {
+  return `${sections.map(lines => lines.join('\n')).join('\n\n')}\n`;
+}
+
+/**
+ * Lay out entries (jobs, degrees) one after another with a blank line between them
+ * @param {Array} items Entries
+ * @param {Function} toLines Converts an entry to its lines
+ * @returns {string[]} Lines
+ */
+function entryLines(items, toLines) {
+  return items.flatMap((item, index) => (index > 0 ? ['', ...toLines(item)] : toLines(item)));
+}
+
+/**
+ * Convert generated resume data to a plain-text resume laid out like the default markdown template
+ * @param {Object} resumeData Resume data as produced by generateResume
+ * @param {Object} options Text options
+ * @param {string} options.locale Locale for the section headings (defaults to en)
+ * @returns {string} Plain-text resume
+ */
+function toText(resumeData, options = {}) {
+  const { contactInfo } = resumeData;
+  const headings = getLocale(options.locale).headings;
+  const contact = [contactInfo.email, contactInfo.phone, contactInfo.location, contactInfo.linkedin, contactInfo.website]
+    .filter(Boolean)
+    .join(' | ');
+
+  const sections = [
+    [resumeData.name, contact],
+    [headings.summary.toUpperCase(), resumeData.summary],
+    [headings.experience.toUpperCase(), ...entryLines(resumeData.experience, job => [
+      `${job.position} | ${job.company} | ${job.startDate} - ${job.endDate}`,
+      ...job.bulletPoints.map(point => `• ${point}`)
+    ])],
+    [headings.education.toUpperCase(), ...entryLines(resumeData.education, entry => [
+      `${entry.degree} in ${entry.field} | ${entry.institution} | ${entry.graduationYear}`,
+      ...entry.details.map(detail => `• ${detail}`)
+    ])],
+    [headings.skills.toUpperCase(), ...resumeData.skillCategories.map(category => `${category.category}: ${category.skills}`)]
+  ];
+
+  if (resumeData.certifications.length > 0) {
+    sections.push([headings.certifications.toUpperCase(), ...resumeData.certifications.map(certification => `• ${certification}`)]);
+  }
+
+  return joinSections(sections);
+}
+
+/**
+ * Convert generated resume data to an ATS-optimized plain-text resume.
+ * Uses conventional English section headers, one fact per line, ASCII bullets and no links.
+ * @param {Object} resumeData Resume data as produced by generateResume
+ * @returns {string} ATS-optimized plain-text resume
+ */
+function toAtsText(resumeData) {
+  const { contactInfo } = resumeData;
+
+  const sections = [
+    [resumeData.name, contactInfo.email, contactInfo.phone, contactInfo.location],
+    [ATS_HEADINGS.summary, resumeData.summary],
+    [ATS_HEADINGS.experience, ...entryLines(resumeData.experience, job => [
+      job.position,
+      job.company,
+      `${job.startDate} - ${job.endDate}`,
+      ...job.bulletPoints.map(point => `- ${point}`)
+    ])],
+    [ATS_HEADINGS.education, ...entryLines(resumeData.education, entry => [
+      `${entry.degree} in ${entry.field}`,
+      entry.institution,
+      String(entry.graduationYear),
+      ...entry.details.map(detail => `- ${detail}`)
+    ])],
+    [ATS_HEADINGS.skills, ...resumeData.skillCategories.map(category => `${category.category}: ${category.skills}`)]
+  ];
+
+  if (resumeData.certifications.length > 0) {
+    sections.push([ATS_HEADINGS.certifications, ...resumeData.certifications.map(certification => `- ${certification}`)]);
+  }
+
+  return joinSections(sections);
+}
+
+/**
+ * Report how densely a resume uses a list of keywords (usually the industry skill list)
+ * @param {string} text Resume text
+ * @param {string[]} keywords Keywords to look for
+ * @returns {Object} Report with totalWords, coverage (percentage of keywords found), keywords found
+ *   as { keyword, count, density } sorted by count, and the missing keywords
+ */
+function createKeywordReport(text, keywords) {
+  const totalWords = text.split(/\s+/).filter(Boolean).length;
+  const counts = keywords.map(keyword => ({ keyword, count: countKeyword(text, keyword) }));
+  const found = counts.filter(({ count }) => count > 0);
+
+  return {
+    totalWords,
+    coverage: keywords.length > 0 ? Math.round((found.length / keywords.length) * 1000) / 10 : 0,
+    keywords: found
+      .map(({ keyword, count }) => ({ keyword, count, density: Math.round((count / totalWords) * 10000) / 100 }))
+      .sort((a, b) => b.count - a.count || a.keyword.localeCompare(b.keyword)),
+    missing: counts.filter(({ count }) => count === 0).map(({ keyword }) => keyword)
+  };
+}
+
+module.exports = {
+  ATS_HEADINGS,
+  toText,
+  toAtsText,
+  createKeywordReport
+};
@@ -1,28 +1,55 @@
-const { faker } = require('@faker-js/faker');
+const { random } = require('../utils');
+const { getLocale } = require('../data/locales');
+const { generatePhoto } = require('./photo');
+
+/**
+ * Turn a name into a URL-friendly slug: lowercase, without accents, spaces replaced
+ * @param {string} text Name
+ * @param {string} separator Replacement for spaces
+ * @returns {string} Slug
+ */
+function slugify(text, separator) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/\s+/g, separator);
+}
 
 /**
  * Generate basic personal information
  * @param {Object} options Options for generation
  * @param {string} options.gender Gender (male, female)
- * @param {string} options.phoneFormat Format for phone generation
+ * @param {string} options.locale Locale for the name, phone number and location (en, en_GB, de, fr, ja, pt_BR)
+ * @param {string} options.name Fixed full name, in the locale's name order; the email and links are derived from it
+ * @param {string} options.phoneFormat Format for phone generation (defaults to the locale's format)
  * @param {boolean} options.includeLinkedin Include LinkedIn profile
  * @param {boolean} options.includeWebsite Include personal website
- * @returns {Object} Basic information object
+ * @param {boolean} options.includePhoto Include a generated avatar as the profile photo
+ * @param {string} options.photoStyle Avatar style (initials, identicon)
+ * @returns {Object} Basic information object; contactInfo has the location as display text and as a structured
+ *   address (city, region or postalCode, and countryCode)
  */
 function generateBasicInfo(options) {
-  const gender = options.gender || (Math.random() > 0.5 ? 'male' : 'female');
-  const firstName = faker.person.firstName(gender);
-  const lastName = faker.person.lastName();
+  const locale = getLocale(options.locale);
+  const { faker } = locale;
+  const gender = options.gender || (random() > 0.5 ? 'male' : 'female');
+  const [firstName, lastName] = options.name
+    ? locale.splitName(options.name)
+    : [faker.person.firstName(gender), faker.person.lastName()];
+  const name = options.name || locale.formatName(firstName, lastName);
+  const nameParts = [firstName, lastName].filter(Boolean);
+  const email = faker.internet.email({ firstName, lastName }).toLowerCase();
+  const phone = faker.helpers.fromRegExp(options.phoneFormat || locale.phoneFormat);
+  const address = { ...locale.generateAddress(faker), countryCode: locale.languageTag.split('-')[1] };
   
   return {
-    name: `${firstName} ${lastName}`,
+    name,
     contactInfo: {
-      email: faker.internet.email({ firstName, lastName }).toLowerCase(),
-      phone: faker.helpers.fromRegExp(options.phoneFormat || '[0-9]{3}-[0-9]{3}-[0-9]{4}'),
-      location: `${faker.location.city()}, ${faker.location.state({ abbreviated: true })}`,
-      linkedin: options.includeLinkedin ? `linkedin.com/in/${firstName.toLowerCase()}-${lastName.toLowerCase()}-${faker.string.numeric(6)}` : null,
-      website: options.includeWebsite ? `${firstName.toLowerCase()}${lastName.toLowerCase()}.com` : null
-    }
+      email,
+      phone,
+      location: locale.formatLocation(address),
+      address,
+      linkedin: options.includeLinkedin ? `linkedin.com/in/${nameParts.map(part => slugify(part, '-')).join('-')}-${faker.string.numeric(6)}` : null,
+      website: options.includeWebsite ? `${nameParts.map(part => slugify(part, '')).join('')}.com` : null
+    },
+    photo: options.includePhoto ? generatePhoto(name, options.photoStyle) : null
   };
 }
 
@@ -1,13 +1,17 @@
-const { randomInt, pickMultiple } = require('../utils');
+const { random, randomInt, pickMultiple } = require('../utils');
 
 /**
  * Generate certifications based on industry and experience
  * @param {Object} industryData Industry-specific data
  * @param {number} experienceYears Years of experience
+ * @param {Object} options Generation options
+ * @param {number} options.minCertifications Minimum number of certifications, capped at the industry's list (default 0)
  * @returns {Array} Array of certifications
  */
-function generateCertifications(industryData, experienceYears) {
-  if (experienceYears < 2 && Math.random() > 0.5) {
+function generateCertifications(industryData, experienceYears, options = {}) {
+  const minCount = Math.min(options.minCertifications || 0, industryData.certifications.length);
+  
+  if (minCount === 0 && experienceYears < 2 && random() > 0.5) {
     return [];
   }
   
@@ -15,9 +19,9 @@ function generateCertifications(industryData, experienceYears) {
                    experienceYears < 7 ? randomInt(1, 2) :
                    randomInt(2, 4);
   
-  return pickMultiple(industryData.certifications, 0, certCount);
+  return pickMultiple(industryData.certifications, minCount, Math.max(minCount, certCount));
 }
 
 module.exports = {
   generateCertifications
-};
\ No newline at end of file
+};
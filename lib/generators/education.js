@@ -1,39 +1,81 @@
-const { faker } = require('@faker-js/faker');
-const { randomInt, pickRandom, pickMultiple } = require('../utils');
+const { random, randomInt, pickRandom, pickMultiple, toIsoDate, monthsBetween } = require('../utils');
+const { getLocale } = require('../data/locales');
+
+// Typical program length in years for each degree
+const PROGRAM_YEARS = {
+  'Associate\'s': 2,
+  'Bachelor\'s': 4,
+  'Master\'s': 2,
+  'MBA': 2,
+  'Ph.D.': 5
+};
+
+/**
+ * Get structured study dates for a degree, assuming a September start and May graduation
+ * @param {string} degree Degree name
+ * @param {number} graduationYear Year of graduation
+ * @param {Date} referenceDate Date treated as "now"
+ * @returns {Object} startDateISO, endDateISO, isCurrent flag and durationMonths
+ */
+function getStudyDates(degree, graduationYear, referenceDate) {
+  const endDate = new Date(graduationYear, 4, 1);
+  const startDate = new Date(graduationYear - PROGRAM_YEARS[degree], 8, 1);
+  
+  return {
+    startDateISO: toIsoDate(startDate),
+    endDateISO: toIsoDate(endDate),
+    isCurrent: endDate > referenceDate,
+    durationMonths: monthsBetween(startDate, endDate)
+  };
+}
+
+/**
+ * Get the latest year a degree can be completed (in May) without ending after the first job starts
+ * @param {string} firstJobStart Start date of the earliest job (YYYY-MM-DD)
+ * @returns {number} Latest graduation year
+ */
+function latestGraduationYear(firstJobStart) {
+  const year = Number(firstJobStart.slice(0, 4));
+  return firstJobStart.slice(5) >= '05-01' ? year : year - 1;
+}
 
 /**
  * Generate education history
  * @param {Object} industryData Industry-specific data
  * @param {number} experienceYears Years of experience
  * @param {Object} options Options for generation
- * @returns {Array} Array of education entries
+ * @param {Date} options.referenceDate Date treated as "now" for graduation years
+ * @param {string} options.locale Locale for the institution names (en, en_GB, de, fr, ja, pt_BR)
+ * @param {string} options.firstJobStart Start date of the earliest job (YYYY-MM-DD); every degree is
+ *   completed before it. Without it, graduation years are counted back from the reference date.
+ * @returns {Array} Array of education entries, most recent first
  */
 function generateEducation(industryData, experienceYears, options) {
-  const degree = experienceYears >= 7 && Math.random() > 0.7
+  const referenceDate = (options && options.referenceDate) || new Date();
+  const locale = getLocale(options && options.locale);
+  const { faker } = locale;
+  const degree = experienceYears >= 7 && random() > 0.7
     ? faker.helpers.arrayElement(['Master\'s', 'MBA', 'Ph.D.'])
     : faker.helpers.arrayElement(['Bachelor\'s', 'Associate\'s']);
   
   const field = pickRandom(industryData.degrees);
-  const institution = faker.helpers.arrayElement([
-    `${faker.location.state()} University`,
-    `University of ${faker.location.state()}`,
-    `${faker.word.adjective({ capitalize: true })} ${faker.helpers.arrayElement(['College', 'University', 'Institute'])}`,
-    `${faker.location.city()} College`
-  ]);
+  const institution = locale.generateInstitution(faker);
   
-  const currentYear = new Date().getFullYear();
-  const graduationYear = currentYear - (experienceYears + randomInt(0, 2));
+  const latestYear = options && options.firstJobStart
+    ? latestGraduationYear(options.firstJobStart)
+    : referenceDate.getFullYear() - experienceYears;
+  const graduationYear = latestYear - randomInt(0, 2);
   
   const details = [];
-  if (Math.random() > 0.5) {
+  if (random() > 0.5) {
     details.push(`GPA: ${(randomInt(30, 40) / 10).toFixed(1)}`);
   }
   
-  if (Math.random() > 0.6) {
+  if (random() > 0.6) {
     details.push(`${faker.helpers.arrayElement(['Relevant coursework', 'Specialized in', 'Focus area'])}: ${pickMultiple(industryData.skills, 2, 3).join(', ')}`);
   }
   
-  if (Math.random() > 0.7) {
+  if (random() > 0.7) {
     details.push(`${faker.helpers.arrayElement(['Member of', 'Participated in', 'Active in'])} ${faker.helpers.arrayElement(['Student Association', 'Honor Society', 'Research Group', 'Campus Organization'])}`);
   }
   
@@ -42,21 +84,21 @@ function generateEducation(industryData, experienceYears, options) {
     field,
     institution,
     graduationYear,
+    ...getStudyDates(degree, graduationYear, referenceDate),
     details
   }];
   
   // Add a second degree sometimes
-  if (experienceYears > 5 && Math.random() > 0.7) {
+  if (experienceYears > 5 && random() > 0.7) {
+    const secondDegreeName = degree === 'Bachelor\'s' ? faker.helpers.arrayElement(['Master\'s', 'MBA', 'Ph.D.']) : 'Bachelor\'s';
+    // The second degree was completed before the first one, so it also ends before the first job
+    const secondGraduationYear = graduationYear - (degree === 'Bachelor\'s' ? randomInt(2, 5) : randomInt(2, 4));
     const secondDegree = {
-      degree: degree === 'Bachelor\'s' ? faker.helpers.arrayElement(['Master\'s', 'MBA', 'Ph.D.']) : 'Bachelor\'s',
+      degree: secondDegreeName,
       field: pickRandom(industryData.degrees),
-      institution: faker.helpers.arrayElement([
-        `${faker.location.state()} University`,
-        `University of ${faker.location.state()}`,
-        `${faker.word.adjective({ capitalize: true })} ${faker.helpers.arrayElement(['College', 'University', 'Institute'])}`,
-        `${faker.location.city()} College`
-      ]),
-      graduationYear: degree === 'Bachelor\'s' ? graduationYear - randomInt(2, 5) : graduationYear + randomInt(2, 4),
+      institution: locale.generateInstitution(faker),
+      graduationYear: secondGraduationYear,
+      ...getStudyDates(secondDegreeName, secondGraduationYear, referenceDate),
       details: []
     };
     
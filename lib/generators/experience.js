@@ -1,42 +1,146 @@
 const { faker } = require('@faker-js/faker');
 const { randomInt, pickRandom, pickMultiple, generateDateRange } = require('../utils');
 
+// Years of experience needed to reach each rung of a career ladder
+const SENIORITY_THRESHOLDS = [0, 2, 5, 8, 12];
+
+// Used to build a ladder around a single job title when an industry defines no careerLadders
+const DEFAULT_SENIORITY_PREFIXES = ['Junior', '', 'Senior', 'Lead', 'Principal'];
+
+/**
+ * Build a ladder around a single job title with the default seniority prefixes
+ * @param {string} baseTitle Job title without a seniority prefix
+ * @returns {string[]} Job titles ordered from most junior to most senior
+ */
+function buildDefaultLadder(baseTitle) {
+  return DEFAULT_SENIORITY_PREFIXES.map(prefix => prefix ? `${prefix} ${baseTitle}` : baseTitle);
+}
+
+/**
+ * Pick the career ladder a candidate's titles will progress along
+ * @param {Object} industryData Industry-specific data
+ * @param {string} currentTitle Fixed title of the current job: a ladder containing it is picked; otherwise a
+ *   title with a seniority prefix gets a ladder built around it, and any other title tops an industry ladder
+ *   (optional)
+ * @returns {string[]} Job titles ordered from most junior to most senior
+ */
+function pickCareerLadder(industryData, currentTitle) {
+  const ladders = Array.isArray(industryData.careerLadders) ? industryData.careerLadders : [];
+  
+  if (currentTitle) {
+    const matching = ladders.filter(ladder => findRung(ladder, currentTitle) !== -1);
+    if (matching.length > 0) {
+      return pickRandom(matching);
+    }
+    
+    const prefix = DEFAULT_SENIORITY_PREFIXES.find(word => word && currentTitle.startsWith(`${word} `));
+    if (prefix) {
+      return buildDefaultLadder(currentTitle.slice(prefix.length + 1));
+    }
+    
+    // Earlier jobs climb an ordinary ladder of the industry up to the title
+    return [...pickCareerLadder(industryData), currentTitle];
+  }
+  
+  if (ladders.length > 0) {
+    return pickRandom(ladders);
+  }
+  
+  return buildDefaultLadder(pickRandom(industryData.jobTitles));
+}
+
+/**
+ * Find a title's rung on a career ladder, ignoring case
+ * @param {string[]} ladder Career ladder
+ * @param {string} title Job title
+ * @returns {number} Index into the career ladder, or -1 if the title is not on it
+ */
+function findRung(ladder, title) {
+  return ladder.findIndex(rung => rung.toLowerCase() === title.toLowerCase());
+}
+
+/**
+ * Get the ladder rung matching a number of years of experience
+ * @param {number} yearsOfExperience Years of experience when the job started
+ * @param {number} ladderLength Number of rungs in the career ladder
+ * @returns {number} Index into the career ladder
+ */
+function getSeniorityLevel(yearsOfExperience, ladderLength) {
+  let level = 0;
+  
+  for (let i = 1; i < ladderLength; i++) {
+    // Ladders longer than the threshold table need four more years per extra rung
+    const lastThreshold = SENIORITY_THRESHOLDS[SENIORITY_THRESHOLDS.length - 1];
+    const threshold = i < SENIORITY_THRESHOLDS.length
+      ? SENIORITY_THRESHOLDS[i]
+      : lastThreshold + (i - SENIORITY_THRESHOLDS.length + 1) * 4;
+    
+    if (yearsOfExperience >= threshold) {
+      level = i;
+    }
+  }
+  
+  return level;
+}
+
 /**
  * Generate work experience
  * @param {Object} industryData Industry-specific data
  * @param {number} experienceYears Years of experience
  * @param {Object} options Options for generation
+ * @param {Date} options.referenceDate Date treated as "now" for all date math
+ * @param {string} options.locale Locale for the display dates
+ * @param {number} options.jobCount Exact number of jobs (otherwise picked from the years of experience)
+ * @param {number} options.minJobCount Minimum number of jobs when the number is picked
+ * @param {string[]} options.requiredSkills Skills the current job's bullet points must mention
+ * @param {string} options.currentTitle Fixed title of the current job; earlier jobs climb the same ladder up to it
  * @returns {Array} Array of work experiences
  */
-function generateExperience(industryData, experienceYears, options) {
-  const jobCount = Math.min(
+function generateExperience(industryData, experienceYears, options = {}) {
+  const fixedJobCount = Boolean(options.jobCount);
+  // A picked number of jobs gives each job at least a year
+  const jobCount = fixedJobCount ? options.jobCount : Math.max(Math.min(
     experienceYears <= 3 ? randomInt(1, 2) :
     experienceYears <= 7 ? randomInt(2, 3) :
     randomInt(3, 5),
-    5
-  );
+    5,
+    Math.max(experienceYears, 1)
+  ), options.minJobCount || 0);
+  const requiredSkills = options.requiredSkills || [];
   
   const experience = [];
+  const referenceDate = (options && options.referenceDate) || new Date();
+  const careerLadder = pickCareerLadder(industryData, options.currentTitle);
+  // Earlier jobs never rank above a fixed current title
+  const topRung = options.currentTitle ? findRung(careerLadder, options.currentTitle) : careerLadder.length - 1;
   let remainingYears = experienceYears;
   let monthsAgo = 0;
   
   for (let i = 0; i < jobCount; i++) {
     const isCurrent = i === 0;
+    // Leave at least a year for each later job where the years allow it
+    const reservedYears = Math.min(jobCount - 1 - i, remainingYears);
     const jobYears = i === jobCount - 1 
       ? remainingYears 
-      : Math.min(randomInt(1, 3), remainingYears);
+      : Math.min(randomInt(1, 3), remainingYears - reservedYears);
     
     remainingYears -= jobYears;
     
-    const dateRange = generateDateRange(jobYears, monthsAgo, isCurrent);
+    // The years left for earlier jobs are the experience the candidate had when this one started
+    const yearsBeforeJob = remainingYears;
+    
+    const dateRange = generateDateRange(jobYears, monthsAgo, isCurrent, referenceDate, options && options.locale);
     monthsAgo += jobYears * 12 + randomInt(0, 3);
     
-    const jobTitle = pickRandom(industryData.jobTitles);
+    const jobTitle = isCurrent && options.currentTitle
+      ? options.currentTitle
+      : careerLadder[Math.min(getSeniorityLevel(yearsBeforeJob, careerLadder.length), topRung)];
     const company = pickRandom(industryData.companies);
     const jobSkills = pickMultiple(industryData.skills, 3, 6);
     
-    // Generate bullet points based on job level and industry
-    const bulletPointCount = randomInt(3, 5);
+    // Generate bullet points based on job level and industry; the current job mentions every required skill
+    const mentionedSkills = isCurrent ? requiredSkills : [];
+    const bulletPointCount = Math.max(randomInt(3, 5), mentionedSkills.length);
     const bulletPoints = [];
     
     const actionVerbs = [
@@ -46,7 +150,7 @@ function generateExperience(industryData, experienceYears, options) {
     
     for (let j = 0; j < bulletPointCount; j++) {
       const verb = pickRandom(actionVerbs);
-      const skill = pickRandom(jobSkills);
+      const skill = j < mentionedSkills.length ? mentionedSkills[j] : pickRandom(jobSkills);
       
       let result;
       switch (j % 3) {
@@ -69,6 +173,10 @@ function generateExperience(industryData, experienceYears, options) {
       company,
       startDate: dateRange.startDate,
       endDate: dateRange.endDate,
+      startDateISO: dateRange.startDateISO,
+      endDateISO: dateRange.endDateISO,
+      isCurrent: dateRange.isCurrent,
+      durationMonths: dateRange.durationMonths,
       bulletPoints
     });
   }
@@ -77,5 +185,7 @@ function generateExperience(industryData, experienceYears, options) {
 }
 
 module.exports = {
-  generateExperience
+  generateExperience,
+  pickCareerLadder,
+  getSeniorityLevel
 };
\ No newline at end of file
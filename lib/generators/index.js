@@ -7,6 +7,7 @@ const { generateExperience } = require('./experience');
 const { generateEducation } = require('./education');
 const { generateSkills } = require('./skills');
 const { generateCertifications } = require('./certifications');
+const { generatePhoto } = require('./photo');
 
 module.exports = {
   generateBasicInfo,
@@ -14,5 +15,6 @@ module.exports = {
   generateExperience,
   generateEducation,
   generateSkills,
-  generateCertifications
+  generateCertifications,
+  generatePhoto
 };
\ No newline at end of file
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+
+// Avatar styles accepted by generatePhoto
+const PHOTO_STYLES = ['initials', 'identicon'];
+
+// Rendered avatar size in pixels
+const PHOTO_SIZE = 120;
+
+/**
+ * Get a person's initials from the first and last words of their name
+ * @param {string} name Full name
+ * @returns {string} One or two uppercase initials
+ */
+function getInitials(name) {
+  const initials = name
+    .split(/\s+/)
+    .map(word => (word.match(/[\p{L}\p{N}]/u) || [''])[0])
+    .filter(Boolean);
+
+  return (initials.length > 1 ? initials[0] + initials[initials.length - 1] : initials.join('')).toUpperCase();
+}
+
+/**
+ * Draw a circle badge with the person's initials
+ * @param {string} initials Initials
+ * @param {string} color Badge color
+ * @returns {string} SVG markup
+ */
+function initialsSvg(initials, color) {
+  const center = PHOTO_SIZE / 2;
+  return `<circle cx="${center}" cy="${center}" r="${center}" fill="${color}"/>` +
+    `<text x="${center}" y="${center}" dy="0.35em" text-anchor="middle" font-family="Arial, sans-serif" font-size="48" fill="#ffffff">${initials}</text>`;
+}
+
+/**
+ * Draw a 5x5 identicon, mirrored left to right, from the bits of a hash
+ * @param {Buffer} hash Hash of the name
+ * @param {string} color Cell color
+ * @returns {string} SVG markup
+ */
+function identiconSvg(hash, color) {
+  const cell = 20;
+  const padding = (PHOTO_SIZE - cell * 5) / 2;
+  const cells = [];
+
+  for (let row = 0; row < 5; row++) {
+    for (let column = 0; column < 3; column++) {
+      // Bytes 1 onwards decide the cells; byte 0 already picked the color
+      if (hash[1 + row * 3 + column] % 2 === 0) {
+        new Set([column, 4 - column]).forEach(x => {
+          cells.push(`<rect x="${padding + x * cell}" y="${padding + row * cell}" width="${cell}" height="${cell}" fill="${color}"/>`);
+        });
+      }
+    }
+  }
+
+  return `<rect width="${PHOTO_SIZE}" height="${PHOTO_SIZE}" fill="#f0f0f0"/>${cells.join('')}`;
+}
+
+/**
+ * Generate a profile photo placeholder as an SVG avatar.
+ * The avatar is derived from the name alone, so it is the same for the same name and uses none of the
+ * shared randomness; nothing is fetched over the network.
+ * @param {string} name Candidate name
+ * @param {string} style Avatar style (initials, identicon); defaults to initials
+ * @returns {Object} Photo with style, initials, mimeType and an embeddable base64 dataUri
+ * @throws {Error} If the style is unknown
+ */
+function generatePhoto(name, style = 'initials') {
+  if (!PHOTO_STYLES.includes(style)) {
+    throw new Error(`Invalid photo style: ${style}. Available photo styles: ${PHOTO_STYLES.join(', ')}`);
+  }
+
+  const hash = crypto.createHash('sha1').update(name).digest();
+  const color = `hsl(${Math.round((hash[0] / 256) * 360)}, 55%, 45%)`;
+  const initials = getInitials(name);
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${PHOTO_SIZE}" height="${PHOTO_SIZE}" viewBox="0 0 ${PHOTO_SIZE} ${PHOTO_SIZE}">` +
+    (style === 'identicon' ? identiconSvg(hash, color) : initialsSvg(initials, color)) +
+    '</svg>';
+
+  return {
+    style,
+    initials,
+    mimeType: 'image/svg+xml',
+    dataUri: `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`
+  };
+}
+
+module.exports = {
+  PHOTO_STYLES,
+  generatePhoto
+};
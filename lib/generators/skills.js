@@ -3,10 +3,12 @@ const { pickMultiple } = require('../utils');
 /**
  * Generate skills sections
  * @param {Object} industryData Industry-specific data
+ * @param {Object} options Options for generation
+ * @param {string[]} options.requiredSkills Skills to list first among the technical skills
  * @returns {Array} Array of skill categories
  */
-function generateSkills(industryData) {
-  const technicalSkills = pickMultiple(industryData.skills, 6, 10);
+function generateSkills(industryData, options = {}) {
+  const technicalSkills = [...new Set([...(options.requiredSkills || []), ...pickMultiple(industryData.skills, 6, 10)])];
   
   // Generate generic soft skills
   const softSkills = pickMultiple([
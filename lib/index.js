@@ -1,45 +1,149 @@
+const { Readable } = require('stream');
 const mustache = require('mustache');
-const industries = require('./data/industries');
+const registry = require('./data/registry');
+const { getLocale } = require('./data/locales');
+const styles = require('./templates/styles');
 const defaultTemplate = require('./templates/default');
 const generators = require('./generators');
+const { toJsonResume } = require('./formats/jsonResume');
+const { toHtml } = require('./formats/html');
+const { LAYOUTS, isDataLayout, toLayoutHtml } = require('./formats/layouts');
+const { toDocx } = require('./formats/docx');
+const { toText, toAtsText, createKeywordReport } = require('./formats/text');
+const { validateResume } = require('./validator');
+const profiles = require('./profile');
+const { validateBlueprint, mergeEntries } = require('./blueprint');
+const targetJobs = require('./targetJob');
+const { createLogger } = require('./logger');
+const { random, pickRandom, createRandom, deriveSeed, seedRandom, parseDate } = require('./utils');
+
+// Upper bound on regenerations when a resume fails validation
+const MAX_GENERATION_ATTEMPTS = 10;
+
+/**
+ * Generate the resume data sections
+ * @param {Object} industryData Industry-specific data
+ * @param {Object} options Merged resume generation options
+ * @returns {Object} Resume data
+ */
+function generateResumeData(industryData, options) {
+  const blueprint = options.blueprint || {};
+  const requiredSkills = blueprint.skills || [];
+  
+  const basicInfo = generators.generateBasicInfo({ ...options, name: blueprint.name });
+  const contactInfo = { ...basicInfo.contactInfo, ...blueprint.contactInfo };
+  // A fixed location replaces the generated one, so its structured address no longer applies
+  if (blueprint.contactInfo && blueprint.contactInfo.location && !blueprint.contactInfo.address) {
+    delete contactInfo.address;
+  }
+  const experience = mergeEntries(generators.generateExperience(industryData, options.experienceYears, {
+    ...options,
+    jobCount: blueprint.jobCount,
+    minJobCount: blueprint.experience ? blueprint.experience.length : 0,
+    currentTitle: blueprint.experience && blueprint.experience[0] ? blueprint.experience[0].position : undefined,
+    requiredSkills
+  }), blueprint.experience);
+  const summary = blueprint.summary || generators.generateSummary(industryData, options.experienceYears, {
+    ...options,
+    currentTitle: experience.length > 0 ? experience[0].position : undefined,
+    requiredSkills
+  });
+  // Degrees are completed before the earliest job starts
+  const firstJobStart = experience.map(job => job.startDateISO).filter(Boolean).sort()[0];
+  const education = generators.generateEducation(industryData, options.experienceYears, { ...options, firstJobStart });
+  const skillCategories = generators.generateSkills(industryData, { requiredSkills });
+  const generatedCertifications = options.includeCertifications
+    ? generators.generateCertifications(industryData, options.experienceYears, options)
+    : [];
+  const certifications = blueprint.certifications || generatedCertifications;
+  
+  return {
+    ...basicInfo,
+    contactInfo,
+    summary,
+    experience,
+    education,
+    skillCategories,
+    certifications
+  };
+}
 
 /**
  * Generate a resume with specified options
  * @param {Object} options Resume generation options
  * @param {string} options.industry Industry specialization
  * @param {number} options.experienceYears Years of experience
- * @param {string} options.format Output format (markdown, json, both, pdf)
+ * @param {string} options.format Output format (markdown, json, both, pdf, jsonresume, html, docx, txt, ats)
  * @param {string} options.gender Gender for name generation (male, female)
  * @param {boolean} options.includeLinkedin Include LinkedIn profile
  * @param {boolean} options.includeWebsite Include personal website
- * @param {string} options.phoneFormat Format for phone number generation
+ * @param {boolean} options.includeCertifications Include certifications (default true)
+ * @param {number} options.minCertifications Minimum number of certifications when they are included (default 0)
+ * @param {boolean} options.includePhoto Include a generated SVG avatar as the profile photo
+ * @param {string} options.photoStyle Avatar style (initials, identicon)
+ * @param {string} options.locale Locale for names, phone numbers, locations, dates and section headings
+ *   (en, en_GB, de, fr, ja, pt_BR; default en)
+ * @param {string} options.phoneFormat Format for phone number generation (defaults to the locale's format)
  * @param {string} options.template Custom Mustache template
- * @param {string} options.pdfStyle PDF style (default, modern, minimal, professional)
- * @param {string} options.pdfColor Primary color for PDF styling
- * @returns {Object} Generated resume data and formatted output
+ * @param {string} options.pdfStyle PDF, HTML and DOCX style (default, modern, minimal, professional)
+ * @param {string} options.pdfColor Primary color for PDF, HTML and DOCX styling
+ * @param {string} options.layout HTML and PDF layout (classic, sidebar, timeline). Sidebar and timeline are
+ *   rendered from the resume data, so a custom template does not apply; with the pdf format the output then
+ *   also includes the html document to render and the json data it was rendered from
+ * @param {boolean} options.keywordReport With the ats format, also report keyword density against the industry skills
+ * @param {number|string} options.seed Random seed for reproducible output
+ * @param {Date|string} options.referenceDate Date (or YYYY-MM-DD) all dates are computed relative to
+ * @param {Object} options.blueprint Partial resume to keep while the rest is generated around it: name,
+ *   contactInfo (merged into the generated contact details), summary, experience (partial jobs merged into the
+ *   generated ones, most recent first), skills (required skills, listed first and mentioned in the summary and
+ *   the current job), certifications and jobCount (exact number of jobs)
+ * @param {Object} options.targetJob Job to generate a candidate for: title, requiredSkills, preferredSkills and
+ *   minYears. The output then includes the ground-truth match of the resume against it
+ * @param {string} options.matchQuality How well the candidate fits the target job (strong, partial, poor; picked
+ *   at random if omitted). Sets the years of experience unless experienceYears is given
+ * @param {boolean} options.validate Regenerate resumes that fail validateResume (default true)
+ * @param {Object} options.logger Logger with info, debug, warn and error methods (defaults to console)
+ * @param {string} options.logLevel Log level (silent, info, debug); silent unless a logger is supplied
+ * @returns {Object} Candidate name and certifications plus the generated output for each requested format, and with a target job
+ *   the match: its quality, score from 0 to 1, matched and missing skills, whether the title matches and the years
  */
 function generateResume(options = {}) {
+  // Seed before any randomness is consumed so the whole resume is reproducible
+  if (options.seed !== undefined) {
+    seedRandom(options.seed);
+  }
+  
   // Set default options
   const defaultOptions = {
     industry: 'tech',
     experienceYears: 5,
     format: 'both',
-    gender: Math.random() > 0.5 ? 'male' : 'female',
+    gender: random() > 0.5 ? 'male' : 'female',
     includeLinkedin: true,
-    includeWebsite: Math.random() > 0.5,
-    phoneFormat: '[0-9]{3}-[0-9]{3}-[0-9]{4}',
+    includeWebsite: random() > 0.5,
+    includeCertifications: true,
+    includePhoto: false,
+    photoStyle: 'initials',
+    locale: 'en',
     template: defaultTemplate,
     pdfStyle: 'default',
-    pdfColor: '#0066cc'
+    pdfColor: '#0066cc',
+    layout: 'classic',
+    validate: true
   };
   
   const mergedOptions = { ...defaultOptions, ...options };
   
+  const logger = createLogger(mergedOptions);
+  
+  // Resolve "now" once so every generator agrees on it
+  mergedOptions.referenceDate = options.referenceDate !== undefined ? parseDate(options.referenceDate) : new Date();
+  
   // Validate industry with detailed error logging
-  if (!industries[mergedOptions.industry]) {
-    const availableIndustries = Object.keys(industries).join(', ');
+  if (!registry.getIndustry(mergedOptions.industry)) {
+    const availableIndustries = registry.listIndustries().join(', ');
     const errorMessage = `Invalid industry: ${mergedOptions.industry}. Available industries: ${availableIndustries}`;
-    console.error('Industry Validation Error:', {
+    logger.error('Industry Validation Error:', {
       provided: mergedOptions.industry,
       available: availableIndustries,
       error: errorMessage
@@ -47,54 +151,290 @@ function generateResume(options = {}) {
     throw new Error(errorMessage);
   }
   
-  console.log('Processing resume with options:', {
+  const locale = getLocale(mergedOptions.locale);
+  
+  // Plan a candidate of the requested fit and generate it through the blueprint
+  let matchPlan;
+  if (mergedOptions.targetJob !== undefined) {
+    targetJobs.validateTargetJob(mergedOptions.targetJob);
+    mergedOptions.matchQuality = targetJobs.validateMatchQuality(mergedOptions.matchQuality || pickRandom(targetJobs.MATCH_QUALITIES));
+    matchPlan = targetJobs.planMatch(mergedOptions.targetJob, mergedOptions.matchQuality);
+    if (options.experienceYears === undefined) {
+      mergedOptions.experienceYears = matchPlan.experienceYears !== undefined ? matchPlan.experienceYears : defaultOptions.experienceYears;
+    }
+    mergedOptions.blueprint = targetJobs.applyMatchPlan(matchPlan, mergedOptions.blueprint);
+  }
+  
+  if (mergedOptions.blueprint !== undefined) {
+    validateBlueprint(mergedOptions.blueprint, { experienceYears: mergedOptions.experienceYears });
+  }
+  
+  if (!LAYOUTS.includes(mergedOptions.layout)) {
+    throw new Error(`Invalid layout: ${mergedOptions.layout}. Available layouts: ${LAYOUTS.join(', ')}`);
+  }
+  
+  logger.debug('Processing resume with options:', {
     industry: mergedOptions.industry,
     format: mergedOptions.format,
     experienceYears: mergedOptions.experienceYears
   });
   
-  const industryData = industries[mergedOptions.industry];
+  const industryData = registry.getIndustry(mergedOptions.industry);
+  // Hold back the target job's skills the candidate should not have
+  const generationData = matchPlan ? targetJobs.withoutSkills(industryData, matchPlan.excludedSkills) : industryData;
   
-  // Generate resume data
-  const basicInfo = generators.generateBasicInfo(mergedOptions);
-  const summary = generators.generateSummary(industryData, mergedOptions.experienceYears, mergedOptions);
-  const experience = generators.generateExperience(industryData, mergedOptions.experienceYears, mergedOptions);
-  const education = generators.generateEducation(industryData, mergedOptions.experienceYears, mergedOptions);
-  const skillCategories = generators.generateSkills(industryData);
-  const certifications = generators.generateCertifications(industryData, mergedOptions.experienceYears);
-  
-  // Combine all data
-  const resumeData = {
-    ...basicInfo,
-    summary,
-    experience,
-    education,
-    skillCategories,
-    certifications
-  };
+  // Generate resume data, regenerating when the timeline doesn't hold together
+  let resumeData;
+  for (let attempt = 1; ; attempt++) {
+    resumeData = generateResumeData(generationData, mergedOptions);
+    
+    if (!mergedOptions.validate) {
+      break;
+    }
+    
+    const { valid, issues } = validateResume(resumeData, { experienceYears: mergedOptions.experienceYears });
+    if (valid) {
+      break;
+    }
+    
+    logger.debug(`Resume failed validation (attempt ${attempt}):`, issues);
+    
+    if (attempt >= MAX_GENERATION_ATTEMPTS) {
+      throw new Error(`Could not generate a consistent resume after ${attempt} attempts: ${issues.map(issue => issue.message).join('; ')}`);
+    }
+  }
   
-  console.log('Generated resume data:', resumeData);
+  logger.debug('Generated resume data:', resumeData);
   
   // Generate output in the requested format
-  let output = {};
+  let output = { name: resumeData.name, certifications: resumeData.certifications };
+  
+  if (matchPlan) {
+    output.match = {
+      quality: mergedOptions.matchQuality,
+      ...targetJobs.scoreMatch(resumeData, mergedOptions.targetJob, mergedOptions.experienceYears)
+    };
+  }
+  
+  // Templates also get the section headings in the resume's language
+  const templateData = { ...resumeData, headings: locale.headings };
   
   if (mergedOptions.format === 'json' || mergedOptions.format === 'both') {
     output.json = resumeData;
   }
   
+  if (mergedOptions.format === 'jsonresume') {
+    output.jsonresume = toJsonResume(resumeData);
+  }
+  
   if (mergedOptions.format === 'markdown' || mergedOptions.format === 'both' || mergedOptions.format === 'pdf') {
     const templateToUse = mergedOptions.template || defaultTemplate;
-    output.markdown = mustache.render(templateToUse, resumeData);
+    output.markdown = mustache.render(templateToUse, templateData);
   }
   
-  console.log('Output object:', output);
+  if (isDataLayout(mergedOptions.layout) && (mergedOptions.format === 'html' || mergedOptions.format === 'pdf')) {
+    output.html = toLayoutHtml(resumeData, {
+      layout: mergedOptions.layout,
+      style: mergedOptions.pdfStyle,
+      color: mergedOptions.pdfColor,
+      locale: mergedOptions.locale
+    });
+    if (mergedOptions.format === 'pdf') {
+      output.json = resumeData;
+    }
+  } else if (mergedOptions.format === 'html') {
+    const templateToUse = mergedOptions.template || defaultTemplate;
+    output.html = toHtml(mustache.render(templateToUse, templateData), {
+      style: mergedOptions.pdfStyle,
+      color: mergedOptions.pdfColor,
+      name: resumeData.name
+    });
+  }
+  
+  if (mergedOptions.format === 'txt') {
+    output.txt = toText(resumeData, { locale: mergedOptions.locale });
+  }
+  
+  if (mergedOptions.format === 'ats') {
+    output.ats = toAtsText(resumeData);
+    if (mergedOptions.keywordReport) {
+      output.keywordReport = createKeywordReport(output.ats, industryData.skills);
+    }
+  }
+  
+  if (mergedOptions.format === 'docx') {
+    output.docx = toDocx(resumeData, {
+      style: mergedOptions.pdfStyle,
+      color: mergedOptions.pdfColor,
+      locale: mergedOptions.locale
+    });
+  }
+  
+  logger.debug('Output object:', output);
   return output;
 }
 
-// Export the available industries for validation purposes
-const availableIndustries = Object.keys(industries);
+/**
+ * Check the options of a batch of resumes before any resume is generated
+ * @param {number} count Number of resumes
+ * @param {string[]} industries Industries to pick from
+ * @param {number|number[]} experienceYears Years of experience, or a [min, max] range
+ * @throws {Error} If the count, an industry or the experience range is invalid
+ */
+function validateBatchOptions(count, industries, experienceYears) {
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error(`Invalid count: ${count}. Expected a whole number of at least 0`);
+  }
+  
+  if (industries.length === 0) {
+    throw new Error('Expected at least one industry');
+  }
+  industries.forEach(industry => {
+    if (!registry.getIndustry(industry)) {
+      throw new Error(`Invalid industry: ${industry}. Available industries: ${registry.listIndustries().join(', ')}`);
+    }
+  });
+  
+  if (Array.isArray(experienceYears)) {
+    const [min, max] = experienceYears;
+    if (experienceYears.length !== 2 || !Number.isInteger(min) || !Number.isInteger(max) || min < 0 || min > max) {
+      throw new Error(`Invalid experience range: ${JSON.stringify(experienceYears)}. Expected [min, max] whole numbers of years`);
+    }
+  }
+}
+
+/**
+ * Generate many resumes one at a time, so none has to be kept in memory once it has been consumed.
+ * With a base seed, each resume gets its own seed derived from the base seed and its index: resume i is
+ * the same whatever the count, and generateResume({ ...options, seed, industry, experienceYears, ... }) with
+ * the values it was yielded with reproduces it on its own.
+ * @param {Object} options Batch options, plus any generateResume options (format, gender, locale, ...)
+ * @param {number} options.count Number of resumes
+ * @param {string|string[]} options.industry Industry, or industries to pick from at random for each resume (default tech)
+ * @param {number|number[]} options.experienceYears Years of experience, or a [min, max] range to pick from
+ *   for each resume (default 5, or the years each resume's match quality calls for with a targetJob)
+ * @param {Object} options.profile Population profile to sample each resume's industry, experience,
+ *   certifications, gender and locale from; its settings take precedence over the options above
+ * @param {number|string} options.seed Base seed for reproducible batches
+ * @param {string} options.format Output format for each resume (default json)
+ * @param {boolean} options.continueOnError Yield a resume that cannot be generated as its index, seed and error
+ *   and go on with the next one, instead of ending the batch with the error
+ * @yields {Object} The resume's index, seed (when seeded), industry, experienceYears, gender, locale and
+ *   (with a profile that sets noCertifications) includeCertifications and minCertifications, plus the
+ *   generateResume output (which includes the match with a targetJob)
+ * @throws {Error} If the count, an industry, the experience range or the profile is invalid, or a resume
+ *   cannot be generated without continueOnError
+ */
+async function* generateResumes(options = {}) {
+  const {
+    count,
+    seed,
+    industry = 'tech',
+    experienceYears = options.targetJob ? undefined : 5,
+    profile,
+    continueOnError = false,
+    ...resumeOptions
+  } = options;
+  const industries = [].concat(industry);
+  
+  validateBatchOptions(count, industries, experienceYears);
+  if (profile !== undefined) {
+    profiles.validateProfile(profile);
+  }
+  
+  for (let index = 0; index < count; index++) {
+    const itemSeed = seed !== undefined ? deriveSeed(seed, index) : undefined;
+    // Picks come from their own stream so they don't shift the randomness of the resume itself
+    const pick = itemSeed !== undefined ? createRandom(deriveSeed(itemSeed, 'batch')) : random;
+    
+    const itemOptions = {
+      industry: industries[Math.floor(pick() * industries.length)],
+      ...(experienceYears !== undefined ? {
+        experienceYears: Array.isArray(experienceYears)
+          ? experienceYears[0] + Math.floor(pick() * (experienceYears[1] - experienceYears[0] + 1))
+          : experienceYears
+      } : {}),
+      ...(profile ? profiles.sampleProfile(profile, pick) : {})
+    };
+    
+    let resume;
+    try {
+      resume = generateResume({ format: 'json', ...resumeOptions, ...itemOptions, seed: itemSeed });
+    } catch (error) {
+      if (!continueOnError) {
+        throw error;
+      }
+      yield { index, seed: itemSeed, error };
+      continue;
+    }
+    
+    yield {
+      index,
+      seed: itemSeed,
+      gender: resumeOptions.gender,
+      locale: resumeOptions.locale,
+      ...(resume.match ? { experienceYears: resume.match.experienceYears } : {}),
+      ...itemOptions,
+      ...resume
+    };
+  }
+}
+
+/**
+ * Generate a batch of resumes that follows a population profile and summarize the realized distribution
+ * @param {Object} options Same options as generateResumes, with a required profile
+ * @returns {Promise<Object>} The resumes, their population summary and a printable report comparing it
+ *   with the profile
+ * @throws {Error} If the profile is missing or generateResumes rejects the options
+ */
+async function generatePopulation(options = {}) {
+  if (options.profile === undefined) {
+    throw new Error('Expected a population profile');
+  }
+  
+  const resumes = [];
+  const summary = profiles.createPopulationSummary();
+  for await (const resume of generateResumes(options)) {
+    resumes.push(resume);
+    profiles.addToPopulationSummary(summary, resume);
+  }
+  
+  return { resumes, summary, report: profiles.formatPopulationSummary(summary, options.profile) };
+}
+
+/**
+ * Stream many resumes as an object-mode Readable, generating each one only when the consumer asks for it
+ * @param {Object} options Same options as generateResumes
+ * @returns {Readable} Object-mode stream of the resumes yielded by generateResumes
+ */
+function createResumeStream(options = {}) {
+  return Readable.from(generateResumes(options));
+}
 
 module.exports = {
   generateResume,
-  availableIndustries
+  generateResumes,
+  createResumeStream,
+  generatePopulation,
+  loadProfileFile: profiles.loadProfileFile,
+  validateProfile: profiles.validateProfile,
+  validateBlueprint,
+  loadTargetJobFile: targetJobs.loadTargetJobFile,
+  validateTargetJob: targetJobs.validateTargetJob,
+  scoreMatch: targetJobs.scoreMatch,
+  summarizePopulation: profiles.summarizePopulation,
+  formatPopulationSummary: profiles.formatPopulationSummary,
+  validateResume,
+  createLogger,
+  seedRandom,
+  registerIndustry: registry.registerIndustry,
+  loadIndustryFile: registry.loadIndustryFile,
+  listIndustries: registry.listIndustries,
+  registerTheme: styles.registerTheme,
+  loadThemeFile: styles.loadThemeFile,
+  listStyles: styles.listStyles,
+  // Export the available industries for validation purposes (includes registered industries)
+  get availableIndustries() {
+    return registry.listIndustries();
+  }
 };
\ No newline at end of file
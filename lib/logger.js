@@ -0,0 +1,47 @@
+/**
+ * Level-filtered logging for the library and CLI
+ */
+
+// Messages are emitted when their level is at or below the configured level
+const LOG_LEVELS = {
+  silent: 0,
+  info: 1,
+  debug: 2
+};
+
+/**
+ * Create a logger that forwards messages to a target logger according to a log level
+ * @param {Object} options Logger options
+ * @param {Object} options.logger Target with info, debug, warn and error methods (defaults to console)
+ * @param {string} options.logLevel Log level (silent, info, debug); defaults to info when a logger
+ *   is supplied and silent otherwise
+ * @returns {Object} Logger with info, debug, warn and error methods
+ */
+function createLogger(options = {}) {
+  const target = options.logger || console;
+  const logLevel = options.logLevel || (options.logger ? 'info' : 'silent');
+
+  if (LOG_LEVELS[logLevel] === undefined) {
+    throw new Error(`Invalid log level: ${logLevel}. Available levels: ${Object.keys(LOG_LEVELS).join(', ')}`);
+  }
+
+  const level = LOG_LEVELS[logLevel];
+  const emit = (minimumLevel, method) => (...args) => {
+    if (level >= minimumLevel) {
+      target[method](...args);
+    }
+  };
+
+  return {
+    level: logLevel,
+    error: emit(LOG_LEVELS.info, 'error'),
+    warn: emit(LOG_LEVELS.info, 'warn'),
+    info: emit(LOG_LEVELS.info, 'info'),
+    debug: emit(LOG_LEVELS.debug, 'debug')
+  };
+}
+
+module.exports = {
+  LOG_LEVELS,
+  createLogger
+};
@@ -2,6 +2,73 @@ const fs = require('fs');
 const path = require('path');
 const chalk = require('chalk');
 const pdfStyles = require('../templates/styles');
+const { escapeHtml, markdownToHtml, renderHtmlDocument } = require('../formats/html');
+const { isDataLayout, getLayoutStyle, renderLayout } = require('../formats/layouts');
+const { getPdfOptions, getContentSize } = require('./pageSetup');
+const { createLogger } = require('../logger');
+
+// Styles for the table of contents cover page
+const TOC_STYLE = `
+      .toc table {
+        width: 100%;
+        border-collapse: collapse;
+      }
+      .toc th,
+      .toc td {
+        text-align: left;
+        padding: 4px 8px;
+        border-bottom: 1px solid #ddd;
+      }
+      .toc tr {
+        page-break-inside: avoid;
+      }
+      .toc .toc-page {
+        text-align: right;
+      }`;
+
+/**
+ * Build the table of contents cover page. Page numbers are filled in once the layout is measured.
+ * @param {string[]} names Resume names
+ * @param {string[]} industries Industry of each resume
+ * @param {number[]} experienceYears Years of experience of each resume
+ * @returns {string} Cover page HTML
+ */
+function buildTableOfContents(names, industries, experienceYears) {
+  const rows = names.map((name, i) => {
+    const years = experienceYears[i] === undefined ? '' : `${experienceYears[i]} years`;
+    return `<tr><td><a href="#resume-${i + 1}">${escapeHtml(name)}</a></td>` +
+      `<td>${escapeHtml(industries[i] || '')}</td><td>${years}</td>` +
+      `<td class="toc-page"><a href="#resume-${i + 1}" data-target="resume-${i + 1}"></a></td></tr>`;
+  }).join('\n');
+
+  return `<div class="toc"><h1>Table of Contents</h1><table>
+<thead><tr><th>Candidate</th><th>Industry</th><th>Experience</th><th class="toc-page">Page</th></tr></thead>
+<tbody>
+${rows}
+</tbody></table></div>`;
+}
+
+/**
+ * Fill in the table of contents page numbers by measuring each section at the printed page size.
+ * Every section starts on a new page, so its page count is its height divided by the page height.
+ * @param {Object} page Puppeteer page with the batch document loaded
+ * @param {Object} pdfOptions Options returned by getPdfOptions
+ * @returns {Promise<void>} Promise that resolves when the page numbers are set
+ */
+async function fillTableOfContentsPages(page, pdfOptions) {
+  const { width, height } = getContentSize(pdfOptions);
+  await page.setViewport({ width: Math.floor(width), height: Math.floor(height) });
+  await page.emulateMediaType('print');
+
+  await page.evaluate(pageHeight => {
+    const pagesFor = element => Math.max(1, Math.ceil((element.getBoundingClientRect().height - 1) / pageHeight));
+    let pageNumber = 1 + pagesFor(document.querySelector('.toc'));
+    document.querySelectorAll('.resume').forEach(resume => {
+      document.querySelector(`.toc-page a[data-target="${resume.id}"]`).textContent = pageNumber;
+      pageNumber += pagesFor(resume);
+    });
+  }, height);
+}
 
 /**
  * Generate a batch PDF from multiple markdown files
@@ -11,40 +78,52 @@ const pdfStyles = require('../templates/styles');
  * @param {string} options.style PDF style (default, modern, minimal, professional)
  * @param {string} options.color Primary color (hex code)
  * @param {string[]} options.names Array of resume names
+ * @param {string} options.paperSize Paper size (Letter, A4, Legal)
+ * @param {string} options.orientation Orientation (portrait, landscape)
+ * @param {string|Object} options.margin Margins as CSS shorthand or { top, right, bottom, left }
+ * @param {string} options.header Header template ({{name}} is "Batch Resumes" since pages span several candidates)
+ * @param {string} options.footer Footer template ({{name}}, {{page}}, {{pages}}, {{date}})
+ * @param {boolean} options.pageNumbers Add a page number footer when no footer is given
+ * @param {boolean} options.tableOfContents Add a cover page with a clickable table of contents
+ * @param {string[]} options.industries Industry of each resume, shown in the table of contents
+ * @param {number[]} options.experienceYears Years of experience of each resume, shown in the table of contents
+ * @param {boolean} options.bookmarks Add PDF outline bookmarks for each resume and its sections
+ * @param {string} options.layout Layout (classic, sidebar, timeline); sidebar and timeline render options.resumes
+ * @param {Object[]} options.resumes Resume data for each markdown file, used by the sidebar and timeline layouts
+ * @param {string} options.locale Locale for the section headings of the sidebar and timeline layouts
+ * @param {Object} options.logger Logger for the error report (defaults to console)
+ * @param {string} options.logLevel Log level (silent, info, debug); errors are only reported when it is not silent
  * @returns {Promise<void>} Promise that resolves when PDF is generated
  */
 async function generateBatchPDF(markdownFiles, outputFile, options = {}) {
+  const logger = createLogger(options);
   try {
-    // Dynamically import the required modules only when needed
-    const showdown = require('showdown');
+    // Dynamically import puppeteer only when needed
     const puppeteer = require('puppeteer');
     
+    // Resolve page setup first so invalid options fail before a browser is launched
+    const pdfOptions = getPdfOptions({ ...options, name: 'Batch Resumes' });
+    
     const style = options.style || 'default';
     const color = options.color || '#0066cc';
     const names = options.names || [];
+    const resumeNames = markdownFiles.map((file, i) => (i < names.length ? names[i] : `Resume ${i+1}`));
     
     // Get the CSS for the selected style with page break support
     const css = pdfStyles.getStyleWithPageBreaks(style, color);
     
-    // Convert markdown to HTML for each file and combine them
-    const converter = new showdown.Converter({
-      tables: true,
-      tasklists: true,
-      strikethrough: true
-    });
-    
     let combinedHtml = '';
     
-    // Process each markdown file and add page breaks between them
+    const dataLayout = isDataLayout(options.layout);
+    
+    // Process each markdown file (or its resume data for data-driven layouts) and add page breaks between them
     for (let i = 0; i < markdownFiles.length; i++) {
-      const markdown = fs.readFileSync(markdownFiles[i], 'utf8');
-      const html = converter.makeHtml(markdown);
+      const html = dataLayout
+        ? renderLayout(options.resumes[i], options.layout, options.locale)
+        : markdownToHtml(fs.readFileSync(markdownFiles[i], 'utf8'));
       
-      // Get the resume name for this file
-      const resumeName = i < names.length ? names[i] : `Resume ${i+1}`;
-      
-      // Wrap each resume in a div with a data attribute for identification
-      combinedHtml += `<div class="resume" data-name="${resumeName}">${html}</div>`;
+      // Wrap each resume in a div with an anchor and a data attribute for identification
+      combinedHtml += `<div class="resume" id="resume-${i + 1}" data-name="${escapeHtml(resumeNames[i])}">${html}</div>`;
       
       // Add page break after each resume except the last one
       if (i < markdownFiles.length - 1) {
@@ -52,61 +131,62 @@ async function generateBatchPDF(markdownFiles, outputFile, options = {}) {
       }
     }
     
+    // Put the table of contents on its own cover page
+    if (options.tableOfContents) {
+      combinedHtml = buildTableOfContents(resumeNames, options.industries || [], options.experienceYears || []) +
+        '<div class="page-break"></div>' + combinedHtml;
+    }
+    
     // Create a full HTML document with styles
-    const fullHtml = `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="UTF-8">
-        <title>Batch Resumes</title>
-        <style>
-          ${css}
-          .resume {
-            margin-bottom: 20px;
-          }
-        </style>
-      </head>
-      <body>
-        ${combinedHtml}
-      </body>
-      </html>
-    `;
+    const fullHtml = renderHtmlDocument({
+      title: 'Batch Resumes',
+      css: `${css}${getLayoutStyle(options.layout)}
+      .resume {
+        margin-bottom: 20px;
+        display: flow-root;
+      }${options.tableOfContents ? TOC_STYLE : ''}`,
+      body: combinedHtml
+    });
     
     // Create a temporary HTML file
     const tempHtmlFile = `${path.dirname(outputFile)}/.temp-batch-resumes.html`;
     fs.writeFileSync(tempHtmlFile, fullHtml);
     
-    // Launch Puppeteer
-    const browser = await puppeteer.launch({
-      headless: 'new' // Use new headless mode for newer Puppeteer versions
-    });
-    const page = await browser.newPage();
-    
-    // Load the HTML file
-    await page.goto(`file://${path.resolve(tempHtmlFile)}`, {
-      waitUntil: 'networkidle0'
-    });
-    
-    // Generate PDF
-    await page.pdf({
-      path: outputFile,
-      format: 'A4',
-      margin: {
-        top: '20mm',
-        right: '20mm',
-        bottom: '20mm',
-        left: '20mm'
-      },
-      printBackground: true
-    });
-    
-    // Close the browser
-    await browser.close();
-    
-    // Remove the temporary HTML file
-    fs.unlinkSync(tempHtmlFile);
+    try {
+      // Launch Puppeteer
+      const browser = await puppeteer.launch({
+        headless: 'new' // Use new headless mode for newer Puppeteer versions
+      });
+      
+      // Close the browser even when loading or printing fails, so no Chromium is left running
+      try {
+        const page = await browser.newPage();
+        
+        // Load the HTML file
+        await page.goto(`file://${path.resolve(tempHtmlFile)}`, {
+          waitUntil: 'networkidle0'
+        });
+        
+        if (options.tableOfContents) {
+          await fillTableOfContentsPages(page, pdfOptions);
+        }
+        
+        // Generate PDF; Chromium builds the outline from the headings, so each resume's name
+        // becomes a bookmark with its sections nested underneath
+        await page.pdf({
+          ...pdfOptions,
+          ...(options.bookmarks ? { outline: true } : {}),
+          path: outputFile
+        });
+      } finally {
+        await browser.close();
+      }
+    } finally {
+      // Remove the temporary HTML file
+      fs.unlinkSync(tempHtmlFile);
+    }
   } catch (error) {
-    console.error(chalk.red(`Error generating batch PDF: ${error.message}`));
+    logger.error(chalk.red(`Error generating batch PDF: ${error.message}`));
     throw error;
   }
 }
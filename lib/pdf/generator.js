@@ -1,7 +1,10 @@
 const fs = require('fs');
 const path = require('path');
 const chalk = require('chalk');
-const pdfStyles = require('../templates/styles');
+const { toHtml } = require('../formats/html');
+const { isDataLayout, toLayoutHtml } = require('../formats/layouts');
+const { getPdfOptions } = require('./pageSetup');
+const { createLogger } = require('../logger');
 
 /**
  * Generate a PDF from a markdown file
@@ -11,82 +14,76 @@ const pdfStyles = require('../templates/styles');
  * @param {string} options.style PDF style (default, modern, minimal, professional)
  * @param {string} options.color Primary color (hex code)
  * @param {string} options.name Resume name for title
+ * @param {string} options.paperSize Paper size (Letter, A4, Legal)
+ * @param {string} options.orientation Orientation (portrait, landscape)
+ * @param {string|Object} options.margin Margins as CSS shorthand or { top, right, bottom, left }
+ * @param {string} options.header Header template ({{name}}, {{page}}, {{pages}}, {{date}})
+ * @param {string} options.footer Footer template ({{name}}, {{page}}, {{pages}}, {{date}})
+ * @param {boolean} options.pageNumbers Add a page number footer when no footer is given
+ * @param {string} options.layout Layout (classic, sidebar, timeline); sidebar and timeline render options.resume
+ * @param {Object} options.resume Resume data, used instead of the markdown by the sidebar and timeline layouts
+ * @param {string} options.locale Locale for the section headings of the sidebar and timeline layouts
+ * @param {Object} options.logger Logger for the error report (defaults to console)
+ * @param {string} options.logLevel Log level (silent, info, debug); errors are only reported when it is not silent
  * @returns {Promise<void>} Promise that resolves when PDF is generated
  */
 async function generatePDF(markdownFile, outputFile, options = {}) {
+  const logger = createLogger(options);
   try {
-    // Dynamically import the required modules only when PDF generation is needed
-    // This prevents errors if these dependencies aren't installed
-    const showdown = require('showdown');
+    // Dynamically import puppeteer only when PDF generation is needed
+    // This prevents errors if it isn't installed
     const puppeteer = require('puppeteer');
     
-    const style = options.style || 'default';
-    const color = options.color || '#0066cc';
-    const name = options.name || 'Resume';
+    // Resolve page setup first so invalid options fail before a browser is launched
+    const pdfOptions = getPdfOptions(options);
     
-    // Get the appropriate CSS for the selected style
-    const css = pdfStyles.getStyle(style, color);
-    
-    // Convert markdown to HTML using showdown
-    const converter = new showdown.Converter({
-      tables: true,
-      tasklists: true,
-      strikethrough: true
-    });
-    
-    const markdown = fs.readFileSync(markdownFile, 'utf8');
-    const html = converter.makeHtml(markdown);
-    
-    // Create a full HTML document with styles
-    const fullHtml = `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="UTF-8">
-        <title>${name} - Resume</title>
-        <style>${css}</style>
-      </head>
-      <body>
-        ${html}
-      </body>
-      </html>
-    `;
+    // Build a styled HTML document for the selected style, from the resume data for data-driven layouts
+    const fullHtml = isDataLayout(options.layout)
+      ? toLayoutHtml(options.resume, {
+        layout: options.layout,
+        style: options.style,
+        color: options.color,
+        locale: options.locale
+      })
+      : toHtml(fs.readFileSync(markdownFile, 'utf8'), {
+        style: options.style,
+        color: options.color,
+        name: options.name
+      });
     
     // Create a temporary HTML file
     const tempHtmlFile = `${path.dirname(outputFile)}/.temp-${path.basename(outputFile, '.pdf')}.html`;
     fs.writeFileSync(tempHtmlFile, fullHtml);
     
-    // Launch Puppeteer
-    const browser = await puppeteer.launch({
-      headless: 'new' // Use new headless mode for newer Puppeteer versions
-    });
-    const page = await browser.newPage();
-    
-    // Load the HTML file
-    await page.goto(`file://${path.resolve(tempHtmlFile)}`, {
-      waitUntil: 'networkidle0'
-    });
-    
-    // Generate PDF
-    await page.pdf({
-      path: outputFile,
-      format: 'A4',
-      margin: {
-        top: '20mm',
-        right: '20mm',
-        bottom: '20mm',
-        left: '20mm'
-      },
-      printBackground: true
-    });
-    
-    // Close the browser
-    await browser.close();
-    
-    // Remove the temporary HTML file
-    fs.unlinkSync(tempHtmlFile);
+    try {
+      // Launch Puppeteer
+      const browser = await puppeteer.launch({
+        headless: 'new' // Use new headless mode for newer Puppeteer versions
+      });
+      
+      // Close the browser even when loading or printing fails, so no Chromium is left running
+      try {
+        const page = await browser.newPage();
+        
+        // Load the HTML file
+        await page.goto(`file://${path.resolve(tempHtmlFile)}`, {
+          waitUntil: 'networkidle0'
+        });
+        
+        // Generate PDF
+        await page.pdf({
+          ...pdfOptions,
+          path: outputFile
+        });
+      } finally {
+        await browser.close();
+      }
+    } finally {
+      // Remove the temporary HTML file
+      fs.unlinkSync(tempHtmlFile);
+    }
   } catch (error) {
-    console.error(chalk.red(`Error generating PDF: ${error.message}`));
+    logger.error(chalk.red(`Error generating PDF: ${error.message}`));
     throw error;
   }
 }
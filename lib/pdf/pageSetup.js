@@ -0,0 +1,155 @@
+/**
+ * Page setup (paper size, orientation, margins, headers and footers) shared by every PDF generator
+ */
+const { escapeHtml } = require('../formats/html');
+
+// Paper sizes accepted by the paperSize option
+const PAPER_SIZES = ['Letter', 'A4', 'Legal'];
+
+// Orientations accepted by the orientation option
+const ORIENTATIONS = ['portrait', 'landscape'];
+
+const DEFAULT_MARGIN = '20mm';
+
+// Footer used by the pageNumbers option when no footer template is given
+const PAGE_NUMBER_FOOTER = '{{name}} - Page {{page}} of {{pages}}';
+
+// CSS length units Chromium accepts for PDF margins
+const LENGTH_PATTERN = /^\d+(\.\d+)?(mm|cm|in|px)$/;
+
+// Paper dimensions in inches, matching Chromium's paper formats
+const PAPER_DIMENSIONS = {
+  Letter: { width: 8.5, height: 11 },
+  A4: { width: 8.27, height: 11.7 },
+  Legal: { width: 8.5, height: 14 }
+};
+
+// CSS pixels per length unit
+const PIXELS_PER_UNIT = {
+  px: 1,
+  in: 96,
+  cm: 96 / 2.54,
+  mm: 96 / 25.4
+};
+
+/**
+ * Resolve a margin option to the four page margins
+ * @param {string|Object} margin CSS shorthand with 1 to 4 lengths ("20mm", "0.5in 1in"),
+ *   or an object with top, right, bottom and left lengths
+ * @returns {Object} Margins with top, right, bottom and left lengths
+ * @throws {Error} If a length is invalid
+ */
+function parseMargin(margin) {
+  if (margin && typeof margin === 'object') {
+    const sides = ['top', 'right', 'bottom', 'left'];
+    const resolved = Object.fromEntries(sides.map(side => [side, margin[side] === undefined ? DEFAULT_MARGIN : String(margin[side])]));
+    const invalid = sides.filter(side => !LENGTH_PATTERN.test(resolved[side]));
+    if (invalid.length > 0) {
+      throw new Error(`Invalid margin: ${invalid.map(side => `${side} ${resolved[side]}`).join(', ')}. Expected CSS lengths such as 20mm or 0.5in`);
+    }
+    return resolved;
+  }
+
+  const parts = String(margin).trim().split(/\s+/);
+  if (parts.length > 4 || parts.some(part => !LENGTH_PATTERN.test(part))) {
+    throw new Error(`Invalid margin: ${margin}. Expected 1 to 4 CSS lengths such as 20mm or "0.5in 1in"`);
+  }
+
+  // Same order as the CSS margin shorthand
+  const [top, right = top, bottom = top, left = right] = parts;
+  return { top, right, bottom, left };
+}
+
+/**
+ * Expand a header or footer template into the HTML Chromium prints on every page.
+ * {{name}} is the candidate name, {{page}} the page number, {{pages}} the page count and {{date}} the print date.
+ * @param {string} template Header or footer template (may contain HTML)
+ * @param {string} name Candidate name
+ * @param {Object} margin Page margins, used to line the text up with the page content
+ * @returns {string} Header or footer HTML
+ */
+function renderHeaderFooter(template, name, margin) {
+  const content = template
+    .replace(/\{\{\s*name\s*\}\}/g, escapeHtml(name))
+    .replace(/\{\{\s*page\s*\}\}/g, '<span class="pageNumber"></span>')
+    .replace(/\{\{\s*pages\s*\}\}/g, '<span class="totalPages"></span>')
+    .replace(/\{\{\s*date\s*\}\}/g, '<span class="date"></span>');
+
+  // Header and footer text is unstyled (and tiny) unless given an explicit font size
+  return `<div style="width: 100%; font-size: 9px; color: #666; text-align: center; padding: 0 ${margin.right} 0 ${margin.left};">${content}</div>`;
+}
+
+/**
+ * Build Puppeteer page.pdf options from page setup options
+ * @param {Object} pageSetup Page setup options
+ * @param {string} pageSetup.paperSize Paper size (Letter, A4, Legal); defaults to A4
+ * @param {string} pageSetup.orientation Orientation (portrait, landscape); defaults to portrait
+ * @param {string|Object} pageSetup.margin Margins as CSS shorthand or { top, right, bottom, left }; defaults to 20mm
+ * @param {string} pageSetup.header Header template
+ * @param {string} pageSetup.footer Footer template
+ * @param {boolean} pageSetup.pageNumbers Add a footer with the candidate name and page numbers when no footer is given
+ * @param {string} pageSetup.name Candidate name for {{name}} in headers and footers
+ * @returns {Object} Options for page.pdf
+ * @throws {Error} If the paper size, orientation or margin is invalid
+ */
+function getPdfOptions(pageSetup = {}) {
+  const paperSize = pageSetup.paperSize || 'A4';
+  const format = PAPER_SIZES.find(size => size.toLowerCase() === String(paperSize).toLowerCase());
+  if (!format) {
+    throw new Error(`Invalid paper size: ${paperSize}. Available paper sizes: ${PAPER_SIZES.join(', ')}`);
+  }
+
+  const orientation = pageSetup.orientation || 'portrait';
+  if (!ORIENTATIONS.includes(orientation)) {
+    throw new Error(`Invalid orientation: ${orientation}. Available orientations: ${ORIENTATIONS.join(', ')}`);
+  }
+
+  const margin = parseMargin(pageSetup.margin === undefined ? DEFAULT_MARGIN : pageSetup.margin);
+
+  const pdfOptions = {
+    format,
+    landscape: orientation === 'landscape',
+    margin,
+    printBackground: true
+  };
+
+  const footer = pageSetup.footer || (pageSetup.pageNumbers ? PAGE_NUMBER_FOOTER : undefined);
+  if (pageSetup.header || footer) {
+    const name = pageSetup.name || 'Resume';
+    pdfOptions.displayHeaderFooter = true;
+    // An empty template stops Chromium from printing its default date/title header or URL footer
+    pdfOptions.headerTemplate = pageSetup.header ? renderHeaderFooter(pageSetup.header, name, margin) : '<span></span>';
+    pdfOptions.footerTemplate = footer ? renderHeaderFooter(footer, name, margin) : '<span></span>';
+  }
+
+  return pdfOptions;
+}
+
+/**
+ * Calculate the printable area of a page, inside the margins
+ * @param {Object} pdfOptions Options returned by getPdfOptions
+ * @returns {Object} Content width and height in CSS pixels
+ */
+function getContentSize(pdfOptions) {
+  const toPixels = length => {
+    const [, value, unit] = length.match(/^([\d.]+)([a-z]+)$/);
+    return Number(value) * PIXELS_PER_UNIT[unit];
+  };
+
+  const paper = PAPER_DIMENSIONS[pdfOptions.format];
+  const pageWidth = (pdfOptions.landscape ? paper.height : paper.width) * PIXELS_PER_UNIT.in;
+  const pageHeight = (pdfOptions.landscape ? paper.width : paper.height) * PIXELS_PER_UNIT.in;
+  const { top, right, bottom, left } = pdfOptions.margin;
+
+  return {
+    width: pageWidth - toPixels(left) - toPixels(right),
+    height: pageHeight - toPixels(top) - toPixels(bottom)
+  };
+}
+
+module.exports = {
+  PAPER_SIZES,
+  ORIENTATIONS,
+  getPdfOptions,
+  getContentSize
+};
@@ -0,0 +1,151 @@
+/**
+ * Reusable PDF renderer that keeps one browser open and renders HTML on a bounded pool of pages
+ */
+const { getPdfOptions } = require('./pageSetup');
+
+// Pages rendered at the same time unless a concurrency is given
+const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Create a PDF renderer. The browser is launched on the first render and reused until close().
+ * @param {Object} options Renderer options
+ * @param {number} options.concurrency Maximum number of pages rendering at once (default 4)
+ * @param {Object} options.launchOptions Extra options passed to puppeteer.launch
+ * @param {Object} options.pageSetup Default page setup for every render (see getPdfOptions)
+ * @returns {Object} Renderer with render(html, renderOptions) and close() methods
+ */
+function createPdfRenderer(options = {}) {
+  const concurrency = options.concurrency === undefined ? DEFAULT_CONCURRENCY : options.concurrency;
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`Invalid concurrency: ${concurrency}. Expected a whole number of at least 1`);
+  }
+
+  // Validate the default page setup up front rather than on the first render
+  const pageSetup = options.pageSetup || {};
+  getPdfOptions(pageSetup);
+
+  let browserPromise;
+  let closed = false;
+  let pageCount = 0;
+  const idlePages = [];
+  const waiting = [];
+
+  const getBrowser = () => {
+    if (!browserPromise) {
+      // Dynamically import puppeteer only when a PDF is actually rendered
+      const puppeteer = require('puppeteer');
+      browserPromise = puppeteer.launch({
+        headless: 'new',
+        ...options.launchOptions
+      });
+    }
+    return browserPromise;
+  };
+
+  // Open a page in a free slot; if that fails, the slot goes to the next waiting render
+  const openPage = async () => {
+    pageCount++;
+    try {
+      const browser = await getBrowser();
+      return await browser.newPage();
+    } catch (error) {
+      freeSlot();
+      throw error;
+    }
+  };
+
+  // Give up a page's slot: a waiting render opens a page of its own in it (and settles if that fails too)
+  const freeSlot = () => {
+    pageCount--;
+    const next = waiting.shift();
+    if (next) {
+      next(openPage());
+    }
+  };
+
+  // Reuse an idle page, open a new one while under the limit, or wait for one to be released
+  const acquirePage = async () => {
+    if (idlePages.length > 0) {
+      return idlePages.pop();
+    }
+
+    if (pageCount < concurrency) {
+      return openPage();
+    }
+
+    return new Promise(resolve => waiting.push(resolve));
+  };
+
+  const releasePage = page => {
+    const next = waiting.shift();
+    if (next) {
+      next(page);
+    } else {
+      idlePages.push(page);
+    }
+  };
+
+  // A page whose render failed may be unusable, so close it instead of returning it to the pool
+  const discardPage = page => {
+    page.close().catch(() => {});
+    freeSlot();
+  };
+
+  return {
+    /**
+     * Render an HTML document to PDF
+     * @param {string} html Complete HTML document
+     * @param {Object} renderOptions Render options
+     * @param {string} renderOptions.path File to write the PDF to (optional)
+     * @param {Object} renderOptions.pageSetup Page setup overrides for this render, such as the candidate name
+     * @returns {Promise<Buffer>} PDF contents
+     */
+    async render(html, renderOptions = {}) {
+      if (closed) {
+        throw new Error('PDF renderer is closed');
+      }
+
+      const pdfOptions = getPdfOptions({ ...pageSetup, ...renderOptions.pageSetup });
+      const page = await acquirePage();
+      let pdf;
+      try {
+        // The HTML embeds its styles, so there is nothing to wait for beyond the load event
+        await page.setContent(html, { waitUntil: 'load' });
+        pdf = await page.pdf({
+          ...pdfOptions,
+          path: renderOptions.path
+        });
+      } catch (error) {
+        discardPage(page);
+        throw error;
+      }
+      releasePage(page);
+      return pdf;
+    },
+
+    /**
+     * Close the browser. Renders must have settled before closing.
+     * @returns {Promise<void>} Promise that resolves when the browser is closed
+     */
+    async close() {
+      closed = true;
+      if (!browserPromise) {
+        return;
+      }
+
+      let browser;
+      try {
+        browser = await browserPromise;
+      } catch (error) {
+        // The browser never started, so there is nothing to close
+        return;
+      }
+      await browser.close();
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_CONCURRENCY,
+  createPdfRenderer
+};
@@ -0,0 +1,356 @@
+/**
+ * Population profiles: distributions of industry, experience, certifications, gender and locale for mixed batches
+ */
+const path = require('path');
+const registry = require('./data/registry');
+const { LOCALES } = require('./data/locales');
+const { isObject, readDataFile } = require('./utils');
+
+// Categorical settings, each mapping values to relative weights, and the values they accept
+const WEIGHTED_SETTINGS = {
+  industries: () => registry.listIndustries(),
+  genders: () => ['male', 'female'],
+  locales: () => LOCALES
+};
+
+// Every setting a profile may contain
+const PROFILE_SETTINGS = [...Object.keys(WEIGHTED_SETTINGS), 'experience', 'noCertifications'];
+
+// Default bounds for sampled years of experience
+const DEFAULT_EXPERIENCE_RANGE = { min: 0, max: 40 };
+
+const isYears = value => Number.isInteger(value) && value >= 0;
+
+/**
+ * Check a map of values to weights
+ * @param {string} setting Setting name
+ * @param {*} weights Setting value from the profile
+ * @param {string[]} allowed Values the setting accepts
+ * @returns {string[]} Problems found
+ */
+function checkWeights(setting, weights, allowed) {
+  if (!isObject(weights) || Object.keys(weights).length === 0) {
+    return [`"${setting}" must map values to weights`];
+  }
+
+  const problems = [];
+  Object.entries(weights).forEach(([value, weight]) => {
+    if (!allowed.includes(value)) {
+      problems.push(`unknown ${setting} value "${value}" (available: ${allowed.join(', ')})`);
+    }
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+      problems.push(`"${setting}.${value}" must be a weight of 0 or more`);
+    }
+  });
+  if (problems.length === 0 && Object.values(weights).every(weight => weight === 0)) {
+    problems.push(`"${setting}" needs at least one weight above 0`);
+  }
+
+  return problems;
+}
+
+/**
+ * Check the experience setting: a fixed number of years, { mean, stddev } for a normal distribution
+ * or { min, max } for a uniform one
+ * @param {*} experience Setting value from the profile
+ * @returns {string[]} Problems found
+ */
+function checkExperience(experience) {
+  if (isYears(experience)) {
+    return [];
+  }
+  if (!isObject(experience)) {
+    return ['"experience" must be a whole number of years or an object with mean and stddev, or min and max'];
+  }
+
+  const problems = [];
+  const { mean, stddev, min = DEFAULT_EXPERIENCE_RANGE.min, max = DEFAULT_EXPERIENCE_RANGE.max } = experience;
+  if (mean === undefined && (experience.min === undefined || experience.max === undefined)) {
+    problems.push('"experience" needs a mean, or both min and max');
+  }
+  if (mean !== undefined && (typeof mean !== 'number' || mean < 0)) {
+    problems.push('"experience.mean" must be a number of 0 or more');
+  }
+  if (mean !== undefined && (typeof stddev !== 'number' || stddev < 0)) {
+    problems.push('"experience.stddev" must be a number of 0 or more');
+  }
+  if (!isYears(min) || !isYears(max) || min > max) {
+    problems.push('"experience.min" and "experience.max" must be whole numbers of years with min no more than max');
+  }
+
+  return problems;
+}
+
+/**
+ * Validate a population profile
+ * @param {Object} profile Profile with any of industries, genders and locales (values mapped to weights),
+ *   experience and noCertifications (share of resumes without certifications, 0 to 1)
+ * @returns {Object} The profile
+ * @throws {Error} If the profile is invalid, listing every problem found
+ */
+function validateProfile(profile) {
+  if (!isObject(profile)) {
+    throw new Error('Invalid profile: expected an object');
+  }
+
+  const problems = [];
+  Object.keys(profile)
+    .filter(setting => !PROFILE_SETTINGS.includes(setting))
+    .forEach(setting => problems.push(`unknown setting "${setting}" (expected ${PROFILE_SETTINGS.join(', ')})`));
+
+  Object.entries(WEIGHTED_SETTINGS).forEach(([setting, allowed]) => {
+    if (profile[setting] !== undefined) {
+      problems.push(...checkWeights(setting, profile[setting], allowed()));
+    }
+  });
+
+  if (profile.experience !== undefined) {
+    problems.push(...checkExperience(profile.experience));
+  }
+
+  const { noCertifications } = profile;
+  if (noCertifications !== undefined && (typeof noCertifications !== 'number' || noCertifications < 0 || noCertifications > 1)) {
+    problems.push('"noCertifications" must be a share between 0 and 1');
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid profile: ${problems.join('; ')}`);
+  }
+
+  return profile;
+}
+
+/**
+ * Load and validate a population profile from a JSON or YAML (.yaml, .yml) file
+ * @param {string} filePath Path to the profile file
+ * @returns {Object} The profile
+ * @throws {Error} If the file cannot be read or parsed, YAML support is missing, or the profile is invalid
+ */
+function loadProfileFile(filePath) {
+  const isYaml = ['.yaml', '.yml'].includes(path.extname(filePath).toLowerCase());
+
+  let yaml;
+  if (isYaml) {
+    // Required lazily because js-yaml is an optional dependency
+    try {
+      yaml = require('js-yaml');
+    } catch (error) {
+      throw new Error('YAML profiles require the optional "js-yaml" package. Install it with: npm install js-yaml');
+    }
+  }
+
+  const parse = isYaml ? text => yaml.load(text, { schema: yaml.CORE_SCHEMA }) : JSON.parse;
+  return validateProfile(readDataFile(filePath, 'profile file', parse));
+}
+
+/**
+ * Pick a value in proportion to its weight
+ * @param {Object} weights Values mapped to weights
+ * @param {Function} random Function returning floats in [0, 1)
+ * @returns {string} Picked value
+ */
+function pickWeighted(weights, random) {
+  const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+  let remaining = random() * entries.reduce((total, [, weight]) => total + weight, 0);
+
+  for (const [value, weight] of entries) {
+    remaining -= weight;
+    if (remaining < 0) {
+      return value;
+    }
+  }
+  return entries[entries.length - 1][0];
+}
+
+/**
+ * Sample whole years of experience from the experience setting
+ * @param {number|Object} experience Fixed years, { mean, stddev, min, max } or { min, max }
+ * @param {Function} random Function returning floats in [0, 1)
+ * @returns {number} Years of experience
+ */
+function sampleExperience(experience, random) {
+  if (typeof experience === 'number') {
+    return experience;
+  }
+
+  const { mean, stddev, min = DEFAULT_EXPERIENCE_RANGE.min, max = DEFAULT_EXPERIENCE_RANGE.max } = experience;
+  if (mean === undefined) {
+    return min + Math.floor(random() * (max - min + 1));
+  }
+
+  // Box-Muller transform, rounded to whole years and kept within the bounds
+  const normal = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+  return Math.min(max, Math.max(min, Math.round(mean + stddev * normal)));
+}
+
+/**
+ * Sample the generateResume options for one resume from a profile
+ * @param {Object} profile Validated profile
+ * @param {Function} random Function returning floats in [0, 1)
+ * @returns {Object} industry, experienceYears, gender, locale, includeCertifications and minCertifications,
+ *   for the settings the profile contains
+ */
+function sampleProfile(profile, random) {
+  const sample = {};
+
+  if (profile.industries) {
+    sample.industry = pickWeighted(profile.industries, random);
+  }
+  if (profile.experience !== undefined) {
+    sample.experienceYears = sampleExperience(profile.experience, random);
+  }
+  // Resumes outside the noCertifications share get at least one, so the share is what the profile asks for
+  if (profile.noCertifications !== undefined) {
+    sample.includeCertifications = random() >= profile.noCertifications;
+    sample.minCertifications = sample.includeCertifications ? 1 : 0;
+  }
+  if (profile.genders) {
+    sample.gender = pickWeighted(profile.genders, random);
+  }
+  if (profile.locales) {
+    sample.locale = pickWeighted(profile.locales, random);
+  }
+
+  return sample;
+}
+
+/**
+ * Create an empty summary of a generated population
+ * @returns {Object} Summary to add resumes to with addToPopulationSummary
+ */
+function createPopulationSummary() {
+  return {
+    count: 0,
+    industries: {},
+    genders: {},
+    locales: {},
+    experience: { total: 0, totalSquares: 0, min: null, max: null },
+    certifications: { known: 0, none: 0 }
+  };
+}
+
+/**
+ * Count a generated resume in a population summary
+ * @param {Object} summary Summary from createPopulationSummary
+ * @param {Object} resume Resume as yielded by generateResumes (industry, experienceYears, gender, locale,
+ *   certifications or json)
+ * @returns {Object} The summary
+ */
+function addToPopulationSummary(summary, resume) {
+  const count = (counts, value) => {
+    if (value !== undefined) {
+      counts[value] = (counts[value] || 0) + 1;
+    }
+  };
+
+  summary.count++;
+  count(summary.industries, resume.industry);
+  count(summary.genders, resume.gender);
+  count(summary.locales, resume.locale);
+
+  const years = resume.experienceYears;
+  const { experience } = summary;
+  experience.total += years;
+  experience.totalSquares += years * years;
+  experience.min = experience.min === null ? years : Math.min(experience.min, years);
+  experience.max = experience.max === null ? years : Math.max(experience.max, years);
+
+  // Certifications are only known when the resume lists them or its JSON data was generated
+  const certifications = resume.certifications || (resume.json && resume.json.certifications);
+  if (certifications) {
+    summary.certifications.known++;
+    if (certifications.length === 0) {
+      summary.certifications.none++;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Summarize a generated population
+ * @param {Object[]} resumes Resumes as yielded by generateResumes
+ * @returns {Object} Population summary
+ */
+function summarizePopulation(resumes) {
+  return resumes.reduce(addToPopulationSummary, createPopulationSummary());
+}
+
+/**
+ * Format a share as a percentage with one decimal place
+ * @param {number} part Part
+ * @param {number} whole Whole
+ * @returns {string} Percentage
+ */
+function percent(part, whole) {
+  return `${(whole > 0 ? (part / whole) * 100 : 0).toFixed(1)}%`;
+}
+
+/**
+ * Describe the profile's experience setting as a target
+ * @param {number|Object} experience Experience setting, if any
+ * @returns {string} Target, or nothing when the profile has no experience setting
+ */
+function experienceTarget(experience) {
+  if (experience === undefined) {
+    return '';
+  }
+  if (!isObject(experience)) {
+    return ` (target ${experience} years)`;
+  }
+  const { mean, stddev, min = DEFAULT_EXPERIENCE_RANGE.min, max = DEFAULT_EXPERIENCE_RANGE.max } = experience;
+  return mean === undefined ? ` (target ${min}-${max} years)` : ` (target mean ${mean}, std dev ${stddev})`;
+}
+
+/**
+ * Describe the realized distribution of a population, next to the profile's targets when given
+ * @param {Object} summary Population summary
+ * @param {Object} profile Profile the population was generated from
+ * @returns {string} Multi-line report
+ */
+function formatPopulationSummary(summary, profile = {}) {
+  const lines = [`Population of ${summary.count} resume(s):`];
+
+  const shares = (label, counts, weights) => {
+    const values = [...new Set([...Object.keys(weights || {}), ...Object.keys(counts)])];
+    if (values.length === 0) {
+      return;
+    }
+    const totalWeight = weights ? Object.values(weights).reduce((total, weight) => total + weight, 0) : 0;
+    const realized = Object.values(counts).reduce((total, value) => total + value, 0);
+    lines.push(`  ${label}: ${values.map(value => {
+      const target = weights ? ` (target ${percent(weights[value] || 0, totalWeight)})` : '';
+      return `${value} ${percent(counts[value] || 0, realized)}${target}`;
+    }).join(', ')}`);
+  };
+
+  shares('Industries', summary.industries, profile.industries);
+
+  const { experience } = summary;
+  if (summary.count > 0) {
+    const mean = experience.total / summary.count;
+    const stddev = Math.sqrt(Math.max(0, experience.totalSquares / summary.count - mean * mean));
+    lines.push(`  Experience: mean ${mean.toFixed(1)} years, std dev ${stddev.toFixed(1)}${experienceTarget(profile.experience)}, range ${experience.min}-${experience.max}`);
+  }
+
+  if (summary.certifications.known > 0) {
+    const target = profile.noCertifications !== undefined ? ` (target ${percent(profile.noCertifications, 1)})` : '';
+    lines.push(`  Without certifications: ${percent(summary.certifications.none, summary.certifications.known)}${target}`);
+  }
+
+  shares('Genders', summary.genders, profile.genders);
+  shares('Locales', summary.locales, profile.locales);
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  PROFILE_SETTINGS,
+  validateProfile,
+  loadProfileFile,
+  sampleProfile,
+  createPopulationSummary,
+  addToPopulationSummary,
+  summarizePopulation,
+  formatPopulationSummary
+};
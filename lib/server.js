@@ -0,0 +1,238 @@
+/**
+ * HTTP API server for resume generation
+ */
+const http = require('http');
+const { generateResume } = require('./index');
+const { listIndustries } = require('./data/registry');
+const { LOCALES } = require('./data/locales');
+const { listStyles } = require('./templates/styles');
+const { LAYOUTS } = require('./formats/layouts');
+const { PHOTO_STYLES } = require('./generators/photo');
+const { toHtml } = require('./formats/html');
+const { createPdfRenderer } = require('./pdf/renderer');
+const { createLogger } = require('./logger');
+const { parseDate } = require('./utils');
+
+// Formats served by GET /resume
+const FORMATS = ['json', 'markdown', 'jsonresume', 'html', 'docx', 'txt', 'ats', 'pdf'];
+
+// Upper bound for the experience query parameter
+const MAX_EXPERIENCE_YEARS = 50;
+
+/**
+ * Error raised for invalid request parameters, reported as HTTP 400
+ */
+class ValidationError extends Error {}
+
+/**
+ * Write a response with the given status, content type and body
+ * @param {http.ServerResponse} res Server response
+ * @param {number} status HTTP status code
+ * @param {string} contentType Content-Type header value
+ * @param {string|Buffer} body Response body
+ */
+function send(res, status, contentType, body) {
+  res.writeHead(status, {
+    'Content-Type': contentType,
+    'Content-Length': Buffer.byteLength(body)
+  });
+  res.end(body);
+}
+
+/**
+ * Write a JSON response
+ * @param {http.ServerResponse} res Server response
+ * @param {number} status HTTP status code
+ * @param {Object} data Response data
+ */
+function sendJson(res, status, data) {
+  send(res, status, 'application/json; charset=utf-8', JSON.stringify(data, null, 2));
+}
+
+/**
+ * Convert /resume query parameters to generateResume options, validating each one
+ * @param {URLSearchParams} query Query parameters
+ * @returns {Object} Resume generation options
+ * @throws {ValidationError} If a parameter is invalid
+ */
+function parseResumeQuery(query) {
+  const industry = query.get('industry') || 'tech';
+  const industries = listIndustries();
+  if (!industries.includes(industry)) {
+    throw new ValidationError(`Invalid industry: ${industry}. Available industries: ${industries.join(', ')}`);
+  }
+
+  const experience = query.get('experience') || '5';
+  if (!/^\d+$/.test(experience) || Number(experience) > MAX_EXPERIENCE_YEARS) {
+    throw new ValidationError(`Invalid experience: ${experience}. Expected a whole number of years from 0 to ${MAX_EXPERIENCE_YEARS}`);
+  }
+
+  const format = query.get('format') || 'json';
+  if (!FORMATS.includes(format)) {
+    throw new ValidationError(`Invalid format: ${format}. Available formats: ${FORMATS.join(', ')}`);
+  }
+
+  const gender = query.get('gender') || undefined;
+  if (gender !== undefined && !['male', 'female'].includes(gender)) {
+    throw new ValidationError(`Invalid gender: ${gender}. Expected male or female`);
+  }
+
+  const locale = query.get('locale') || 'en';
+  if (!LOCALES.includes(locale)) {
+    throw new ValidationError(`Invalid locale: ${locale}. Available locales: ${LOCALES.join(', ')}`);
+  }
+
+  const pdfStyle = query.get('pdfStyle') || 'default';
+  const styles = listStyles();
+  if (!styles.includes(pdfStyle)) {
+    throw new ValidationError(`Invalid pdfStyle: ${pdfStyle}. Available styles: ${styles.join(', ')}`);
+  }
+
+  const layout = query.get('layout') || 'classic';
+  if (!LAYOUTS.includes(layout)) {
+    throw new ValidationError(`Invalid layout: ${layout}. Available layouts: ${LAYOUTS.join(', ')}`);
+  }
+
+  const photo = query.get('photo') || undefined;
+  if (photo !== undefined && !PHOTO_STYLES.includes(photo)) {
+    throw new ValidationError(`Invalid photo: ${photo}. Available photo styles: ${PHOTO_STYLES.join(', ')}`);
+  }
+
+  // The color is inserted into CSS, so only accept hex codes
+  const pdfColor = query.get('pdfColor') || '#0066cc';
+  if (!/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(pdfColor)) {
+    throw new ValidationError(`Invalid pdfColor: ${pdfColor}. Expected a hex color such as #0066cc`);
+  }
+
+  const asOf = query.get('asOf') || undefined;
+  let referenceDate;
+  try {
+    referenceDate = asOf !== undefined ? parseDate(asOf) : undefined;
+  } catch (error) {
+    throw new ValidationError(error.message);
+  }
+
+  return {
+    industry,
+    experienceYears: Number(experience),
+    format,
+    gender,
+    locale,
+    pdfStyle,
+    pdfColor,
+    layout,
+    includePhoto: photo !== undefined,
+    photoStyle: photo,
+    referenceDate,
+    // Requests without a seed should not continue a previous request's seeded sequence
+    seed: query.has('seed') ? query.get('seed') : null
+  };
+}
+
+/**
+ * Handle GET /resume
+ * @param {URLSearchParams} query Query parameters
+ * @param {http.ServerResponse} res Server response
+ * @param {Object} options Server options passed through to generateResume
+ * @param {Object} renderer Shared PDF renderer (see createPdfRenderer)
+ * @returns {Promise<number>} HTTP status code sent
+ */
+async function handleResume(query, res, options, renderer) {
+  const resumeOptions = parseResumeQuery(query);
+  const resume = generateResume({
+    ...resumeOptions,
+    logger: options.logger,
+    logLevel: options.logLevel
+  });
+
+  switch (resumeOptions.format) {
+    case 'markdown':
+      send(res, 200, 'text/markdown; charset=utf-8', resume.markdown);
+      break;
+    case 'html':
+      send(res, 200, 'text/html; charset=utf-8', resume.html);
+      break;
+    case 'txt':
+    case 'ats':
+      send(res, 200, 'text/plain; charset=utf-8', resume[resumeOptions.format]);
+      break;
+    case 'docx':
+      send(res, 200, 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', resume.docx);
+      break;
+    case 'jsonresume':
+      sendJson(res, 200, resume.jsonresume);
+      break;
+    case 'pdf': {
+      // Data-driven layouts come with their HTML document; the classic layout renders the markdown
+      const html = resume.html || toHtml(resume.markdown, {
+        style: resumeOptions.pdfStyle,
+        color: resumeOptions.pdfColor,
+        name: resume.name
+      });
+      const pdf = await renderer.render(html, { pageSetup: { name: resume.name } });
+      send(res, 200, 'application/pdf', Buffer.from(pdf));
+      break;
+    }
+    default:
+      sendJson(res, 200, resume.json);
+  }
+
+  return 200;
+}
+
+/**
+ * Create an HTTP server exposing GET /resume and GET /industries
+ * @param {Object} options Server options
+ * @param {Object} options.logger Logger with info, debug, warn and error methods (defaults to console)
+ * @param {string} options.logLevel Log level (silent, info, debug)
+ * @param {number} options.pdfConcurrency Maximum number of PDFs rendered at once (default 4)
+ * @returns {http.Server} Server that is not yet listening; closing it closes the PDF browser
+ */
+function createServer(options = {}) {
+  const logger = createLogger(options);
+
+  // One browser, launched on the first PDF request, renders every PDF a bounded number at a time
+  const renderer = createPdfRenderer({ concurrency: options.pdfConcurrency });
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    let status;
+
+    try {
+      if (req.method !== 'GET') {
+        res.setHeader('Allow', 'GET');
+        status = 405;
+        sendJson(res, status, { error: `Method ${req.method} not allowed` });
+      } else if (url.pathname === '/industries') {
+        status = 200;
+        sendJson(res, status, { industries: listIndustries() });
+      } else if (url.pathname === '/resume') {
+        status = await handleResume(url.searchParams, res, options, renderer);
+      } else {
+        status = 404;
+        sendJson(res, status, { error: `Not found: ${url.pathname}` });
+      }
+    } catch (error) {
+      status = error instanceof ValidationError ? 400 : 500;
+      if (status === 500) {
+        logger.error('Error handling request:', error);
+      }
+      sendJson(res, status, { error: error.message });
+    }
+
+    logger.info(`${req.method} ${req.url} ${status}`);
+  });
+
+  // 'close' fires once every connection has ended, so no render is still in progress
+  server.on('close', () => {
+    renderer.close().catch(error => {
+      logger.error('Error closing PDF browser:', error);
+    });
+  });
+
+  return server;
+}
+
+module.exports = {
+  createServer
+};
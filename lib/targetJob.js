@@ -0,0 +1,211 @@
+/**
+ * Job-targeted generation: candidates of a chosen fit for a target job, and the ground-truth score of that fit
+ */
+const { randomInt, pickMultiple, countKeyword, isObject, isNonEmptyString, isStringList, readDataFile } = require('./utils');
+
+// How well a candidate fits the target job
+const MATCH_QUALITIES = ['strong', 'partial', 'poor'];
+
+// Fields a target job may contain
+const TARGET_JOB_FIELDS = ['title', 'requiredSkills', 'preferredSkills', 'minYears'];
+
+// Weight of each part of the match score; parts the target job leaves out are not scored
+const MATCH_WEIGHTS = {
+  requiredSkills: 0.5,
+  preferredSkills: 0.2,
+  experience: 0.2,
+  title: 0.1
+};
+
+// Fewest industry skills left to generate from once the target job's skills are held back
+const MIN_REMAINING_SKILLS = 3;
+
+/**
+ * Validate a target job
+ * @param {Object} targetJob Target job: title, requiredSkills, preferredSkills and minYears (minimum years of experience)
+ * @returns {Object} The target job
+ * @throws {Error} If the target job is invalid, listing every problem found
+ */
+function validateTargetJob(targetJob) {
+  if (!isObject(targetJob)) {
+    throw new Error('Invalid target job: expected an object');
+  }
+
+  const problems = [];
+  Object.keys(targetJob)
+    .filter(field => !TARGET_JOB_FIELDS.includes(field))
+    .forEach(field => problems.push(`unknown field "${field}" (expected ${TARGET_JOB_FIELDS.join(', ')})`));
+
+  if (!isNonEmptyString(targetJob.title)) {
+    problems.push('"title" must be a non-empty string');
+  }
+
+  ['requiredSkills', 'preferredSkills'].forEach(field => {
+    if (targetJob[field] !== undefined && !isStringList(targetJob[field])) {
+      problems.push(`"${field}" must be an array of non-empty strings`);
+    }
+  });
+
+  if (targetJob.minYears !== undefined && (!Number.isInteger(targetJob.minYears) || targetJob.minYears < 0)) {
+    problems.push('"minYears" must be a whole number of 0 or more');
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid target job: ${problems.join('; ')}`);
+  }
+
+  return targetJob;
+}
+
+/**
+ * Load and validate a JSON job description file
+ * @param {string} filePath Path to the job description file
+ * @returns {Object} The target job
+ * @throws {Error} If the file cannot be read or parsed, or the target job is invalid
+ */
+function loadTargetJobFile(filePath) {
+  return validateTargetJob(readDataFile(filePath, 'job description file'));
+}
+
+/**
+ * Check a match quality
+ * @param {string} quality Match quality
+ * @returns {string} The match quality
+ * @throws {Error} If the match quality is unknown
+ */
+function validateMatchQuality(quality) {
+  if (!MATCH_QUALITIES.includes(quality)) {
+    throw new Error(`Invalid match quality: ${quality}. Available match qualities: ${MATCH_QUALITIES.join(', ')}`);
+  }
+  return quality;
+}
+
+/**
+ * Plan a candidate of the given fit for a target job. A strong fit has every required skill, most preferred
+ * skills, at least the minimum years and the job title itself; a partial fit has some required and preferred
+ * skills and about the minimum years; a poor fit has none of the skills and fewer than the minimum years.
+ * @param {Object} targetJob Validated target job
+ * @param {string} quality Match quality (strong, partial, poor)
+ * @returns {Object} The skills to include, the target skills to hold back, the current job title (strong fits
+ *   only) and the years of experience (when the target job sets minYears)
+ */
+function planMatch(targetJob, quality) {
+  const required = targetJob.requiredSkills || [];
+  const preferred = targetJob.preferredSkills || [];
+  const { minYears } = targetJob;
+
+  let skills;
+  let experienceYears;
+  if (quality === 'strong') {
+    skills = [...required, ...pickMultiple(preferred, Math.ceil(preferred.length / 2), preferred.length)];
+    experienceYears = minYears !== undefined ? minYears + randomInt(0, 4) : undefined;
+  } else if (quality === 'partial') {
+    // Always miss at least one required skill, and always keep one when there are several
+    const requiredCount = required.length > 1 ? randomInt(1, required.length - 1) : 0;
+    skills = [...pickMultiple(required, requiredCount, requiredCount), ...pickMultiple(preferred, 0, Math.ceil(preferred.length / 2))];
+    experienceYears = minYears !== undefined ? Math.max(0, minYears - randomInt(0, 2)) : undefined;
+  } else {
+    skills = [];
+    experienceYears = minYears !== undefined ? randomInt(0, Math.max(0, minYears - 1)) : undefined;
+  }
+
+  return {
+    skills,
+    excludedSkills: [...required, ...preferred].filter(skill => !skills.includes(skill)),
+    title: quality === 'strong' ? targetJob.title : undefined,
+    experienceYears
+  };
+}
+
+/**
+ * Add a match plan to a blueprint: the planned skills become required skills and a planned title becomes the
+ * current job's position, unless the blueprint already fixes it
+ * @param {Object} plan Plan from planMatch
+ * @param {Object} blueprint Blueprint to extend (optional)
+ * @returns {Object} The combined blueprint
+ */
+function applyMatchPlan(plan, blueprint = {}) {
+  const skills = [...new Set([...(blueprint.skills || []), ...plan.skills])];
+  const [currentJob, ...earlierJobs] = blueprint.experience || [];
+
+  return {
+    ...blueprint,
+    ...(skills.length > 0 ? { skills } : {}),
+    ...(plan.title ? { experience: [{ position: plan.title, ...currentJob }, ...earlierJobs] } : {})
+  };
+}
+
+/**
+ * Remove skills from an industry's skill pool, as long as enough skills remain to generate from
+ * @param {Object} industryData Industry-specific data
+ * @param {string[]} skills Skills to remove
+ * @returns {Object} Industry data without the skills
+ */
+function withoutSkills(industryData, skills) {
+  const excluded = skills.map(skill => skill.toLowerCase());
+  const remaining = industryData.skills.filter(skill => !excluded.includes(skill.toLowerCase()));
+  return remaining.length >= MIN_REMAINING_SKILLS ? { ...industryData, skills: remaining } : industryData;
+}
+
+/**
+ * Score how well resume data fits a target job, from what the resume actually says. A skill counts when it
+ * appears as a whole word (as the ATS keyword report counts it) in the summary, a job's bullet points or a skills section; experience counts in
+ * proportion to the minimum years; the title counts when it is the current job's position. The score is the
+ * weighted share of the parts the target job sets, from 0 to 1.
+ * @param {Object} resumeData Resume data as produced by generateResume
+ * @param {Object} targetJob Validated target job
+ * @param {number} experienceYears Years of experience the resume was generated for
+ * @returns {Object} The score plus the matched and missing skills, whether the title matches and the years
+ */
+function scoreMatch(resumeData, targetJob, experienceYears) {
+  const text = [
+    resumeData.summary,
+    ...resumeData.experience.flatMap(job => job.bulletPoints),
+    ...resumeData.skillCategories.map(category => category.skills)
+  ].join('\n');
+  const mentions = skill => countKeyword(text, skill) > 0;
+  const splitSkills = (skills = []) => ({
+    matched: skills.filter(mentions),
+    missing: skills.filter(skill => !mentions(skill))
+  });
+
+  const requiredSkills = splitSkills(targetJob.requiredSkills);
+  const preferredSkills = splitSkills(targetJob.preferredSkills);
+  const currentJob = resumeData.experience[0];
+  const titleMatch = Boolean(currentJob) && currentJob.position.toLowerCase() === targetJob.title.toLowerCase();
+  const share = ({ matched, missing }) => matched.length / (matched.length + missing.length);
+
+  const parts = [[MATCH_WEIGHTS.title, titleMatch ? 1 : 0]];
+  if (targetJob.requiredSkills && targetJob.requiredSkills.length > 0) {
+    parts.push([MATCH_WEIGHTS.requiredSkills, share(requiredSkills)]);
+  }
+  if (targetJob.preferredSkills && targetJob.preferredSkills.length > 0) {
+    parts.push([MATCH_WEIGHTS.preferredSkills, share(preferredSkills)]);
+  }
+  if (targetJob.minYears) {
+    parts.push([MATCH_WEIGHTS.experience, Math.min(1, experienceYears / targetJob.minYears)]);
+  }
+
+  const totalWeight = parts.reduce((total, [weight]) => total + weight, 0);
+  const score = parts.reduce((total, [weight, value]) => total + weight * value, 0) / totalWeight;
+
+  return {
+    score: Math.round(score * 100) / 100,
+    requiredSkills,
+    preferredSkills,
+    titleMatch,
+    experienceYears,
+    minYears: targetJob.minYears
+  };
+}
+
+module.exports = {
+  MATCH_QUALITIES,
+  validateTargetJob,
+  loadTargetJobFile,
+  validateMatchQuality,
+  planMatch,
+  applyMatchPlan,
+  withoutSkills,
+  scoreMatch
+};
@@ -2,13 +2,17 @@
  * Default markdown template for resumes
  */
 module.exports = `# {{name}}
+{{#photo}}
+
+![Photo of {{name}}]({{{dataUri}}})
+{{/photo}}
 
 {{contactInfo.email}} | {{contactInfo.phone}} | {{contactInfo.location}}{{#contactInfo.linkedin}} | [LinkedIn]({{contactInfo.linkedin}}){{/contactInfo.linkedin}}{{#contactInfo.website}} | [Website]({{contactInfo.website}}){{/contactInfo.website}}
 
-## Summary
+## {{headings.summary}}
 {{summary}}
 
-## Experience
+## {{headings.experience}}
 {{#experience}}
 ### {{position}} | {{company}} | {{startDate}} - {{endDate}}
 {{#bulletPoints}}
@@ -17,7 +21,7 @@ module.exports = `# {{name}}
 
 {{/experience}}
 
-## Education
+## {{headings.education}}
 {{#education}}
 ### {{degree}} in {{field}} | {{institution}} | {{graduationYear}}
 {{#details}}
@@ -26,7 +30,7 @@ module.exports = `# {{name}}
 
 {{/education}}
 
-## Skills
+## {{headings.skills}}
 {{#skillCategories}}
 ### {{category}}
 {{skills}}
@@ -34,7 +38,7 @@ module.exports = `# {{name}}
 {{/skillCategories}}
 
 {{#certifications.length}}
-## Certifications
+## {{headings.certifications}}
 {{#certifications}}
 - {{.}}
 {{/certifications}}
@@ -1,14 +1,76 @@
 /**
  * PDF styles for different resume formats
  */
+const fs = require('fs');
+const path = require('path');
+
+// Names of the built-in styles accepted by getStyle
+const builtInStyles = ['default', 'modern', 'minimal', 'professional'];
+
+// Themes registered from CSS, keyed by name
+const themes = {};
 
 /**
- * Get CSS for the specified style
- * @param {string} style Style name (default, modern, minimal, professional)
- * @param {string} color Primary color (hex code)
+ * Register a named theme, replacing any existing theme or built-in style with the same name.
+ * Theme CSS can use var(--primary-color), which is set from the primary color.
+ * @param {string} name Theme name
+ * @param {string} css Theme stylesheet
+ * @returns {string} The theme name
+ */
+function registerTheme(name, css) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw new Error('Theme name must be a non-empty string');
+  }
+  if (typeof css !== 'string') {
+    throw new Error(`Invalid theme "${name}": CSS must be a string`);
+  }
+
+  themes[name] = css;
+  return name;
+}
+
+/**
+ * Load and register a theme from a CSS file
+ * @param {string} filePath Path to the CSS file
+ * @param {string} name Theme name (defaults to the file name without its extension)
+ * @returns {string} The theme name
+ */
+function loadThemeFile(filePath, name = path.basename(filePath, path.extname(filePath))) {
+  let css;
+  try {
+    css = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new Error(`Could not read theme file ${filePath}: ${error.message}`);
+  }
+
+  return registerTheme(name, css);
+}
+
+/**
+ * List the names of all styles: the built-in styles followed by registered themes
+ * @returns {string[]} Style names
+ */
+function listStyles() {
+  return [...new Set([...builtInStyles, ...Object.keys(themes)])];
+}
+
+/**
+ * Get CSS for the specified style or registered theme
+ * @param {string} style Style or theme name (default, modern, minimal, professional, or a registered theme)
+ * @param {string} color Primary color (hex code), also exposed as the --primary-color CSS variable
  * @returns {string} CSS styling
  */
 function getStyle(style, color) {
+  const variables = `
+      :root {
+        --primary-color: ${color};
+      }
+    `;
+  
+  if (Object.prototype.hasOwnProperty.call(themes, style)) {
+    return variables + themes[style];
+  }
+  
   const styles = {
     default: `
       body {
@@ -143,12 +205,12 @@ function getStyle(style, color) {
     `
   };
   
-  return styles[style] || styles.default;
+  return variables + (styles[style] || styles.default);
 }
 
 /**
  * Get CSS for the specified style with additional page break support
- * @param {string} style Style name (default, modern, minimal, professional)
+ * @param {string} style Style or theme name (default, modern, minimal, professional, or a registered theme)
  * @param {string} color Primary color (hex code)
  * @returns {string} CSS styling with page break rules
  */
@@ -169,6 +231,9 @@ function getStyleWithPageBreaks(style, color) {
 }
 
 module.exports = {
+  registerTheme,
+  loadThemeFile,
+  listStyles,
   getStyle,
   getStyleWithPageBreaks
 };
\ No newline at end of file
@@ -1,6 +1,82 @@
 /**
  * Utility functions for resume generation
  */
+const fs = require('fs');
+const { LOCALES, getLocale } = require('./data/locales');
+
+// Active seeded PRNG, or null to fall back to Math.random
+let seededRandom = null;
+
+/**
+ * Convert a seed value into an unsigned 32-bit integer
+ * @param {number|string} seed Seed value (numeric strings are treated as numbers)
+ * @returns {number} Unsigned 32-bit integer seed
+ */
+function normalizeSeed(seed) {
+  if (typeof seed === 'number' || /^-?\d+$/.test(String(seed))) {
+    return Number(seed) >>> 0;
+  }
+  
+  // FNV-1a hash for arbitrary string seeds
+  let hash = 0x811c9dc5;
+  const str = String(seed);
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * @param {number|string} seed Seed value
+ * @returns {Function} Function returning floats in [0, 1)
+ */
+function createRandom(seed) {
+  let state = normalizeSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Derive an independent seed from a base seed and a key, such as the index of a resume in a batch
+ * @param {number|string} seed Base seed
+ * @param {number|string} key Key that tells the derived seeds apart
+ * @returns {number} Unsigned 32-bit integer seed
+ */
+function deriveSeed(seed, key) {
+  return normalizeSeed(`${normalizeSeed(seed)}:${key}`);
+}
+
+/**
+ * Seed every source of randomness used by the generators (the shared PRNG and the faker instance of every locale).
+ * Passing undefined or null restores non-deterministic behavior.
+ * @param {number|string} [seed] Seed value
+ */
+function seedRandom(seed) {
+  if (seed === undefined || seed === null) {
+    seededRandom = null;
+    LOCALES.forEach(locale => getLocale(locale).faker.seed());
+    return;
+  }
+  
+  const numericSeed = normalizeSeed(seed);
+  seededRandom = createRandom(numericSeed);
+  LOCALES.forEach(locale => getLocale(locale).faker.seed(numericSeed));
+}
+
+/**
+ * Generate a random float in [0, 1) from the shared PRNG
+ * @returns {number} Random float
+ */
+function random() {
+  return seededRandom ? seededRandom() : Math.random();
+}
 
 /**
  * Generate a random integer between min and max (inclusive)
@@ -9,7 +85,7 @@
  * @returns {number} Random integer
  */
 function randomInt(min, max) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+    return Math.floor(random() * (max - min + 1)) + min;
   }
   
   /**
@@ -18,7 +94,7 @@ function randomInt(min, max) {
    * @returns {*} Random item
    */
   function pickRandom(array) {
-    return array[Math.floor(Math.random() * array.length)];
+    return array[Math.floor(random() * array.length)];
   }
   
   /**
@@ -34,22 +110,69 @@ function randomInt(min, max) {
     const copy = [...array];
     
     for (let i = 0; i < count && copy.length > 0; i++) {
-      const index = Math.floor(Math.random() * copy.length);
+      const index = Math.floor(random() * copy.length);
       result.push(copy.splice(index, 1)[0]);
     }
     
     return result;
   }
   
+  /**
+   * Format a date as an ISO 8601 calendar date (YYYY-MM-DD) using local time
+   * @param {Date} date Date to format
+   * @returns {string} ISO date string
+   */
+  function toIsoDate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+  
+  /**
+   * Parse a reference date given as a Date or a YYYY-MM-DD string (interpreted in local time)
+   * @param {Date|string} value Date value
+   * @returns {Date} Parsed date
+   * @throws {Error} If the value is not a valid date
+   */
+  function parseDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    const date = value instanceof Date
+      ? new Date(value.getTime())
+      : match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : new Date(NaN);
+    
+    // Reject invalid dates and impossible days such as 2023-02-30
+    if (isNaN(date.getTime()) || (match && (date.getMonth() !== Number(match[2]) - 1 || date.getDate() !== Number(match[3])))) {
+      throw new Error(`Invalid date: ${value}. Expected a Date or a YYYY-MM-DD string`);
+    }
+    
+    return date;
+  }
+  
+  /**
+   * Count the whole calendar months between two dates
+   * @param {Date} startDate Start date
+   * @param {Date} endDate End date
+   * @returns {number} Number of months
+   */
+  function monthsBetween(startDate, endDate) {
+    return (endDate.getFullYear() - startDate.getFullYear()) * 12 + endDate.getMonth() - startDate.getMonth();
+  }
+  
   /**
    * Generate a date range for work experience
    * @param {number} yearsAgo How many years ago the job started
    * @param {number} monthsAgo How many months ago the job ended
    * @param {boolean} isCurrent Whether this is the current job
-   * @returns {Object} Object with startDate and endDate strings
+   * @param {Date} referenceDate Date treated as "now" (defaults to the current date)
+   * @param {string} locale Locale for month names and the end date of current jobs (defaults to en)
+   * @returns {Object} Display startDate/endDate strings, startDateISO/endDateISO (first of the month,
+   *   endDateISO is null for current jobs), the isCurrent flag and durationMonths
    */
-  function generateDateRange(yearsAgo, monthsAgo, isCurrent = false) {
-    const endDate = new Date();
+  function generateDateRange(yearsAgo, monthsAgo, isCurrent = false, referenceDate = new Date(), locale = 'en') {
+    const { languageTag, present } = getLocale(locale);
+    
+    // Work with the first of the month so month arithmetic never overflows (e.g. March 31 - 1 month)
+    const endDate = new Date(referenceDate.getFullYear(), referenceDate.getMonth(), 1);
     if (!isCurrent) {
       endDate.setMonth(endDate.getMonth() - monthsAgo);
     }
@@ -57,20 +180,90 @@ function randomInt(min, max) {
     const startDate = new Date(endDate);
     startDate.setFullYear(startDate.getFullYear() - yearsAgo);
     
-    const formatDate = (date) => {
-      const month = date.toLocaleString('default', { month: 'long' });
-      return `${month} ${date.getFullYear()}`;
-    };
+    // Month and year in the locale's order, e.g. "January 2020", "Januar 2020" or "2020年1月"
+    const formatDate = (date) => date.toLocaleString(languageTag, { year: 'numeric', month: 'long' });
     
     return {
       startDate: formatDate(startDate),
-      endDate: isCurrent ? 'Present' : formatDate(endDate)
+      endDate: isCurrent ? present : formatDate(endDate),
+      startDateISO: toIsoDate(startDate),
+      endDateISO: isCurrent ? null : toIsoDate(endDate),
+      isCurrent,
+      durationMonths: monthsBetween(startDate, endDate)
     };
   }
   
+  /**
+   * Count whole-word, case-insensitive occurrences of a keyword in text. A keyword only counts when it is
+   * not part of a longer word or skill name, so C is not found in C# or C++.
+   * @param {string} text Text to search
+   * @param {string} keyword Keyword, which may contain punctuation such as C++ or Node.js
+   * @returns {number} Number of occurrences
+   */
+  function countKeyword(text, keyword) {
+    const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const matches = text.match(new RegExp(`(?<![A-Za-z0-9+#])${escaped}(?![A-Za-z0-9+#])`, 'gi'));
+    return matches ? matches.length : 0;
+  }
+  
+  /**
+   * Check that a value is a plain object (not null or an array)
+   * @param {*} value Value to check
+   * @returns {boolean} Whether the value is an object
+   */
+  function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+  
+  /**
+   * Check that a value is a string with more than whitespace
+   * @param {*} value Value to check
+   * @returns {boolean} Whether the value is a non-empty string
+   */
+  function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim() !== '';
+  }
+  
+  /**
+   * Check that a value is an array of non-empty strings
+   * @param {*} value Value to check
+   * @returns {boolean} Whether the value is a list of non-empty strings
+   */
+  function isStringList(value) {
+    return Array.isArray(value) && value.every(isNonEmptyString);
+  }
+  
+  /**
+   * Read and parse a data file such as a blueprint, profile or industry file
+   * @param {string} filePath Path to the file
+   * @param {string} description What the file holds, for the error message (e.g. "blueprint file")
+   * @param {Function} parse Parser for the file's text (defaults to JSON.parse)
+   * @returns {*} Parsed contents
+   * @throws {Error} If the file cannot be read or parsed
+   */
+  function readDataFile(filePath, description, parse = JSON.parse) {
+    try {
+      return parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read ${description} ${filePath}: ${error.message}`);
+    }
+  }
+  
   module.exports = {
+    createRandom,
+    deriveSeed,
+    seedRandom,
+    random,
     randomInt,
     pickRandom,
     pickMultiple,
-    generateDateRange
+    toIsoDate,
+    parseDate,
+    monthsBetween,
+    generateDateRange,
+    countKeyword,
+    isObject,
+    isNonEmptyString,
+    isStringList,
+    readDataFile
   };
\ No newline at end of file
@@ -0,0 +1,134 @@
+/**
+ * Timeline and content consistency checks for generated resumes
+ */
+
+// Allowed difference between summed job durations and the requested years of experience
+const TENURE_TOLERANCE_MONTHS = 12;
+
+/**
+ * Check that the resume has no empty sections
+ * @param {Object} resumeData Resume data
+ * @returns {Array} Issues found
+ */
+function checkEmptySections(resumeData) {
+  const issues = [];
+  const isEmpty = value => value === undefined || value === null || value.length === 0;
+
+  ['name', 'summary', 'experience', 'education', 'skillCategories'].forEach(section => {
+    if (isEmpty(resumeData[section])) {
+      issues.push({ type: 'empty-section', section, message: `Section "${section}" is empty` });
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Check that no two jobs overlap in time
+ * @param {Array} experience Experience entries
+ * @returns {Array} Issues found
+ */
+function checkOverlappingJobs(experience) {
+  const issues = [];
+
+  // Sort chronologically; ISO dates compare correctly as strings and current jobs never end
+  const jobs = experience
+    .filter(job => job.startDateISO)
+    .map(job => ({ job, start: job.startDateISO, end: job.endDateISO || '9999-12-31' }))
+    .sort((a, b) => a.start.localeCompare(b.start));
+
+  // Compare each job with the one that runs latest so far, so a long job is checked against every later one
+  let latest = jobs[0];
+  for (let i = 1; i < jobs.length; i++) {
+    const next = jobs[i];
+    if (latest.end > next.start) {
+      issues.push({
+        type: 'overlapping-jobs',
+        message: `${latest.job.position} at ${latest.job.company} overlaps ${next.job.position} at ${next.job.company}`
+      });
+    }
+    if (next.end > latest.end) {
+      latest = next;
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Check that no degree was completed after the first job started. Degrees with an end date are compared
+ * with the first job's start date; degrees with only a graduation year are compared with its year.
+ * @param {Array} education Education entries
+ * @param {Array} experience Experience entries
+ * @returns {Array} Issues found
+ */
+function checkGraduationBeforeEmployment(education, experience) {
+  const starts = experience.filter(job => job.startDateISO).map(job => job.startDateISO).sort();
+  if (starts.length === 0) {
+    return [];
+  }
+
+  const firstJobStart = starts[0];
+  const firstJobYear = Number(firstJobStart.slice(0, 4));
+
+  return education
+    .filter(entry => entry.endDateISO ? entry.endDateISO > firstJobStart : entry.graduationYear > firstJobYear)
+    .map(entry => ({
+      type: 'graduation-after-employment',
+      message: entry.endDateISO
+        ? `${entry.degree} in ${entry.field} (${entry.endDateISO}) was completed after the first job started (${firstJobStart})`
+        : `${entry.degree} in ${entry.field} (${entry.graduationYear}) was completed after the first job started (${firstJobYear})`
+    }));
+}
+
+/**
+ * Check that the summed job durations match the requested years of experience
+ * @param {Array} experience Experience entries
+ * @param {number} experienceYears Requested years of experience
+ * @returns {Array} Issues found
+ */
+function checkTenure(experience, experienceYears) {
+  const durations = experience.map(job => job.durationMonths).filter(months => typeof months === 'number');
+  if (durations.length === 0) {
+    return [];
+  }
+
+  const totalMonths = durations.reduce((total, months) => total + months, 0);
+  if (Math.abs(totalMonths - experienceYears * 12) <= TENURE_TOLERANCE_MONTHS) {
+    return [];
+  }
+
+  return [{
+    type: 'tenure-mismatch',
+    message: `Jobs add up to ${totalMonths} months but ${experienceYears} years of experience were requested`
+  }];
+}
+
+/**
+ * Validate that a generated resume is internally consistent.
+ * Timeline checks only run on entries that carry structured dates (startDateISO, durationMonths).
+ * @param {Object} resumeData Resume data as produced by generateResume
+ * @param {Object} options Validation options
+ * @param {number} options.experienceYears Expected years of experience (tenure is not checked if omitted)
+ * @returns {Object} Object with a valid flag and an issues array of { type, message }
+ */
+function validateResume(resumeData, options = {}) {
+  const experience = resumeData.experience || [];
+  const education = resumeData.education || [];
+
+  const issues = [
+    ...checkEmptySections(resumeData),
+    ...checkOverlappingJobs(experience),
+    ...checkGraduationBeforeEmployment(education, experience),
+    ...(options.experienceYears !== undefined ? checkTenure(experience, options.experienceYears) : [])
+  ];
+
+  return {
+    valid: issues.length === 0,
+    issues
+  };
+}
+
+module.exports = {
+  validateResume
+};